@@ -9,46 +9,220 @@ import twitchAPI from './utils/twitch-api.js';
 import notificationManager from './utils/notifications.js';
 import { isQuietHours } from './utils/quiet-hours.js';
 import { retryDelayMs } from './utils/poll-errors.js';
-import { shouldRerollCategoryFallback } from './utils/fallback-mode.js';
+import {
+  shouldRerollCategoryFallback,
+  activeFallbackCategories,
+  orderFallbackCategories,
+  fallbackCategorySetKey,
+} from './utils/fallback-mode.js';
+import { evaluateSwitchRules } from './utils/switch-rules.js';
+import { evaluateSwitchStability } from './utils/switch-stability.js';
+import { shouldHoldCurrentStream, normalizeSwitchMode } from './utils/switch-policy.js';
+import { normalizeTiers, sortByTier, pickHighestPriorityLive } from './utils/tiers.js';
+import {
+  MAIN_SLOT_ID,
+  getSlots,
+  findSlotByTab,
+  patchSlotSettings,
+  normalizeExtraSlots,
+  unionUsernames,
+  SLOT_ALARMS,
+  slotAlarmName,
+  isSlotAlarm,
+} from './utils/slots.js';
+import { getActiveProfile, applyProfileOverrides, updateProfile } from './utils/profiles.js';
+import { normalizeProfileSchedule, scheduledProfileId, nextScheduleBoundary } from './utils/profile-schedule.js';
+import { JOURNAL_EVENTS } from './utils/journal.js';
+import { BACK_SUSPEND_MS, pushNavStack, popNavStack, isNavSuspended } from './utils/nav-stack.js';
 import { isTwitchUrl, getChannelFromTwitchUrl, isRaidReferrerUrl } from './utils/twitch-url.js';
+import { pickTwitchTab, focusTab } from './utils/twitch-tabs.js';
+import { isValidUsername, validateNewStream, createStreamEntry, insertStreamAtTop } from './utils/stream-list.js';
+import { parseOmniboxInput, buildOmniboxSuggestions } from './utils/omnibox.js';
+import { RAID_POLICIES, normalizeRaidPolicy, startRaid, isRaidHoldActive, createRaidEntry, shouldDropRaidEntry } from './utils/raid-policy.js';
+import { EventSubSocket, EVENTSUB_TYPES, applyLiveEvents, diffSubscriptions } from './utils/eventsub.js';
+import { POLL_REASONS, planNextPoll, historyStartTimes } from './utils/poll-scheduler.js';
+import { normalizeSchedule, isScheduleStale, scheduledStartTimes, dueStartingSoon } from './utils/stream-schedule.js';
+import { CONTEXT_MENU_IDS, buildContextMenus, toggleMenuState, parseAddClick } from './utils/context-menus.js';
+import { normalizeFallbackFilters } from './utils/fallback-filters.js';
+import { normalizeFallbackSkipMinutes, recordFallbackChannel, excludedFallbackChannels } from './utils/fallback-history.js';
+import {
+  VOD_FALLBACK_MODES,
+  VOD_FALLBACK_LIMITS,
+  normalizeVodFallback,
+  parseVideoDuration,
+  pickVodToPlay,
+  recordWatchedVod,
+  shouldKeepVodFallback,
+} from './utils/vod-fallback.js';
+import { planTabEffects } from './utils/tab-effects.js';
+import { evaluateInteractionHold, normalizeInteractionReport, nextPendingSwitch } from './utils/interaction-hold.js';
+import {
+  SWITCH_COUNTDOWN_SECONDS,
+  SWITCH_COUNTDOWN_GRACE_MS,
+  COUNTDOWN_ACTIONS,
+  normalizeCountdownAction,
+  countdownOutcome,
+} from './utils/switch-countdown.js';
+
+// "Snooze switching" keyboard shortcut (and the countdown's "Snooze 30m")
+const SNOOZE_MS = 30 * 60 * 1000;
+// Prompt answered "Not now" / countdown canceled: no new prompt for this long
+const PROMPT_SNOOZE_MS = 5 * 60 * 1000;
+// Second check after the page reported its stream ended (alarms' floor is 30s)
+const STREAM_END_RECHECK_MS = 45 * 1000;
+// Schedule fetches per poll: spreads a large list's refresh over several polls.
+const SCHEDULE_FETCHES_PER_POLL = 5;
+
+// Per-slot runtime sections. The main slot keeps them at the top level of
+// `runtime`; extra managed tabs get their own copy under `runtime.slots[id]`.
+function defaultSlotRuntime() {
+  return {
+    fallback: {
+      active: false,
+      // 'category' (random live stream) or 'vod' (a video of a list channel); null while inactive.
+      mode: null,
+      // Category picked for the current fallback stream, and the set it was picked from.
+      category: null,
+      categorySet: null,
+      username: null,
+      // VOD mode: the video playing and when it runs out (utils/vod-fallback.js).
+      videoId: null,
+      until: 0,
+      updatedAt: 0,
+      reason: null,
+    },
+    // Switch hysteresis bookkeeping. Persisted so dwell/cooldown holds survive
+    // service-worker restarts; `pending` is a switch deferred by a hold.
+    switching: {
+      lastSwitchAt: 0,
+      channel: null,
+      since: 0,
+      pending: null,
+      // The tab is muted because a quiet-hours switch muted it (utils/tab-effects.js).
+      quietMuted: false,
+      // Tie-break inputs/outputs: the stream the last poll picked (so the
+      // popup and page indicator agree with it) and username -> last seen
+      // on the managed tab, for the "least recently watched" strategy.
+      target: null,
+      lastWatched: {},
+    },
+    // "Back" support (utils/nav-stack.js): channels Auto-Swap navigated away
+    // from, and the Auto-Swap pause after going back.
+    navigation: {
+      stack: [],
+      suspendedUntil: 0,
+    },
+    // Raid that landed on the managed tab (utils/raid-policy.js); `until` is
+    // the end of a "stay" hold.
+    raid: {
+      channel: null,
+      from: null,
+      at: 0,
+      until: 0,
+    },
+    // Latest report from the page (content/interaction-watcher.js): signals
+    // held right now and when the user last did something there.
+    interaction: {
+      signals: [],
+      lastActiveAt: 0,
+      reportedAt: 0,
+    },
+  };
+}
 
 class BackgroundWorker {
   constructor() {
-    this.currentWatchingStream = null;
+    // Slot id -> channel its managed tab is showing (as of the last check)
+    this.currentWatching = {};
     this.lastPollTime = 0;
     this.idleState = 'active';
+    // Effective settings: stored settings with the active list profile's overrides
+    // applied. Never save this object wholesale (see applyProfileOverrides).
     this.settings = null;
+    this.profile = null;
     this.snoozeUntil = 0;
+    // Slot ids with an in-page switch countdown running (see runSwitchCountdown).
+    this.countdowns = new Set();
     this._initPromise = null;
+    // EventSub (see syncEventSub): the socket, login -> subscription ids, and
+    // the latest live/offline event per login.
+    this.eventsub = null;
+    this.eventsubSubs = {};
+    this.eventsubCoversAll = false;
+    this.eventsubFull = false;
+    this.liveEvents = {};
+    // Each non-empty list's top entry as of the last poll: {live, expectedStarts} (see schedulePollAlarm).
+    this.pollTops = [];
     this.runtime = {
-      fallback: {
-        active: false,
-        category: null,
-        username: null,
-        updatedAt: 0,
-        reason: null,
-      },
+      ...defaultSlotRuntime(),
+      slots: {},
+      // Next profile-schedule boundary the alarm is set for. Kept so a boundary
+      // missed while the browser was closed is still applied on the next start.
+      profileSchedule: { nextAt: null },
+      // "Snooze switching" shortcut: no automatic navigation in any tab until then.
+      snooze: { until: 0 },
+      // Category the toolbar-icon menu turned fallback off from, restored when
+      // it is turned back on (off is stored as an empty category).
+      contextMenu: { fallbackCategory: null },
+      // When the next check is planned and why (utils/poll-scheduler.js), for the popup.
+      nextPoll: { at: null, reason: null },
+      // Channels fallback showed or the user rerolled away from, across slots (utils/fallback-history.js).
+      fallbackHistory: { entries: [] },
+      // Videos VOD fallback already played, oldest first (utils/vod-fallback.js).
+      vodHistory: { watched: [] },
+    };
+  }
+
+  mainSlot() {
+    return getSlots(this.settings)[0];
+  }
+
+  slotRuntime(slot) {
+    if (slot.id === MAIN_SLOT_ID) return this.runtime;
+    const defaults = defaultSlotRuntime();
+    const saved = this.runtime?.slots?.[slot.id] || {};
+    return {
+      fallback: { ...defaults.fallback, ...(saved.fallback || {}) },
+      switching: { ...defaults.switching, ...(saved.switching || {}) },
+      navigation: { ...defaults.navigation, ...(saved.navigation || {}) },
+      raid: { ...defaults.raid, ...(saved.raid || {}) },
+      interaction: { ...defaults.interaction, ...(saved.interaction || {}) },
     };
   }
 
+  async patchSlotRuntime(slot, section, patch) {
+    if (slot.id === MAIN_SLOT_ID) return this.patchRuntime(section, patch);
+    const current = this.slotRuntime(slot);
+    return this.patchRuntime('slots', {
+      [slot.id]: { ...current, [section]: { ...current[section], ...patch } },
+    });
+  }
+
   async init() {
     if (this._initPromise) return this._initPromise;
 
     this._initPromise = (async () => {
-    // Load settings
-    this.settings = await storage.getSettings();
+    // Load settings (getProfiles also migrates pre-profile installs)
+    this.profile = getActiveProfile(await storage.getProfiles());
+    this.settings = applyProfileOverrides(await storage.getSettings(), this.profile);
 
     // Load runtime state (non-critical, used for UX + avoiding constant fallback rerolls)
     const persistedRuntime = await storage.get('runtime');
     if (persistedRuntime && typeof persistedRuntime === 'object') {
-      this.runtime = {
-        ...this.runtime,
-        ...persistedRuntime,
-        fallback: {
-          ...this.runtime.fallback,
-          ...(persistedRuntime.fallback || {}),
-        },
-      };
+      const merged = { ...this.runtime, ...persistedRuntime };
+      // Merge each section over its defaults so fields added in updates are never undefined.
+      for (const key of Object.keys(this.runtime)) {
+        merged[key] = { ...this.runtime[key], ...(persistedRuntime[key] || {}) };
+      }
+      this.runtime = merged;
+    }
+
+    // Profile schedule runs regardless of Auto-Swap/idle state (it only swaps lists).
+    const scheduledAt = this.runtime.profileSchedule?.nextAt;
+    if (scheduledAt && scheduledAt <= Date.now()) {
+      await this.applyProfileSchedule();
+    } else {
+      await this.scheduleProfileAlarm();
     }
     
     // Initialize Twitch API
@@ -99,12 +273,28 @@ class BackgroundWorker {
     // Client ID is automatically set from defaults, so we're good
   }
 
+  async handleProfileChange(profiles) {
+    this.profile = getActiveProfile(profiles);
+    // Another page wrote the settings; don't trust this context's read cache.
+    storage.clearCache();
+    await this.handleSettingsChange(await storage.getSettings());
+  }
+
   async handleSettingsChange(newSettings) {
-    this.settings = newSettings;
+    const previousSchedule = JSON.stringify(normalizeProfileSchedule(this.settings?.profileSchedule));
+    this.settings = applyProfileOverrides(newSettings, this.profile);
+
+    // Schedule edited: switch to whatever it wants right now, then re-arm.
+    if (JSON.stringify(normalizeProfileSchedule(this.settings?.profileSchedule)) !== previousSchedule) {
+      await this.applyProfileSchedule();
+    }
 
     // If Auto-Swap was turned off, clear fallback runtime (prevents stale "fallback mode" state).
     if (!this.settings?.redirectEnabled) {
-      await this.setFallbackRuntime({ active: false });
+      for (const slot of getSlots(this.settings)) {
+        await this.setFallbackRuntime({ active: false }, slot);
+        await this.patchSlotRuntime(slot, 'switching', { pending: null });
+      }
     }
     
     // Reinitialize API if client ID changed
@@ -115,9 +305,32 @@ class BackgroundWorker {
     // Restart polling with new interval
     this.stopPolling();
     this.startPolling();
+    await this.syncEventSub();
 
     // Update badge immediately when user toggles Auto-Swap in the popup/options.
     this.updateBadge({ enabled: !!this.settings?.redirectEnabled, liveCount: 0 });
+    this.syncContextMenus();
+  }
+
+  // Menus persist across restarts, so they are (re)created on install/update only.
+  setupContextMenus() {
+    if (!chrome.contextMenus) return;
+    chrome.contextMenus.removeAll(() => {
+      for (const item of buildContextMenus(this.settings)) {
+        chrome.contextMenus.create(item, () => {
+          if (chrome.runtime.lastError) console.warn('Failed to create context menu:', chrome.runtime.lastError.message);
+        });
+      }
+    });
+  }
+
+  // Keep the icon menu checkboxes in step with changes made elsewhere.
+  syncContextMenus() {
+    if (!chrome.contextMenus) return;
+    for (const [id, checked] of Object.entries(toggleMenuState(this.settings))) {
+      // Before the first onInstalled the items may not exist yet: read lastError to silence it.
+      chrome.contextMenus.update(id, { checked }, () => void chrome.runtime.lastError);
+    }
   }
 
   updateBadge({ enabled, liveCount = 0, target } = {}) {
@@ -146,6 +359,8 @@ class BackgroundWorker {
     // Pause polling when idle, resume when active
     if (this.idleState === 'idle' || this.idleState === 'locked') {
       this.stopPolling();
+      // Let the service worker sleep too; the first poll after idle reconnects.
+      this.stopEventSub();
     } else {
       this.startPolling();
     }
@@ -164,18 +379,261 @@ class BackgroundWorker {
 
     // Poll immediately
     this.pollStreams();
+    this.schedulePollAlarm();
+  }
 
+  /**
+   * (Re)arm the poll alarm from the adaptive plan (utils/poll-scheduler.js).
+   * Runs after every poll and whenever an input changes (settings, EventSub).
+   */
+  schedulePollAlarm() {
+    if (this.idleState === 'idle' || this.idleState === 'locked' || !this.settings?.clientId) return;
+    const plan = planNextPoll({
+      baseMs: this.settings?.checkInterval || 60000,
+      autoSwapOn: !!this.settings?.redirectEnabled,
+      quiet: isQuietHours(this.settings?.quietHours),
+      tops: this.pollTops,
+      pushCovered: !!this.eventsub?.connected && this.eventsubCoversAll,
+    });
     // chrome.alarms (not setInterval): MV3 kills idle service workers ~30s
     // after the last event, taking timers with them. Alarms persist and
-    // re-wake the worker on schedule. Minimum period is 1 minute, which
-    // matches the smallest configurable check interval.
-    const interval = this.settings?.checkInterval || 60000;
-    chrome.alarms.create('tsr-poll', { periodInMinutes: Math.max(1, interval / 60000) });
+    // re-wake the worker on schedule. The period repeats the plan in case
+    // the worker dies before the next poll re-plans.
+    const minutes = plan.delayMs / 60000;
+    chrome.alarms.create('tsr-poll', { delayInMinutes: minutes, periodInMinutes: minutes });
+    this.patchRuntime('nextPoll', { at: plan.at, reason: plan.reason })
+      .catch((e) => console.warn('Failed to save next poll time:', e));
+  }
+
+  /**
+   * Poll-scheduler input: each non-empty list's top-priority entry, whether
+   * it is live and watchable, and when it usually goes live (from the journal
+   * and its Twitch schedule).
+   */
+  async planTops(lists, statuses, schedules = {}) {
+    const tiers = normalizeTiers(this.settings?.tiers);
+    const journal = await storage.getJournal();
+    return lists
+      .map((list) => sortByTier(list.filter((s) => !s.temporary), tiers.length)[0])
+      .filter(Boolean)
+      .map((top) => {
+        const streamData = statuses[top.username];
+        return {
+          // A live top channel its rules veto can still become watchable (e.g. a
+          // category change): only count it once it is the one to watch.
+          live: streamData != null && evaluateSwitchRules(top.rules, streamData).allowed,
+          expectedStarts: [
+            ...historyStartTimes(journal, top.username),
+            ...scheduledStartTimes(schedules[top.username]),
+          ],
+        };
+      });
+  }
+
+  /**
+   * Re-fetch stale channel schedules (utils/stream-schedule.js), a few per
+   * poll, and forget channels no list has anymore.
+   * @param {string[]} usernames - every list's channels
+   * @returns {Promise<Object>} login -> stored schedule
+   */
+  async refreshSchedules(usernames) {
+    const cached = await storage.getSchedules();
+    const schedules = Object.fromEntries(Object.entries(cached).filter(([login]) => usernames.includes(login)));
+    const stale = usernames.filter((login) => isScheduleStale(schedules[login])).slice(0, SCHEDULE_FETCHES_PER_POLL);
+    if (stale.length === 0 && Object.keys(schedules).length === Object.keys(cached).length) return schedules;
+
+    const userIds = stale.length > 0 ? await twitchAPI.getUserIds(stale) : {};
+    for (const login of stale) {
+      try {
+        const raw = userIds[login] ? await twitchAPI.getChannelSchedule(userIds[login]) : null;
+        schedules[login] = { ...normalizeSchedule(raw), notified: schedules[login]?.notified || null };
+      } catch (error) {
+        // Keep what we had; try again next poll.
+        console.warn(`Schedule fetch for ${login} failed (${error?.code || 'UNKNOWN'})`);
+      }
+    }
+    await storage.saveSchedules(schedules);
+    return schedules;
+  }
+
+  /**
+   * "Starting soon" notices for offline channels with a scheduled segment
+   * inside the configured lead time (same bell/quiet-hours rules as go-live).
+   */
+  async notifyStartingSoon(lists, statuses, schedules) {
+    const lead = Number(this.settings?.startingSoonMinutes) || 0;
+    if (!lead || !this.settings?.notificationsEnabled || isQuietHours(this.settings?.quietHours)) return;
+
+    const muted = new Set(lists.flat().filter((s) => s.notify === false).map((s) => s.username));
+    let changed = false;
+    for (const login of unionUsernames(lists)) {
+      if (statuses[login] != null || muted.has(login)) continue;
+      const due = dueStartingSoon(schedules[login], lead);
+      if (!due) continue;
+      schedules[login] = { ...schedules[login], notified: due.key };
+      changed = true;
+      notificationManager.notifyStartingSoon(login, due.segment);
+    }
+    if (changed) await storage.saveSchedules(schedules);
+  }
+
+  /**
+   * EventSub (utils/eventsub.js): Twitch pushes live/offline events while the
+   * socket is up. Polling keeps running as the source of stream details —
+   * slower while every channel is subscribed — and is all there is whenever
+   * the socket is down or the token broker can't subscribe.
+   * @param {string[]|null} [logins] - every list's channels; read from storage when omitted
+   */
+  async syncEventSub(logins = null) {
+    // Idle/locked: the socket stays closed until the user is back (handleIdleStateChange).
+    if (this.idleState === 'idle' || this.idleState === 'locked') return;
+    if (!this.settings?.eventSubEnabled || !twitchAPI.supportsEventSub()) {
+      this.stopEventSub();
+      return;
+    }
+    if (!this.eventsub) {
+      this.eventsub = new EventSubSocket({
+        onWelcome: () => {
+          // New session: the previous session's subscriptions died with it.
+          this.eventsubSubs = {};
+          this.eventsubFull = false;
+          return this.syncEventSub();
+        },
+        onEvent: (event) => this.handleLiveEvent(event),
+        onRevoked: (subscription) => this.forgetEventSubSubscription(subscription.id),
+        onStateChange: (connected) => this.handleEventSubState(connected),
+      });
+      this.eventsub.start();
+      return;
+    }
+    const sessionId = this.eventsub.sessionId;
+    if (!sessionId || this._eventsubSyncing) return;
+
+    this._eventsubSyncing = true;
+    try {
+      const wanted = logins || unionUsernames(
+        await Promise.all(getSlots(this.settings).map((slot) => storage.getSlotStreams(slot.id)))
+      );
+      const { add, remove } = diffSubscriptions(this.eventsubSubs, wanted);
+      for (const { login, ids } of remove) {
+        delete this.eventsubSubs[login];
+        for (const id of ids) {
+          await twitchAPI.deleteEventSubSubscription(id, sessionId).catch((e) => console.warn('EventSub unsubscribe failed:', e));
+        }
+      }
+      // Out of subscription budget: only retry once a channel left the lists.
+      if (remove.length > 0) this.eventsubFull = false;
+
+      if (add.length > 0 && !this.eventsubFull) {
+        const userIds = await twitchAPI.getUserIds(add);
+        for (const login of add) {
+          if (!userIds[login]) continue;
+          const ids = [];
+          try {
+            for (const type of EVENTSUB_TYPES) {
+              ids.push(await twitchAPI.createEventSubSubscription(type, userIds[login], sessionId));
+            }
+          } catch (error) {
+            // Half a pair is no use: the channel stays on polling.
+            for (const id of ids.filter(Boolean)) {
+              await twitchAPI.deleteEventSubSubscription(id, sessionId).catch(() => {});
+            }
+            if (error?.code === 'NOT_SUPPORTED') {
+              console.warn('Token broker has no EventSub credentials; polling only.');
+              this.stopEventSub();
+              return;
+            }
+            // RATE_LIMIT = the session's subscription cost limit; the rest stay on polling.
+            console.warn(`EventSub subscribe failed (${error?.code || 'UNKNOWN'}); remaining channels use polling.`);
+            this.eventsubFull = true;
+            break;
+          }
+          this.eventsubSubs[login] = ids;
+        }
+      }
+
+      const coversAll = wanted.every((login) => this.eventsubSubs[login]);
+      if (coversAll !== this.eventsubCoversAll) {
+        this.eventsubCoversAll = coversAll;
+        this.schedulePollAlarm();
+      }
+    } finally {
+      this._eventsubSyncing = false;
+    }
+  }
+
+  stopEventSub() {
+    if (!this.eventsub) return;
+    const socket = this.eventsub;
+    this.eventsub = null;
+    // A deliberate stop misses no events: skip handleEventSubState's catch-up poll.
+    socket.onStateChange = () => {};
+    socket.stop();
+    this.eventsubSubs = {};
+    this.eventsubCoversAll = false;
+    this.liveEvents = {};
+    this.schedulePollAlarm();
+  }
+
+  forgetEventSubSubscription(id) {
+    for (const [login, ids] of Object.entries(this.eventsubSubs)) {
+      if (ids.includes(id)) delete this.eventsubSubs[login];
+    }
+    // Resubscribing would likely be revoked again (e.g. channel banned): leave it to polling.
+    this.eventsubCoversAll = false;
+    this.schedulePollAlarm();
+  }
+
+  handleEventSubState(connected) {
+    if (!connected) {
+      this.eventsubCoversAll = false;
+      // Events may have been missed while the socket was going down.
+      this.forcePollNow().catch((e) => console.warn('Poll after EventSub disconnect failed:', e));
+    }
+    this.schedulePollAlarm();
+  }
+
+  // A channel went live/offline: re-run the poll now, with the event applied
+  // over /streams (which lags behind it).
+  handleLiveEvent(event) {
+    this.liveEvents[event.login] = event;
+    twitchAPI.clearStreamsCache();
+    this.forcePollNow().catch((e) => console.warn('Poll after EventSub event failed:', e));
+  }
+
+  /**
+   * Activate the profile the schedule wants right now (if any) and arm the
+   * alarm for the next boundary. Only runs at boundaries and on schedule edits,
+   * so a profile picked by hand in the popup lasts until the next boundary.
+   */
+  async applyProfileSchedule() {
+    const profileId = scheduledProfileId(this.settings?.profileSchedule);
+    if (profileId && profileId !== this.profile?.id) {
+      // Fires storage.onChanged -> handleProfileChange like a popup switch.
+      const switched = await storage.activateProfile(profileId);
+      if (!switched) console.warn('Scheduled profile not found:', profileId);
+    }
+    await this.scheduleProfileAlarm();
+  }
+
+  async scheduleProfileAlarm() {
+    // One-shot alarm at the exact boundary: alarms survive service-worker
+    // suspension (timers don't) and `when` isn't subject to the 1-minute period floor.
+    const nextAt = nextScheduleBoundary(this.settings?.profileSchedule);
+    if (nextAt) {
+      chrome.alarms.create('tsr-profile-schedule', { when: nextAt });
+    } else {
+      chrome.alarms.clear('tsr-profile-schedule');
+    }
+    await this.patchRuntime('profileSchedule', { nextAt });
   }
 
   stopPolling() {
     chrome.alarms.clear('tsr-poll');
     chrome.alarms.clear('tsr-poll-retry');
+    for (const slot of getSlots(this.settings)) {
+      for (const purpose of Object.values(SLOT_ALARMS)) chrome.alarms.clear(slotAlarmName(purpose, slot));
+    }
   }
 
   scheduleRetry(delayMs) {
@@ -184,6 +642,8 @@ class BackgroundWorker {
     // a transient error. Alarms have a 1-minute floor, which matches the
     // shortest retry delay we use anyway.
     chrome.alarms.create('tsr-poll-retry', { delayInMinutes: Math.max(1, delayMs / 60000) });
+    this.patchRuntime('nextPoll', { at: Date.now() + Math.max(60000, delayMs), reason: POLL_REASONS.RETRY })
+      .catch((e) => console.warn('Failed to save next poll time:', e));
   }
 
   async pollStreams() {
@@ -192,6 +652,8 @@ class BackgroundWorker {
       console.warn('Modules not loaded yet, skipping poll');
       return;
     }
+    // Paused while idle/locked; startPolling polls again on return.
+    if (this.idleState === 'idle' || this.idleState === 'locked') return;
 
     // Prevent concurrent polls
     const now = Date.now();
@@ -201,121 +663,61 @@ class BackgroundWorker {
     this.lastPollTime = now;
 
     try {
-      // If Auto-Swap is enabled but the managed tab is missing, disable Auto-Swap.
-      if (this.settings?.redirectEnabled && this.settings?.managedTwitchTabId != null) {
-        const exists = await new Promise((resolve) => {
-          chrome.tabs.get(this.settings.managedTwitchTabId, (tab) => {
-            if (chrome.runtime.lastError || !tab) return resolve(false);
-            return resolve(true);
-          });
-        });
-        if (!exists) {
-          const newSettings = { ...this.settings, redirectEnabled: false, managedTwitchTabId: null };
-          await storage.saveSettings(newSettings);
-          this.settings = newSettings;
-          this.updateBadge({ enabled: false, liveCount: 0 });
-          return;
+      // If Auto-Swap is enabled but a managed tab is missing, release its slot
+      // (and disable Auto-Swap once no slot has a tab left).
+      if (this.settings?.redirectEnabled) {
+        for (const slot of getSlots(this.settings)) {
+          if (slot.tabId != null && !(await this.tabExists(slot.tabId))) {
+            await this.releaseManagedTab(slot.tabId);
+          }
         }
+        if (!this.settings?.redirectEnabled) return;
       }
 
-      const streams = await storage.getStreams();
-      if (streams.length === 0) {
+      const slots = getSlots(this.settings);
+      const lists = await Promise.all(slots.map((slot) => storage.getSlotStreams(slot.id)));
+      if (lists.every((list) => list.length === 0)) {
         this.updateBadge({ enabled: !!this.settings?.redirectEnabled, liveCount: 0 });
+        this.pollTops = [];
+        this.schedulePollAlarm();
         return;
       }
 
-      // Sort by priority
-      const prioritized = [...streams].sort((a, b) => a.priority - b.priority);
-
-      // Check stream statuses (batch request)
-      const usernames = prioritized.map(s => s.username);
-      const statuses = await twitchAPI.checkStreamsStatus(usernames);
-
-      // Find highest priority live stream
-      let highestPriorityLive = null;
-      // Track status updates we want to persist back to storage without clobbering list edits
-      const statusUpdatesByUsername = new Map();
-
-      for (const stream of prioritized) {
-        // Missing entries (e.g. usernames the API layer filtered out as invalid)
-        // must count as offline, so check for both null and undefined.
-        const isLive = statuses[stream.username] != null;
-        
-        // Update stream status
-        stream.isLive = isLive;
-        stream.streamData = statuses[stream.username] || null;
-
-        if (isLive && !highestPriorityLive) {
-          highestPriorityLive = stream;
-        }
-
-        // Send notifications for newly live streams (respects per-channel bell + quiet hours)
-        if (isLive) {
-          const wasLive = stream.wasLive || false;
-          const wantsNotify = this.settings?.notificationsEnabled
-            && stream.notify !== false
-            && !isQuietHours(this.settings?.quietHours);
-          if (!wasLive && stream.streamData && wantsNotify) {
-            notificationManager.notifyStreamLive(
-              stream.username,
-              stream.streamData.title,
-              stream.streamData.game_name,
-              stream.streamData.thumbnail_url,
-              stream.streamData.viewer_count
-            );
-          }
-          stream.wasLive = true;
-        } else {
-          stream.wasLive = false;
-        }
-
-        statusUpdatesByUsername.set(stream.username, {
-          isLive: stream.isLive,
-          streamData: stream.streamData,
-          wasLive: stream.wasLive
-        });
-      }
-
-      // If any list stream is live, we are not in category fallback mode anymore.
-      if (highestPriorityLive) {
-        await this.setFallbackRuntime({ active: false });
+      // Check stream statuses: one batched request for every slot's list
+      const usernames = unionUsernames(lists);
+      const statuses = applyLiveEvents(await twitchAPI.checkStreamsStatus(usernames), this.liveEvents);
+
+      // A channel on several lists notifies once per poll, and plays in only
+      // one tab: earlier slots (main first) claim it.
+      const notified = new Set();
+      const claimed = new Set();
+      // Same for journal entries: one "went live" per channel, whatever the list count.
+      const journaled = new Set();
+      const targets = [];
+      for (let i = 0; i < slots.length; i++) {
+        const target = await this.pollSlot(slots[i], lists[i], statuses, { notified, claimed, journaled });
+        if (target) claimed.add(target.username);
+        targets.push(target);
       }
 
       // Badge: live-count at a glance; color signals whether Auto-Swap is on
+      const liveUsernames = unionUsernames(lists.map((list) => list.filter((s) => s.isLive)));
       this.updateBadge({
         enabled: !!this.settings?.redirectEnabled,
-        liveCount: prioritized.filter((s) => s.isLive).length,
-        target: highestPriorityLive?.username || null
+        liveCount: liveUsernames.length,
+        target: targets[0]?.username || null
       });
 
-      // Save updated stream statuses WITHOUT overwriting list edits that might have happened mid-poll
-      // (e.g., user adds/reorders streams while we're awaiting the network call).
-      const latestStreams = await storage.getStreams();
-      for (const s of latestStreams) {
-        const update = statusUpdatesByUsername.get(s.username);
-        if (update) {
-          s.isLive = update.isLive;
-          s.streamData = update.streamData;
-          s.wasLive = update.wasLive;
-        }
-      }
-      await storage.saveStreams(latestStreams);
+      // Follow list edits with the EventSub subscriptions (a no-op when nothing changed).
+      await this.syncEventSub(usernames).catch((e) => console.warn('EventSub sync failed:', e));
 
-      // Handle auto-switching
-      if (this.settings?.redirectEnabled) {
-        await this.handleAutoSwitch(highestPriorityLive, prioritized);
-      }
-
-      // Handle category fallback if no streams are live
-      if (!highestPriorityLive && this.settings?.fallbackCategory) {
-        await this.handleCategoryFallback({ force: false, reason: 'auto' });
-      }
-
-      // Update analytics (premium feature)
-      if (this.settings?.premiumStatus) {
-        await this.updateAnalytics(highestPriorityLive);
-      }
+      // Schedules are best-effort extras: a failure here must not fail the poll.
+      const schedules = await this.refreshSchedules(usernames)
+        .catch((e) => { console.warn('Schedule refresh failed:', e); return {}; });
+      await this.notifyStartingSoon(lists, statuses, schedules);
 
+      this.pollTops = await this.planTops(lists, statuses, schedules);
+      this.schedulePollAlarm();
     } catch (error) {
       console.error('Error polling streams:', error);
 
@@ -326,35 +728,355 @@ class BackgroundWorker {
       const retryDelay = retryDelayMs(error);
       this.scheduleRetry(retryDelay);
       console.warn(`Poll failed (${error?.code || 'UNKNOWN'}) - retrying in ${Math.round(retryDelay / 60000)} minute(s)`);
+      await this.recordEvent({
+        type: JOURNAL_EVENTS.POLL_FAILED,
+        reason: error?.code || 'UNKNOWN',
+        detail: error?.message || null,
+      });
+    }
+  }
+
+  /**
+   * One slot's share of a poll: apply this poll's statuses to its list, then
+   * switch (or fall back) its managed tab. Returns the slot's pick, or null.
+   */
+  async pollSlot(slot, streams, statuses, { notified, claimed, journaled }) {
+    if (streams.length === 0) {
+      await this.clearPendingSwitch(slot);
+      return null;
+    }
+
+    // Sort by tier, then priority
+    const tiers = normalizeTiers(this.settings?.tiers);
+    const prioritized = sortByTier(streams, tiers.length);
+
+    // Live, rule-approved entries; the best one is picked after the loop
+    const eligible = [];
+    // Track status updates we want to persist back to storage without clobbering list edits
+    const statusUpdatesByUsername = new Map();
+
+    // Temporary raid entries that ended (or expired) leave the list with this poll.
+    const dropped = new Set();
+    const now = Date.now();
+
+    for (const stream of prioritized) {
+      // Missing entries (e.g. usernames the API layer filtered out as invalid)
+      // must count as offline, so check for both null and undefined.
+      const isLive = statuses[stream.username] != null;
+      if (shouldDropRaidEntry(stream, isLive, now)) {
+        dropped.add(stream.username);
+        continue;
+      }
+      // As of the previous poll (entries arriving via a profile switch start out offline)
+      const wasShownLive = stream.isLive === true;
+
+      // Update stream status
+      stream.isLive = isLive;
+      stream.streamData = statuses[stream.username] || null;
+
+      // Per-channel rules (category/title/viewers) can veto a live entry; the
+      // reason is persisted so the popup and page indicator can explain the skip.
+      const verdict = isLive
+        ? evaluateSwitchRules(stream.rules, stream.streamData)
+        : { allowed: true, reason: null };
+      stream.skipReason = verdict.allowed ? null : verdict.reason;
+
+      if (isLive && verdict.allowed && !claimed.has(stream.username)) {
+        eligible.push(stream);
+      }
+
+      // Send notifications for newly live streams (respects per-channel bell + quiet hours)
+      if (isLive) {
+        const wasLive = stream.wasLive || false;
+        const wantsNotify = this.settings?.notificationsEnabled
+          && stream.notify !== false
+          && !notified.has(stream.username)
+          && !isQuietHours(this.settings?.quietHours);
+        if (!wasLive && stream.streamData && wantsNotify) {
+          notified.add(stream.username);
+          notificationManager.notifyStreamLive(
+            stream.username,
+            stream.streamData.title,
+            stream.streamData.game_name,
+            stream.streamData.thumbnail_url,
+            stream.streamData.viewer_count
+          );
+        }
+        if (!wasLive) await this.recordTransition(JOURNAL_EVENTS.LIVE, stream, journaled);
+        stream.wasLive = true;
+      } else {
+        if (wasShownLive) await this.recordTransition(JOURNAL_EVENTS.OFFLINE, stream, journaled);
+        stream.wasLive = false;
+      }
+
+      statusUpdatesByUsername.set(stream.username, {
+        isLive: stream.isLive,
+        streamData: stream.streamData,
+        wasLive: stream.wasLive,
+        skipReason: stream.skipReason
+      });
+    }
+
+    const lastWatched = this.recordWatched(prioritized, slot);
+    const highestPriorityLive = pickHighestPriorityLive(eligible, tiers, {
+      currentChannel: this.slotRuntime(slot).switching.channel || null,
+      lastWatched,
+    });
+    await this.patchSlotRuntime(slot, 'switching', {
+      target: highestPriorityLive?.username || null,
+      lastWatched,
+    });
+
+    // If any list stream is live, we are not in category fallback mode anymore.
+    if (highestPriorityLive) {
+      await this.setFallbackRuntime({ active: false }, slot);
+    }
+
+    // Save updated stream statuses WITHOUT overwriting list edits that might have happened mid-poll
+    // (e.g., user adds/reorders streams while we're awaiting the network call).
+    const latestStreams = (await storage.getSlotStreams(slot.id)).filter((s) => !dropped.has(s.username));
+    for (const s of latestStreams) {
+      const update = statusUpdatesByUsername.get(s.username);
+      if (update) {
+        s.isLive = update.isLive;
+        s.streamData = update.streamData;
+        s.wasLive = update.wasLive;
+        s.skipReason = update.skipReason;
+      }
+    }
+    await storage.saveSlotStreams(slot.id, latestStreams);
+
+    // The user just went back (or snoozed switching), or a raid is being
+    // watched: leave the tab alone until the pause ends.
+    const suspended = this.isSlotSuspended(slot);
+
+    // Handle auto-switching
+    if (this.settings?.redirectEnabled && !suspended) {
+      await this.handleAutoSwitch(highestPriorityLive, prioritized, slot);
+    }
+
+    // Handle category fallback if no streams are live; VOD fallback stands in when it is off
+    if (!highestPriorityLive && slot.fallbackCategory && !suspended) {
+      await this.handleCategoryFallback({ force: false, reason: 'auto', slot });
+    } else if (!highestPriorityLive && !suspended && this.settings?.redirectEnabled) {
+      await this.handleVodFallback({ force: false, prioritized, slot });
+    }
+
+    // Update analytics (premium feature)
+    if (this.settings?.premiumStatus) {
+      await this.updateAnalytics(highestPriorityLive);
+    }
+
+    return highestPriorityLive;
+  }
+
+  async tabExists(tabId) {
+    return new Promise((resolve) => {
+      chrome.tabs.get(tabId, (tab) => {
+        if (chrome.runtime.lastError || !tab) return resolve(false);
+        return resolve(true);
+      });
+    });
+  }
+
+  /**
+   * A managed tab is gone: unbind its slot, and disable Auto-Swap once no
+   * slot has a tab left (which is the single-tab behavior).
+   */
+  async releaseManagedTab(tabId) {
+    const slot = findSlotByTab(this.settings, tabId);
+    if (!slot) return;
+
+    const patch = patchSlotSettings(this.settings, slot.id, { tabId: null });
+    if (!getSlots({ ...this.settings, ...patch }).some((s) => s.tabId != null)) {
+      patch.redirectEnabled = false;
+    }
+    await storage.saveSettings(patch);
+    this.settings = { ...this.settings, ...patch };
+    delete this.currentWatching[slot.id];
+    if (patch.redirectEnabled === false) {
+      this.updateBadge({ enabled: false, liveCount: 0 });
     }
   }
 
-  async handleAutoSwitch(liveStream) {
+  async handleAutoSwitch(liveStream, prioritized = [], slot = this.mainSlot()) {
     if (!liveStream) {
+      await this.clearPendingSwitch(slot);
       return;
     }
 
     // Check if we should switch
-    const shouldSwitch = await this.shouldSwitchToStream(liveStream);
+    const shouldSwitch = await this.shouldSwitchToStream(liveStream, slot);
+    const current = this.currentWatching[slot.id] || null;
+    await this.noteCurrentChannel(current, slot);
 
-    if (shouldSwitch) {
-      if (this.settings?.promptBeforeSwitch) {
-        await this.promptBeforeSwitch(liveStream);
-      } else {
-        await this.switchToStream(liveStream);
-        this.currentWatchingStream = liveStream.username;
-      }
+    if (!shouldSwitch) {
+      await this.clearPendingSwitch(slot);
+      return;
+    }
+
+    const { hold, currentIsLive } = await this.findSwitchHold(liveStream, prioritized, slot);
+    if (hold) {
+      await this.deferSwitch(liveStream.username, hold, slot);
+      return;
+    }
+    await this.clearPendingSwitch(slot);
+
+    if (this.settings?.promptBeforeSwitch) {
+      await this.promptBeforeSwitch(liveStream, slot);
+    } else {
+      let reason = 'higher-priority';
+      if (!current) reason = 'no-channel';
+      else if (currentIsLive === false) reason = 'current-offline';
+      await this.switchToStream(liveStream, slot, reason);
+    }
+  }
+
+  /**
+   * What a switch to `liveStream` has to wait for right now: the switch mode
+   * (queue/sticky, no end time), then the hysteresis and interaction holds.
+   * @returns {Promise<{hold: {until: number|null, reason: string}|null, currentIsLive: boolean|null}>}
+   */
+  async findSwitchHold(liveStream, prioritized = [], slot = this.mainSlot()) {
+    const current = this.currentWatching[slot.id] || null;
+    // Non-preemptive mode / sticky entries: keep watching until the current stream ends.
+    const currentIsLive = await this.isCurrentChannelLive(prioritized, slot);
+    const { fallback } = this.slotRuntime(slot);
+    const policy = shouldHoldCurrentStream({
+      mode: slot.switchMode,
+      currentChannel: current,
+      targetUsername: liveStream.username,
+      currentEntry: prioritized.find((s) => s.username === current) || null,
+      currentIsLive,
+      onFallback: !!fallback.active && fallback.username === current,
+    });
+    if (policy.hold) return { hold: { until: null, reason: policy.reason }, currentIsLive };
+
+    const hold = this.evaluateSwitchHold(liveStream, currentIsLive, slot);
+    return { hold: hold.allowed ? null : hold, currentIsLive };
+  }
+
+  /**
+   * Live state of the channel the managed tab is showing: list entries come
+   * from this poll; other channels are only looked up in queue mode (the one
+   * place the answer changes the decision). null = unknown.
+   */
+  async isCurrentChannelLive(prioritized = [], slot = this.mainSlot()) {
+    const current = this.currentWatching[slot.id];
+    if (!current) return null;
+    const entry = prioritized.find((s) => s.username === current);
+    if (entry) return !!entry.isLive;
+    const { fallback } = this.slotRuntime(slot);
+    if (fallback.active && fallback.username === current) return true;
+    if (normalizeSwitchMode(slot.switchMode) !== 'queue') return null;
+    try {
+      return (await twitchAPI.checkStreamStatus(current)) != null;
+    } catch (error) {
+      console.warn('Failed to check current channel status:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Hysteresis check for a switch that shouldSwitchToStream already approved.
+   * "Preempting" means the tab is on a channel we can't show is offline —
+   * a live list entry, the fallback stream, or a channel the user picked.
+   * Also holds while the user is using the tab (utils/interaction-hold.js).
+   */
+  evaluateSwitchHold(liveStream, currentIsLive = null, slot = this.mainSlot()) {
+    const current = this.currentWatching[slot.id];
+    const preempting = !!current && currentIsLive !== false;
+    const { switching, interaction } = this.slotRuntime(slot);
+    const now = Date.now();
+
+    const stability = evaluateSwitchStability({
+      now,
+      config: this.settings?.switchStability,
+      lastSwitchAt: switching.lastSwitchAt || null,
+      currentSince: switching.channel === current ? (switching.since || null) : null,
+      candidateStartedAt: liveStream.streamData?.started_at || null,
+      preempting,
+    });
+    // The user busy on the managed tab is a hold too; wait for whichever ends later.
+    const { pending } = switching;
+    const busy = evaluateInteractionHold(interaction, this.settings?.interactionQuietSeconds, now, {
+      preempting,
+      heldSince: pending?.username === liveStream.username ? pending.since : null,
+      // The in-page countdown shows in fullscreen, so fullscreen alone doesn't wait for it.
+      countdown: !!this.settings?.promptBeforeSwitch,
+    });
+    if (busy.allowed || (!stability.allowed && stability.until >= busy.until)) return stability;
+    return busy;
+  }
+
+  async deferSwitch(username, hold, slot = this.mainSlot()) {
+    const prev = this.slotRuntime(slot).switching.pending;
+    if (prev?.username !== username || prev?.until !== hold.until || prev?.reason !== hold.reason) {
+      await this.patchSlotRuntime(slot, 'switching', { pending: nextPendingSwitch(prev, username, hold) });
     }
+    // Re-check exactly when the hold ends instead of waiting for the next poll
+    // (which may be up to 10 minutes away). Alarms survive worker suspension.
+    // Queue/sticky holds have no end time; the regular poll notices the stream ending.
+    if (hold.until) {
+      chrome.alarms.create(slotAlarmName(SLOT_ALARMS.DEFERRED, slot), { when: hold.until });
+    } else {
+      chrome.alarms.clear(slotAlarmName(SLOT_ALARMS.DEFERRED, slot));
+    }
+  }
+
+  async clearPendingSwitch(slot = this.mainSlot()) {
+    if (!this.slotRuntime(slot).switching.pending) return;
+    chrome.alarms.clear(slotAlarmName(SLOT_ALARMS.DEFERRED, slot));
+    await this.patchSlotRuntime(slot, 'switching', { pending: null });
+  }
+
+  // Track when the managed tab arrived on its current channel (including manual
+  // navigation), which is what the minimum dwell time is measured from.
+  async noteCurrentChannel(channel, slot = this.mainSlot()) {
+    const ch = channel || null;
+    if ((this.slotRuntime(slot).switching.channel || null) === ch) return;
+    await this.patchSlotRuntime(slot, 'switching', { channel: ch, since: Date.now() });
   }
 
-  async promptBeforeSwitch(stream) {
+  /**
+   * Stamp the list entry the managed tab is on and drop entries that left the
+   * list. Returns the new map; the caller persists it.
+   */
+  recordWatched(prioritized, slot = this.mainSlot()) {
+    const { switching } = this.slotRuntime(slot);
+    const prev = switching.lastWatched || {};
+    const next = {};
+    for (const s of prioritized) {
+      if (prev[s.username]) next[s.username] = prev[s.username];
+    }
+    const channel = switching.channel;
+    if (channel && prioritized.some((s) => s.username === channel)) {
+      next[channel] = Date.now();
+    }
+    return next;
+  }
+
+  async promptBeforeSwitch(stream, slot = this.mainSlot()) {
     if (Date.now() < this.snoozeUntil) return;
+    // One countdown per tab: polls during it don't ask again.
+    if (this.countdowns.has(slot.id)) return;
+
+    // In-page countdown first; the notification is easy to miss in fullscreen.
+    // Not awaited: the poll's other tabs shouldn't wait on this one's answer.
+    this.runSwitchCountdown(stream, slot)
+      .then((action) => (action
+        ? this.handleCountdownAction(action, stream, slot)
+        : this.notifyBeforeSwitch(stream, slot)))
+      .catch((e) => console.warn('Switch prompt failed:', e));
+  }
 
+  async notifyBeforeSwitch(stream, slot) {
     const notificationId = `tsr_autoswap_${Date.now()}`;
     await chrome.storage.local.set({
       pendingSwitch: {
         notificationId,
         username: stream.username,
+        slotId: slot.id,
         createdAt: Date.now()
       }
     });
@@ -363,7 +1085,10 @@ class BackgroundWorker {
       type: 'basic',
       iconUrl: 'icons/icon-128.png',
       title: 'Auto-Swap ready',
-      message: `Switch to ${stream.username}?`,
+      // Name the tab only when there is more than one to tell apart
+      message: getSlots(this.settings).length > 1
+        ? `Switch ${slot.name} to ${stream.username}?`
+        : `Switch to ${stream.username}?`,
       buttons: [
         { title: 'Switch' },
         { title: 'Not now' }
@@ -376,22 +1101,99 @@ class BackgroundWorker {
     const { pendingSwitch } = await chrome.storage.local.get(['pendingSwitch']);
     if (!pendingSwitch || pendingSwitch.notificationId !== notificationId) return;
 
+    // Prompts from before multi-tab support have no slotId: main slot
+    const slot = getSlots(this.settings).find((s) => s.id === pendingSwitch.slotId) || this.mainSlot();
     if (buttonIndex === 0) {
-      // Switch
-      await this.switchToStream({ username: pendingSwitch.username });
-      this.currentWatchingStream = pendingSwitch.username;
+      await this.recordEvent({ type: JOURNAL_EVENTS.PROMPT_ACCEPTED, channel: pendingSwitch.username, slotId: slot.id });
+      await this.switchToStream({ username: pendingSwitch.username }, slot, 'prompt');
     } else {
+      await this.recordEvent({ type: JOURNAL_EVENTS.PROMPT_DECLINED, channel: pendingSwitch.username, slotId: slot.id });
       // Snooze prompts for 5 minutes
-      this.snoozeUntil = Date.now() + 5 * 60 * 1000;
+      this.snoozeUntil = Date.now() + PROMPT_SNOOZE_MS;
     }
 
     await chrome.storage.local.remove(['pendingSwitch']);
     chrome.notifications.clear(notificationId);
   }
 
-  async shouldSwitchToStream(stream) {
-    // Only manage exactly one Twitch tab (if set)
-    const managedTabId = this.settings?.managedTwitchTabId;
+  /**
+   * Ask the managed tab's page to run the switch countdown and wait for its
+   * answer (content/switch-countdown.js). Returns null when the tab has no
+   * content script (e.g. still loading) or the page is hidden, so the caller
+   * falls back to the notification; no answer in time counts as the
+   * countdown running out.
+   */
+  async runSwitchCountdown(stream, slot) {
+    if (!slot.tabId) return null;
+    this.countdowns.add(slot.id);
+    let timer = null;
+    try {
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ action: COUNTDOWN_ACTIONS.TIMEOUT }),
+          SWITCH_COUNTDOWN_SECONDS * 1000 + SWITCH_COUNTDOWN_GRACE_MS);
+      });
+      const answer = chrome.tabs.sendMessage(slot.tabId, {
+        type: 'TSR_SWITCH_COUNTDOWN',
+        username: stream.username,
+        seconds: SWITCH_COUNTDOWN_SECONDS,
+      });
+      // Losing the race to the timeout must not leave a rejection unhandled.
+      answer.catch(() => {});
+      return normalizeCountdownAction(await Promise.race([answer, timeout]));
+    } catch {
+      // No receiving end in the tab.
+      return null;
+    } finally {
+      clearTimeout(timer);
+      this.countdowns.delete(slot.id);
+    }
+  }
+
+  async handleCountdownAction(action, stream, slot) {
+    const outcome = countdownOutcome(action);
+    if (outcome.switchNow) {
+      const confirmed = await this.confirmCountdownSwitch(stream, slot);
+      if (!confirmed) return;
+      await this.recordEvent({ type: JOURNAL_EVENTS.PROMPT_ACCEPTED, channel: stream.username, reason: action, slotId: slot.id });
+      await this.switchToStream(confirmed.stream, confirmed.slot, 'prompt');
+      return;
+    }
+    await this.recordEvent({ type: JOURNAL_EVENTS.PROMPT_DECLINED, channel: stream.username, reason: action, slotId: slot.id });
+    if (outcome.snooze === 'switching') {
+      if (!this.isSnoozed()) await this.toggleSnooze();
+    } else {
+      this.snoozeUntil = Date.now() + PROMPT_SNOOZE_MS;
+    }
+  }
+  /**
+   * The countdown ran for seconds and polls may have run meanwhile: re-run the
+   * switch decision before navigating. Null = the switch no longer stands
+   * (the next poll decides afresh); a new hold is recorded as pending.
+   * @returns {Promise<{stream: Object, slot: Object}|null>}
+   */
+  async confirmCountdownSwitch(stream, slot) {
+    const fresh = getSlots(this.settings).find((s) => s.id === slot.id);
+    if (!fresh || fresh.tabId !== slot.tabId || !this.settings?.redirectEnabled) return null;
+    if (this.isSlotSuspended(fresh)) return null;
+    // Still what the latest poll would pick.
+    if (this.slotRuntime(fresh).switching.target !== stream.username) return null;
+    if (!(await this.shouldSwitchToStream(stream, fresh))) return null;
+
+    twitchAPI.clearStreamsCache();
+    const streamData = await twitchAPI.checkStreamStatus(stream.username).catch(() => null);
+    if (!streamData) return null;
+    const live = { ...stream, isLive: true, streamData };
+    const { hold } = await this.findSwitchHold(live, await storage.getSlotStreams(fresh.id), fresh);
+    if (hold) {
+      await this.deferSwitch(stream.username, hold, fresh);
+      return null;
+    }
+    return { stream: live, slot: fresh };
+  }
+
+  async shouldSwitchToStream(stream, slot = this.mainSlot()) {
+    // Only manage the slot's own Twitch tab (if set)
+    const managedTabId = slot.tabId;
     if (!managedTabId) return false;
 
     // Get that specific tab (not the active tab)
@@ -416,7 +1218,7 @@ class BackgroundWorker {
         }
 
         const currentlyWatching = getChannelFromTwitchUrl(currentUrl);
-        this.currentWatchingStream = currentlyWatching;
+        this.currentWatching[slot.id] = currentlyWatching;
 
         // Don't switch if we're already on the target channel page
         if (currentlyWatching && currentlyWatching === stream.username) {
@@ -429,9 +1231,9 @@ class BackgroundWorker {
     });
   }
 
-  async switchToStream(stream) {
+  async switchToStream(stream, slot = this.mainSlot(), reason = 'higher-priority') {
     return new Promise((resolve) => {
-      const managedTabId = this.settings?.managedTwitchTabId;
+      const managedTabId = slot.tabId;
       if (!managedTabId) {
         resolve(false);
         return;
@@ -443,31 +1245,428 @@ class BackgroundWorker {
           return;
         }
 
-        const streamUrl = `https://www.twitch.tv/${stream.username}`;
-
         // Update the tab
-        chrome.tabs.update(managedTabId, { url: streamUrl }, () => {
-          this.currentWatchingStream = stream.username;
-          
-          // Update analytics
-          if (this.settings?.premiumStatus) {
-            this.recordSwitch(stream.username);
-          }
-          
-          resolve(true);
-        });
+        await this.navigateManagedTab(managedTabId, stream.username, slot, { type: JOURNAL_EVENTS.SWITCH, reason });
+
+        // Update analytics
+        if (this.settings?.premiumStatus) {
+          this.recordSwitch(stream.username);
+        }
+
+        resolve(true);
       });
     });
   }
 
-  async handleCategoryFallback({ force = false, reason = 'auto' } = {}) {
-    return this._handleCategoryFallbackInternal({ force, reason });
+  /**
+   * Single choke point for every navigation of the managed tab (list switches,
+   * prompts, fallback rerolls), so switch bookkeeping and tab effects can't be skipped.
+   * @param {{type: string, reason?: string, detail?: string}} [event] - journal entry for this navigation
+   */
+  async navigateManagedTab(tabId, username, slot = this.mainSlot(), event = null, { path = null } = {}) {
+    const from = this.currentWatching[slot.id] || null;
+    // `path` opens another page of the channel's, e.g. one of its videos.
+    const url = `https://www.twitch.tv/${path || username}`;
+    // Mute/unmute and focus per settings.tabEffects (utils/tab-effects.js).
+    const effects = planTabEffects(this.settings?.tabEffects, {
+      fallback: event?.type === JOURNAL_EVENTS.FALLBACK || event?.type === JOURNAL_EVENTS.VOD,
+      quiet: isQuietHours(this.settings?.quietHours),
+      quietMuted: !!this.slotRuntime(slot).switching.quietMuted,
+    });
+    await new Promise((resolve) => {
+      chrome.tabs.update(tabId, { url, ...(effects.muted !== undefined ? { muted: effects.muted } : {}) }, () => resolve(true));
+    });
+    if (effects.focus) await focusTab(tabId);
+    this.currentWatching[slot.id] = username;
+    const now = Date.now();
+    await this.patchSlotRuntime(slot, 'switching', {
+      lastSwitchAt: now,
+      channel: username,
+      since: now,
+      pending: null,
+      quietMuted: effects.quietMuted,
+    });
+    // Remember where the tab was, unless this navigation is itself a "Back".
+    if (from && from !== username && event?.type !== JOURNAL_EVENTS.BACK) {
+      const { navigation } = this.slotRuntime(slot);
+      await this.patchSlotRuntime(slot, 'navigation', { stack: pushNavStack(navigation.stack, from) });
+    }
+    if (event) {
+      await this.recordEvent({ ...event, channel: username, from, slotId: slot.id });
+    }
+  }
+
+  /**
+   * Navigate a managed tab back to the channel it was on before the last
+   * automatic navigation, and pause Auto-Swap for it so the next poll doesn't
+   * undo that.
+   * @returns {Promise<string|null>} the channel we went back to
+   */
+  async goBack(slot = this.mainSlot()) {
+    if (slot.tabId == null || !(await this.tabExists(slot.tabId))) return null;
+    const { navigation, switching } = this.slotRuntime(slot);
+    const current = this.currentWatching[slot.id] || switching.channel || null;
+    const { channel, stack } = popNavStack(navigation.stack, current);
+    if (!channel) return null;
+
+    const suspendedUntil = Date.now() + BACK_SUSPEND_MS;
+    await this.patchSlotRuntime(slot, 'navigation', { stack, suspendedUntil });
+    // The channel we return to is the user's pick, not a fallback stream.
+    await this.setFallbackRuntime({ active: false }, slot);
+    await this.navigateManagedTab(slot.tabId, channel, slot, { type: JOURNAL_EVENTS.BACK });
+    // Resume right when the pause ends instead of waiting for the next poll.
+    chrome.alarms.create(slotAlarmName(SLOT_ALARMS.RESUME, slot), { when: suspendedUntil });
+    return channel;
   }
 
-  async _handleCategoryFallbackInternal({ force, reason }) {
-    if (!this.settings?.fallbackCategory) return false;
+  /**
+   * A managed tab changed URL (tabs.onUpdated). Twitch raids are client-side
+   * navigations to the target with ?referrer=raid; Twitch may strip the
+   * parameter right after, so the raid lasts until the tab leaves the target.
+   */
+  async handleManagedTabUrl(tabId, url) {
+    const slot = findSlotByTab(this.settings, tabId);
+    if (!slot || !this.settings?.redirectEnabled) return;
+    const { raid, switching } = this.slotRuntime(slot);
+    const channel = getChannelFromTwitchUrl(url || '');
+
+    if (!isRaidReferrerUrl(url || '') || !channel) {
+      if (raid.channel && channel !== raid.channel) {
+        await this.patchSlotRuntime(slot, 'raid', { channel: null, from: null, at: 0, until: 0 });
+      }
+      return;
+    }
+    if (raid.channel === channel) return;
+
+    const policy = normalizeRaidPolicy(this.settings);
+    const from = this.currentWatching[slot.id] || switching.channel || null;
+    const next = startRaid(policy, { channel, from });
+    await this.patchSlotRuntime(slot, 'raid', next);
+    this.currentWatching[slot.id] = channel;
+    await this.noteCurrentChannel(channel, slot);
+    // The raid target is neither the fallback stream nor a pending switch.
+    await this.setFallbackRuntime({ active: false }, slot);
+    await this.clearPendingSwitch(slot);
+    await this.recordEvent({
+      type: JOURNAL_EVENTS.RAID,
+      channel,
+      from: next.from,
+      slotId: slot.id,
+      reason: policy.mode,
+      detail: policy.mode === RAID_POLICIES.STAY ? `for ${policy.stayMinutes} min` : null,
+    });
+
+    if (policy.mode === RAID_POLICIES.STAY) {
+      // Resume right when the hold ends instead of waiting for the next poll.
+      chrome.alarms.create(slotAlarmName(SLOT_ALARMS.RAID_STAY, slot), { when: next.until });
+      return;
+    }
+    if (policy.mode === RAID_POLICIES.ADD) {
+      storage.clearCache();
+      const streams = await storage.getSlotStreams(slot.id);
+      const entry = createRaidEntry(streams, channel, normalizeTiers(this.settings?.tiers).length, { from: next.from });
+      if (entry) {
+        // It is live (it's being raided): don't announce it as going live.
+        await storage.saveSlotStreams(slot.id, [...streams, { ...entry, isLive: true, wasLive: true }]);
+      }
+    }
+    // add/ignore: normal priority logic decides right away.
+    await this.forcePollNow();
+  }
+
+  /**
+   * The page in a tab saw its stream end (content/stream-end-watcher.js):
+   * check now instead of on the next poll alarm.
+   * @param {number} tabId
+   * @param {{channel?: string|null, reason?: 'offline'|'raid'}} info
+   * @returns {Promise<boolean>} true if a check ran
+   */
+  async handleStreamEnded(tabId, { reason } = {}) {
+    const slot = findSlotByTab(this.settings, tabId);
+    if (!slot || !this.settings?.redirectEnabled) return false;
+    // A raid countdown: unless raids are ignored, let the raid land first (handleManagedTabUrl).
+    if (reason === 'raid' && normalizeRaidPolicy(this.settings).mode !== RAID_POLICIES.IGNORE) return false;
+
+    await this.forcePollNow();
+    // The API can report the stream live for a little while after the page
+    // shows it ended: look once more shortly.
+    chrome.alarms.create(slotAlarmName(SLOT_ALARMS.STREAM_END, slot), { when: Date.now() + STREAM_END_RECHECK_MS });
+    return true;
+  }
+
+  /**
+   * Interaction report from a page (TSR_INTERACTION). Only the managed tabs'
+   * reports are kept; evaluateSwitchHold reads them on the next check.
+   */
+  async handleInteraction(tabId, message) {
+    const slot = findSlotByTab(this.settings, tabId);
+    if (!slot) return false;
+    await this.patchSlotRuntime(slot, 'interaction', normalizeInteractionReport(message));
+    return true;
+  }
+
+  // Going back, a raid being watched or the snooze: leave the tab alone.
+  isSlotSuspended(slot = this.mainSlot()) {
+    const { navigation, raid } = this.slotRuntime(slot);
+    return isNavSuspended(navigation) || isRaidHoldActive(raid) || this.isSnoozed();
+  }
+
+  isSnoozed() {
+    return Number(this.runtime?.snooze?.until) > Date.now();
+  }
+
+  /**
+   * Keyboard shortcuts (manifest `commands`). Per-tab commands act on the
+   * managed tab you're looking at, or the main one.
+   */
+  async handleCommand(command) {
+    switch (command) {
+      case 'toggle-autoswap':
+        return this.toggleAutoSwap();
+      case 'force-poll':
+        return this.forcePollNow();
+      case 'fallback-reroll':
+        return this.rerollFallback(await this.focusedSlot());
+      case 'go-to-managed-tab':
+        return this.focusNextManagedTab();
+      case 'snooze-switching':
+        return this.toggleSnooze();
+      default:
+        return undefined;
+    }
+  }
+
+  async activeTabId() {
+    const tabs = await new Promise((resolve) => {
+      chrome.tabs.query({ active: true, lastFocusedWindow: true }, resolve);
+    });
+    return tabs?.[0]?.id ?? null;
+  }
+
+  async focusedSlot() {
+    return findSlotByTab(this.settings, await this.activeTabId()) || this.mainSlot();
+  }
+
+  async toggleAutoSwap() {
+    return this.setAutoSwap(!this.settings?.redirectEnabled);
+  }
+
+  /**
+   * Same as the popup toggle, minus the confirm: enabling binds the main slot
+   * (to its existing tab if it is still open), disabling releases every tab.
+   */
+  async setAutoSwap(enabled) {
+    let patch;
+    if (!enabled) {
+      patch = {
+        redirectEnabled: false,
+        managedTwitchTabId: null,
+        extraSlots: normalizeExtraSlots(this.settings?.extraSlots).map((slot) => ({ ...slot, tabId: null })),
+      };
+    } else {
+      const main = this.mainSlot();
+      const otherTabIds = getSlots(this.settings)
+        .filter((slot) => slot.id !== MAIN_SLOT_ID && slot.tabId != null)
+        .map((slot) => slot.tabId);
+      const tabId = main.tabId != null && (await this.tabExists(main.tabId))
+        ? main.tabId
+        : await pickTwitchTab(otherTabIds);
+      patch = { redirectEnabled: true, managedTwitchTabId: tabId };
+    }
+    await storage.saveSettings(patch);
+    // Apply now rather than on storage.onChanged, so enabling polls right away.
+    this.lastPollTime = 0;
+    await this.handleSettingsChange(await storage.getSettings());
+  }
+
+  // Cycles through the managed tabs when one of them is already focused.
+  async focusNextManagedTab() {
+    const bound = getSlots(this.settings).filter((slot) => slot.tabId != null);
+    if (bound.length === 0) return false;
+    const activeId = await this.activeTabId();
+    // -1 when no managed tab is focused: start with the first (main) one
+    const current = bound.findIndex((slot) => slot.tabId === activeId);
+    return focusTab(bound[(current + 1) % bound.length].tabId);
+  }
+
+  /**
+   * Address bar keyword (manifest `omnibox`, see utils/omnibox.js).
+   * @param {string} text - input after the keyword
+   * @param {string} disposition - where the browser wants a page opened
+   */
+  async handleOmnibox(text, disposition) {
+    const { command, arg } = parseOmniboxInput(text);
+    switch (command) {
+      case 'add':
+        return this.addStreamToList(arg);
+      case 'go':
+        return this.watchChannel(arg, disposition);
+      case 'on':
+        return this.setAutoSwap(true);
+      case 'off':
+        return this.setAutoSwap(false);
+      case 'reroll':
+        return this.rerollFallback(await this.focusedSlot());
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Omnibox "add" and the "Add to Stream Swapper" menu: same checks as the
+   * popup's Add button (free tier limit included), on the main list.
+   * @param {string} raw - channel name
+   * @param {{top?: boolean}} [opts] - top: first in tier 1 instead of last in the bottom tier
+   */
+  async addStreamToList(raw, { top = false } = {}) {
+    // The popup may have edited the list since this context last read it.
+    storage.clearCache();
+    const streams = await storage.getStreams();
+    const check = validateNewStream(streams, raw, { premium: !!this.settings?.premiumStatus });
+    if (!check.ok) {
+      this.notifyStatus(check.message);
+      return false;
+    }
+    const tierCount = normalizeTiers(this.settings?.tiers).length;
+    await storage.saveStreams(top
+      ? insertStreamAtTop(streams, check.username, tierCount)
+      : [...streams, createStreamEntry(streams, check.username, tierCount)]);
+    this.notifyStatus(top ? `Added ${check.username} as top priority` : `Added ${check.username}`);
+    await this.forcePollNow();
+    return true;
+  }
+
+  async handleContextMenuClick(info) {
+    const add = parseAddClick(info);
+    if (add) {
+      if (!add.channel) {
+        this.notifyStatus('That link is not a Twitch channel');
+        return false;
+      }
+      return this.addStreamToList(add.channel, { top: add.top });
+    }
+    switch (info?.menuItemId) {
+      case CONTEXT_MENU_IDS.AUTOSWAP:
+        return this.setAutoSwap(!!info.checked);
+      case CONTEXT_MENU_IDS.NOTIFICATIONS:
+        return this.saveMenuToggle('notificationsEnabled', !!info.checked);
+      case CONTEXT_MENU_IDS.FALLBACK: {
+        const current = String(this.settings?.fallbackCategory || '').trim();
+        if (!info.checked) {
+          await this.patchRuntime('contextMenu', { fallbackCategory: current || null });
+          return this.saveMenuToggle('fallbackCategory', '');
+        }
+        const restored = this.runtime.contextMenu?.fallbackCategory
+          || this.runtime.fallback?.category
+          || 'Just Chatting';
+        return this.saveMenuToggle('fallbackCategory', current || restored);
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  // Like the popup: edit the active profile's override when it has one for the key.
+  async saveMenuToggle(key, value) {
+    storage.clearCache();
+    if (this.profile?.overrides?.[key] !== undefined) {
+      const profiles = await storage.getProfiles();
+      const profile = getActiveProfile(profiles);
+      // Fires storage.onChanged -> handleProfileChange.
+      await storage.saveProfiles(updateProfile(profiles, profile.id, {
+        overrides: { ...profile.overrides, [key]: value },
+      }));
+      return true;
+    }
+    await storage.saveSettings({ [key]: value });
+    await this.handleSettingsChange(await storage.getSettings());
+    return true;
+  }
+
+  /**
+   * "tss go <channel>": with Auto-Swap on, the managed tab goes there and
+   * Auto-Swap pauses for it like after "Back"; otherwise the channel opens
+   * wherever the browser asked (current tab, new tab, ...).
+   */
+  async watchChannel(raw, disposition = 'currentTab') {
+    const username = String(raw || '').trim().toLowerCase();
+    if (!isValidUsername(username)) {
+      this.notifyStatus('Invalid username format');
+      return false;
+    }
+
+    const slot = await this.focusedSlot();
+    if (this.settings?.redirectEnabled && slot.tabId != null && (await this.tabExists(slot.tabId))) {
+      const suspendedUntil = Date.now() + BACK_SUSPEND_MS;
+      await this.patchSlotRuntime(slot, 'navigation', { suspendedUntil });
+      await this.setFallbackRuntime({ active: false }, slot);
+      await this.navigateManagedTab(slot.tabId, username, slot, { type: JOURNAL_EVENTS.SWITCH, reason: 'omnibox' });
+      chrome.alarms.create(slotAlarmName(SLOT_ALARMS.RESUME, slot), { when: suspendedUntil });
+      return focusTab(slot.tabId);
+    }
+
+    const url = `https://www.twitch.tv/${username}`;
+    if (disposition === 'currentTab') {
+      const tabId = await this.activeTabId();
+      if (tabId != null) {
+        await new Promise((resolve) => chrome.tabs.update(tabId, { url }, resolve));
+        return true;
+      }
+    }
+    await new Promise((resolve) => {
+      chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' }, resolve);
+    });
+    return true;
+  }
 
-    const managedTabId = this.settings?.managedTwitchTabId;
+  // The omnibox and context menus have no UI of their own: confirm/explain with a notification.
+  notifyStatus(message) {
+    try {
+      chrome.notifications.create(`tsr_status_${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon-128.png',
+        title: 'Stream Swapper',
+        message,
+        priority: 0,
+      });
+    } catch (e) {
+      console.warn('Failed to show status notification:', e);
+    }
+  }
+
+  async toggleSnooze() {
+    const until = this.isSnoozed() ? 0 : Date.now() + SNOOZE_MS;
+    await this.patchRuntime('snooze', { until });
+    if (until) {
+      chrome.alarms.create('tsr-snooze-end', { when: until });
+    } else {
+      chrome.alarms.clear('tsr-snooze-end');
+      await this.forcePollNow();
+    }
+  }
+
+  /**
+   * "New random" (page pill, popup, shortcut, omnibox): a new category pick,
+   * or the next video while VOD fallback is playing.
+   */
+  async rerollFallback(slot = this.mainSlot()) {
+    if (this.slotRuntime(slot).fallback.mode === 'vod') {
+      return this.handleVodFallback({ force: true, slot });
+    }
+    return this.handleCategoryFallback({ force: true, reason: 'manual', slot });
+  }
+
+  async handleCategoryFallback({ force = false, reason = 'auto', slot = this.mainSlot() } = {}) {
+    return this._handleCategoryFallbackInternal({ force, reason, slot });
+  }
+
+  async _handleCategoryFallbackInternal({ force, reason, slot }) {
+    // Weighted list (utils/fallback-mode.js); entries outside their time window sit out.
+    const categories = activeFallbackCategories(slot.fallbackCategories);
+    if (categories.length === 0) return false;
+    const categorySet = fallbackCategorySetKey(slot.fallbackCategories);
+
+    const managedTabId = slot.tabId;
     if (!managedTabId) return false;
 
     const tab = await new Promise((resolve) => {
@@ -480,50 +1679,79 @@ class BackgroundWorker {
     if (!tab) return false;
     if (!isTwitchUrl(tab.url || '')) return false; // Only use fallback if the managed tab is a Twitch tab
 
-    // If the current Twitch page is a raid redirect (?referrer=raid) and user wants to stay on raids,
-    // do not override it with category fallback redirects.
-    if (this.settings?.stayOnRaid && isRaidReferrerUrl(tab.url || '')) {
+    // While a raid hold lasts, only an explicit reroll replaces the raid target.
+    if (!force && isRaidHoldActive(this.slotRuntime(slot).raid)) {
       return false;
     }
 
     const currentChannel = getChannelFromTwitchUrl(tab.url || '');
-    const isFallbackActive = !!this.runtime?.fallback?.active;
+    const { fallback } = this.slotRuntime(slot);
+    // A VOD fallback (category fallback was off until now) is replaced, not kept.
+    const isFallbackActive = !!fallback.active && fallback.mode !== 'vod';
 
     const shouldReroll = shouldRerollCategoryFallback({
       force,
       isFallbackActive,
       currentChannel,
-      runtimeCategory: this.runtime?.fallback?.category ?? null,
-      settingsCategory: this.settings?.fallbackCategory ?? null,
+      runtimeCategory: fallback.category ?? null,
+      settingsCategory: categories.map((c) => c.name),
+      runtimeCategorySet: fallback.categorySet ?? null,
+      settingsCategorySet: categorySet,
     });
 
     if (!shouldReroll) {
       // Keep runtime state in sync (in case we restarted and lost in-memory values).
       await this.setFallbackRuntime({
         active: true,
-        category: this.settings.fallbackCategory,
-        username: currentChannel || (this.runtime?.fallback?.username ?? null),
-        reason: this.runtime?.fallback?.reason ?? 'auto',
-      });
+        mode: 'category',
+        category: fallback.category || categories[0].name,
+        categorySet,
+        username: currentChannel || (fallback.username ?? null),
+        reason: fallback.reason ?? 'auto',
+      }, slot);
       return false;
     }
 
     try {
-      const randomStream = await twitchAPI.getRandomStreamFromCategory(this.settings.fallbackCategory);
-      if (!randomStream?.user_login) return false;
+      const skipMinutes = normalizeFallbackSkipMinutes(this.settings?.fallbackSkipMinutes);
+      if (reason === 'manual' && isFallbackActive && currentChannel) {
+        // "New random": the user skipped this one.
+        await this.recordFallbackHistory(currentChannel, { skipped: true });
+      }
+      const recent = excludedFallbackChannels(this.runtime.fallbackHistory?.entries, skipMinutes);
+      const filters = normalizeFallbackFilters(this.settings?.fallbackFilters);
+
+      // Weighted pick first; if nothing there passes the filters, try the others.
+      const pick = async (exclude) => {
+        const withExcluded = { ...filters, blockedChannels: [...filters.blockedChannels, ...exclude] };
+        for (const candidate of orderFallbackCategories(categories)) {
+          const stream = await twitchAPI.getRandomStreamFromCategory(candidate.name, withExcluded);
+          if (stream?.user_login) return { stream, category: candidate.name };
+        }
+        return null;
+      };
+      // A small category may hold nothing but recent picks; a repeat beats no fallback.
+      const picked = await pick(recent) || (recent.length > 0 ? await pick(currentChannel ? [currentChannel] : []) : null);
+      if (!picked) return false;
+      const { category } = picked;
 
-      const username = String(randomStream.user_login).toLowerCase();
-      const streamUrl = `https://www.twitch.tv/${username}`;
+      const username = String(picked.stream.user_login).toLowerCase();
+      await this.recordFallbackHistory(username);
 
       await this.setFallbackRuntime({
         active: true,
-        category: this.settings.fallbackCategory,
+        mode: 'category',
+        category,
+        categorySet,
         username,
+        videoId: null,
         reason,
-      });
+      }, slot);
 
-      await new Promise((resolve) => {
-        chrome.tabs.update(managedTabId, { url: streamUrl }, () => resolve(true));
+      await this.navigateManagedTab(managedTabId, username, slot, {
+        type: JOURNAL_EVENTS.FALLBACK,
+        reason,
+        detail: category,
       });
 
       // Count fallback redirects as switches for analytics (supporter feature).
@@ -538,22 +1766,156 @@ class BackgroundWorker {
     }
   }
 
-  async setFallbackRuntime({ active, category, username, reason } = {}) {
+  async recordFallbackHistory(username, { skipped = false } = {}) {
+    const entries = recordFallbackChannel(this.runtime.fallbackHistory?.entries, username, {
+      skipped,
+      minutes: normalizeFallbackSkipMinutes(this.settings?.fallbackSkipMinutes),
+    });
+    await this.patchRuntime('fallbackHistory', { entries });
+  }
+
+  /**
+   * "Never show" on the page pill: add the slot's fallback channel to the
+   * persistent fallback blocklist, then pick another.
+   * @param {Object} slot
+   * @returns {Promise<string|null>} the blocked channel
+   */
+  async blockFallbackChannel(slot) {
+    const { fallback } = this.slotRuntime(slot);
+    // VOD fallback plays list channels: nothing to block there.
+    const username = fallback.active && fallback.mode !== 'vod' ? String(fallback.username || '').toLowerCase() : '';
+    if (!username) return null;
+
+    // Stored settings, not this.settings (profile overrides must not be saved).
+    storage.clearCache();
+    const stored = normalizeFallbackFilters((await storage.getSettings()).fallbackFilters);
+    const fallbackFilters = normalizeFallbackFilters({
+      ...stored,
+      blockedChannels: [...stored.blockedChannels, username],
+    });
+    await storage.saveSettings({ fallbackFilters });
+    // Don't wait for the settings change listener: the reroll below must skip it already.
+    this.settings = { ...this.settings, fallbackFilters };
+
+    await this.handleCategoryFallback({ force: true, reason: 'manual', slot });
+    return username;
+  }
+
+  /**
+   * VOD fallback: with category fallback off and nothing live, play the
+   * newest unplayed video of the highest-priority channel that has one.
+   * @param {{force?: boolean, prioritized?: Array, slot?: Object}} [opts] - force: skip to the next video
+   * @returns {Promise<boolean>} true if the tab was sent to a video
+   */
+  async handleVodFallback({ force = false, prioritized = null, slot = this.mainSlot() } = {}) {
+    const type = normalizeVodFallback(this.settings?.vodFallback);
+    if (type === VOD_FALLBACK_MODES.OFF || slot.fallbackCategory || !slot.tabId) return false;
+
+    const tab = await new Promise((resolve) => {
+      chrome.tabs.get(slot.tabId, (t) => resolve(chrome.runtime.lastError || !t ? null : t));
+    });
+    if (!tab || !isTwitchUrl(tab.url || '')) return false;
+    if (!force && isRaidHoldActive(this.slotRuntime(slot).raid)) return false;
+
+    const { fallback } = this.slotRuntime(slot);
+    if (!force && shouldKeepVodFallback(fallback, tab.url || '')) return false;
+
+    try {
+      let list = prioritized;
+      if (!list) {
+        const tiers = normalizeTiers(this.settings?.tiers);
+        list = sortByTier(await storage.getSlotStreams(slot.id), tiers.length);
+      }
+      const channels = list
+        .filter((s) => !s.temporary)
+        .slice(0, VOD_FALLBACK_LIMITS.channels)
+        .map((s) => s.username);
+      if (channels.length === 0) return false;
+
+      const ids = await twitchAPI.getUserIds(channels);
+      const watched = this.runtime.vodHistory?.watched || [];
+      for (const username of channels) {
+        if (!ids[username]) continue;
+        const videos = await twitchAPI.getVideos(ids[username], { type, first: VOD_FALLBACK_LIMITS.videos });
+        const video = pickVodToPlay(videos, watched);
+        if (!video) continue;
+
+        const videoId = String(video.id);
+        await this.patchRuntime('vodHistory', { watched: recordWatchedVod(watched, videoId) });
+        await this.setFallbackRuntime({
+          active: true,
+          mode: 'vod',
+          category: null,
+          categorySet: null,
+          username,
+          videoId,
+          until: Date.now() + parseVideoDuration(video.duration),
+          reason: force ? 'manual' : 'auto',
+        }, slot);
+        await this.navigateManagedTab(slot.tabId, username, slot, {
+          type: JOURNAL_EVENTS.VOD,
+          reason: force ? 'manual' : 'auto',
+          detail: video.title || null,
+        }, { path: `videos/${videoId}` });
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error('Error getting fallback video:', error);
+      return false;
+    }
+  }
+
+  async setFallbackRuntime({ active, mode, category, categorySet, username, videoId, until, reason } = {}, slot = this.mainSlot()) {
+    await this.patchSlotRuntime(slot, 'fallback', {
+      ...(typeof active === 'boolean' ? { active } : {}),
+      ...(mode !== undefined ? { mode } : (active === false ? { mode: null } : {})),
+      ...(category !== undefined ? { category } : {}),
+      ...(categorySet !== undefined ? { categorySet } : {}),
+      ...(videoId !== undefined ? { videoId } : {}),
+      ...(until !== undefined ? { until } : {}),
+      ...(username !== undefined ? { username } : {}),
+      ...(reason !== undefined ? { reason } : {}),
+      updatedAt: Date.now(),
+    });
+  }
+
+  async patchRuntime(section, patch) {
     const next = {
       ...this.runtime,
-      fallback: {
-        ...this.runtime.fallback,
-        ...(typeof active === 'boolean' ? { active } : {}),
-        ...(category !== undefined ? { category } : {}),
-        ...(username !== undefined ? { username } : {}),
-        ...(reason !== undefined ? { reason } : {}),
-        updatedAt: Date.now(),
+      [section]: {
+        ...(this.runtime?.[section] || {}),
+        ...patch,
       },
     };
     this.runtime = next;
     await storage.set({ runtime: next }, true);
   }
 
+  /**
+   * Append to the event journal (utils/journal.js). Never throws: the journal
+   * is a diagnostic record and must not break polling or switching.
+   */
+  async recordEvent(event) {
+    try {
+      await storage.appendJournal(event);
+    } catch (e) {
+      console.warn('Failed to write journal entry:', e);
+    }
+  }
+
+  // Live/offline transitions, once per channel per poll even if it is on several lists.
+  async recordTransition(type, stream, journaled) {
+    const key = `${type}:${stream.username}`;
+    if (journaled.has(key)) return;
+    journaled.add(key);
+    await this.recordEvent({
+      type,
+      channel: stream.username,
+      detail: type === JOURNAL_EVENTS.LIVE ? (stream.streamData?.game_name || null) : null,
+    });
+  }
+
   async updateAnalytics(liveStream) {
     if (!liveStream) return;
 
@@ -600,9 +1962,43 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
     return true;
   }
+  if (message?.type === 'TSR_STREAM_ENDED') {
+    worker.init()
+      .then(() => worker.handleStreamEnded(sender?.tab?.id, message))
+      .then((checked) => sendResponse({ ok: true, checked }))
+      .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (message?.type === 'TSR_INTERACTION') {
+    worker.init()
+      .then(() => worker.handleInteraction(sender?.tab?.id, message))
+      .then((kept) => sendResponse({ ok: true, kept }))
+      .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (message?.type === 'TSR_GO_BACK') {
+    worker.init()
+      .then(() => worker.goBack(
+        // The popup names the slot it shows; the page indicator means its own tab.
+        getSlots(worker.settings).find((s) => s.id === message.slotId)
+          || findSlotByTab(worker.settings, sender?.tab?.id)
+          || worker.mainSlot()
+      ))
+      .then((channel) => sendResponse({ ok: !!channel, channel }))
+      .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
+  if (message?.type === 'TSR_FALLBACK_BLOCK') {
+    worker.init()
+      .then(() => worker.blockFallbackChannel(findSlotByTab(worker.settings, sender?.tab?.id) || worker.mainSlot()))
+      .then((channel) => sendResponse({ ok: !!channel, channel }))
+      .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
+    return true;
+  }
   if (message?.type === 'TSR_FALLBACK_REROLL') {
     worker.init()
-      .then(() => worker.handleCategoryFallback({ force: true, reason: 'manual' }))
+      // The page pill rerolls its own tab; the popup rerolls the main slot.
+      .then(() => worker.rerollFallback(findSlotByTab(worker.settings, sender?.tab?.id) || worker.mainSlot()))
       .then((didRedirect) => sendResponse({ ok: true, didRedirect: !!didRedirect }))
       .catch((err) => sendResponse({ ok: false, error: String(err?.message || err) }));
     return true;
@@ -614,31 +2010,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // by async init ordering.
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area !== 'local') return;
+  if (changes.profiles?.newValue) {
+    // Profile switch/edit: overrides (interval, fallback, notifications) may have changed.
+    worker.init()
+      .then(() => worker.handleProfileChange(changes.profiles.newValue))
+      .catch((e) => console.warn('Failed to apply profile change:', e));
+    return;
+  }
   if (!changes.settings?.newValue) return;
   worker.init()
     .then(() => worker.handleSettingsChange(changes.settings.newValue))
     .catch((e) => console.warn('Failed to apply settings change:', e));
 });
 
-// If the managed tab is closed, disable Auto-Swap automatically.
+// Raid detection: watch managed tabs' URL changes.
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  worker.init()
+    .then(() => worker.handleManagedTabUrl(tabId, changeInfo.url))
+    .catch((e) => console.warn('Failed to handle managed tab navigation:', e));
+});
+
+// If a managed tab is closed, unbind its slot; Auto-Swap turns off with the last one.
 chrome.tabs.onRemoved.addListener((tabId) => {
   worker.init()
-    .then(async () => {
-      const managed = worker.settings?.managedTwitchTabId ?? null;
-      if (managed == null) return;
-      if (tabId !== managed) return;
-
-      const newSettings = { ...worker.settings, redirectEnabled: false, managedTwitchTabId: null };
-      await storage.saveSettings(newSettings);
-      worker.settings = newSettings;
-      worker.updateBadge({ enabled: false, liveCount: 0 });
-    })
+    .then(() => worker.releaseManagedTab(tabId))
     .catch((e) => console.warn('Failed to disable Auto-Swap on tab close:', e));
 });
 
 // Poll alarm — fires even after the service worker was suspended, and firing
 // re-wakes the worker (the whole point of using alarms over setInterval).
 chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'tsr-profile-schedule') {
+    worker.init()
+      .then(() => worker.applyProfileSchedule())
+      .catch((e) => console.warn('Scheduled profile switch failed:', e));
+    return;
+  }
+  if (isSlotAlarm(alarm.name) || alarm.name === 'tsr-snooze-end') {
+    // A hold, pause or snooze just ended: re-evaluate right away.
+    worker.forcePollNow().catch((e) => console.warn('Deferred switch poll failed:', e));
+    return;
+  }
   if (alarm.name !== 'tsr-poll' && alarm.name !== 'tsr-poll-retry') return;
   worker.init()
     .then(() => {
@@ -654,6 +2067,40 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     .catch((e) => console.warn('Alarm poll failed:', e));
 });
 
+// Keyboard shortcuts (manifest `commands`; users rebind them in the browser).
+chrome.commands.onCommand.addListener((command) => {
+  worker.init()
+    .then(() => worker.handleCommand(command))
+    .catch((e) => console.warn(`Shortcut "${command}" failed:`, e));
+});
+
+// Address bar keyword "tss". Suggestions use the main list's live state as of
+// the last poll, so typing never hits the Twitch API.
+if (chrome.omnibox) {
+  chrome.omnibox.setDefaultSuggestion({
+    description: 'Stream Swapper: add &lt;channel&gt;, go &lt;channel&gt;, on, off, reroll',
+  });
+  chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    storage.getStreams()
+      .then((streams) => suggest(buildOmniboxSuggestions(text, streams)))
+      .catch(() => suggest([]));
+  });
+  chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+    worker.init()
+      .then(() => worker.handleOmnibox(text, disposition))
+      .catch((e) => console.warn('Omnibox command failed:', e));
+  });
+}
+
+// Right-click menus (see utils/context-menus.js).
+if (chrome.contextMenus) {
+  chrome.contextMenus.onClicked.addListener((info) => {
+    worker.init()
+      .then(() => worker.handleContextMenuClick(info))
+      .catch((e) => console.warn('Context menu action failed:', e));
+  });
+}
+
 // Browser restart: re-establish polling.
 chrome.runtime.onStartup.addListener(() => {
   worker.init().catch((e) => console.error('Startup initialization failed:', e));
@@ -666,7 +2113,7 @@ worker.init().catch(error => {
 
 // Also initialize on install/update
 chrome.runtime.onInstalled.addListener(() => {
-  worker.init().catch(error => {
+  worker.init().then(() => worker.setupContextMenus()).catch(error => {
     console.error('Service worker initialization failed on install:', error);
   });
 });
@@ -48,6 +48,14 @@ function ensureStyles() {
       letter-spacing: 0.6px;
       text-transform: uppercase;
     }
+    #${INDICATOR_ID} .slot {
+      display: none;
+      font-size: 11px;
+      padding: 2px 8px;
+      border-radius: 999px;
+      border: 1px solid rgba(255,255,255,0.18);
+      white-space: nowrap;
+    }
     #${INDICATOR_ID} .target {
       font-size: 12px;
       opacity: 0.9;
@@ -56,6 +64,15 @@ function ensureStyles() {
       overflow: hidden;
       text-overflow: ellipsis;
     }
+    #${INDICATOR_ID} .skip {
+      display: none;
+      font-size: 11px;
+      opacity: 0.75;
+      max-width: 220px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
     #${INDICATOR_ID} .btn {
       border: 1px solid rgba(255,255,255,0.18);
       background: rgba(255,255,255,0.08);
@@ -87,33 +104,89 @@ function ensureIndicator() {
   el.innerHTML = `
     <span class="dot"></span>
     <span class="title">Auto-Swap ON</span>
+    <span class="slot" id="tsr-autoswap-slot"></span>
     <span class="target" id="tsr-autoswap-target"></span>
+    <span class="skip" id="tsr-autoswap-skip"></span>
+    <button class="btn" id="tsr-go-back" style="display:none;" title="Go back to the channel Auto-Swap switched away from (pauses Auto-Swap for 15 minutes)"></button>
     <button class="btn" id="tsr-fallback-reroll" style="display:none;" title="Pick a new random stream from the fallback category">New random</button>
+    <button class="btn" id="tsr-fallback-block" style="display:none;" title="Never pick this channel for fallback again (undo in Settings)">Never show</button>
   `;
   document.documentElement.appendChild(el);
   return el;
 }
 
-function pickTargetStream(streams) {
-  if (!Array.isArray(streams) || streams.length === 0) return null;
-  const sorted = [...streams].sort((a, b) => (a.priority ?? 9999) - (b.priority ?? 9999));
-  const live = sorted.find(s => s?.isLive);
+// Which managed-tab slot this tab is, mirroring utils/slots.js (content
+// scripts can't import modules). The main slot lives in the legacy fields;
+// its fallback category can be overridden by the active list profile
+// (utils/profiles.js applyProfileOverrides).
+function findMySlot(settings, profiles, tabId) {
+  if (tabId == null) return null;
+  if (settings?.managedTwitchTabId === tabId) {
+    const active = (profiles?.items || []).find((p) => p?.id === profiles?.activeId);
+    const override = active?.overrides?.fallbackCategory;
+    return {
+      id: 'main',
+      name: settings?.mainSlotName || 'Main',
+      fallbackCategory: (typeof override === 'string' ? override.trim() : settings?.fallbackCategory) || '',
+    };
+  }
+  const extra = (settings?.extraSlots || []).find((s) => s?.id && s.id !== 'main' && s.tabId === tabId);
+  if (!extra) return null;
+  return { id: extra.id, name: extra.name || extra.id, fallbackCategory: extra.fallbackCategory || '' };
+}
+
+// (tier, priority) order, mirroring utils/tiers.js sortByTier.
+function sortByPriority(streams) {
+  if (!Array.isArray(streams)) return [];
+  return [...streams].sort((a, b) => (
+    ((a.tier ?? 1) - (b.tier ?? 1)) || ((a.priority ?? 9999) - (b.priority ?? 9999))
+  ));
+}
+
+function pickTargetStream(streams, runtime) {
+  const sorted = sortByPriority(streams);
+  // The background's pick wins: tier tie-breaks (viewers, random, ...) can't be redone here.
+  const picked = sorted.find(s => s?.isLive && !s?.skipReason && s.username === runtime?.switching?.target);
+  // Live entries vetoed by their switch rules (skipReason) are not targets.
+  const live = picked || sorted.find(s => s?.isLive && !s?.skipReason);
   return live || sorted[0] || null;
 }
 
+// Live entries ranked above the live target (or all of them, if nothing
+// eligible is live) that were passed over by their switch rules.
+function pickSkippedStreams(streams, target) {
+  const skipped = [];
+  for (const s of sortByPriority(streams)) {
+    if (target?.isLive && s === target) break;
+    if (s?.isLive && s?.skipReason) skipped.push(s);
+  }
+  return skipped;
+}
+
+// Where "Back" would go, mirroring utils/nav-stack.js peekNavStack.
+function peekBackChannel(navigation, current) {
+  const stack = Array.isArray(navigation?.stack) ? navigation.stack : [];
+  for (let i = stack.length - 1; i >= 0; i--) {
+    if (stack[i] && stack[i] !== current) return stack[i];
+  }
+  return null;
+}
+
 async function refresh() {
   const el = ensureIndicator();
   const targetEl = document.getElementById('tsr-autoswap-target');
   const titleEl = el.querySelector('.title');
   const rerollBtn = document.getElementById('tsr-fallback-reroll');
+  const blockBtn = document.getElementById('tsr-fallback-block');
+  const skipEl = document.getElementById('tsr-autoswap-skip');
+  const slotEl = document.getElementById('tsr-autoswap-slot');
+  const backBtn = document.getElementById('tsr-go-back');
 
-  const { settings, streams, runtime } = await chrome.storage.local.get(['settings', 'streams', 'runtime']);
+  const stored = await chrome.storage.local.get(['settings', 'profiles', 'streams', 'slotStreams', 'runtime']);
+  const settings = stored.settings;
   const enabled = !!settings?.redirectEnabled;
-  const managedTabId = settings?.managedTwitchTabId ?? null;
-  const fallbackActive = !!runtime?.fallback?.active;
-  const fallbackCategory = runtime?.fallback?.category || settings?.fallbackCategory || '';
 
-  // Only show on the managed tab (so other Twitch tabs stay "normal")
+  // Only show on a managed tab (so other Twitch tabs stay "normal")
   let myTabId = null;
   try {
     const resp = await chrome.runtime.sendMessage({ type: 'TSR_GET_TAB_ID' });
@@ -122,25 +195,73 @@ async function refresh() {
     myTabId = null;
   }
 
-  if (!enabled || !managedTabId || !myTabId || managedTabId !== myTabId) {
+  const slot = findMySlot(settings, stored.profiles, myTabId);
+  if (!enabled || !slot) {
     el.style.display = 'none';
     return;
   }
 
+  // Each slot has its own list and runtime state (main slot: the top-level keys)
+  const isMain = slot.id === 'main';
+  const streams = isMain ? stored.streams : stored.slotStreams?.[slot.id];
+  const runtime = isMain ? stored.runtime : stored.runtime?.slots?.[slot.id];
+  const fallbackActive = !!runtime?.fallback?.active;
+  // VOD fallback plays a list channel's video instead of a random live stream.
+  const onVod = fallbackActive && runtime?.fallback?.mode === 'vod';
+  const fallbackCategory = runtime?.fallback?.category || slot.fallbackCategory;
+
+  if (slotEl) {
+    // Say which tab this is only when there is more than one to tell apart
+    const multi = Array.isArray(settings?.extraSlots) && settings.extraSlots.length > 0;
+    slotEl.textContent = multi ? slot.name : '';
+    slotEl.style.display = multi ? 'inline' : 'none';
+  }
+
   // Mode styling + fallback reroll button
   if (fallbackActive) {
     el.dataset.mode = 'fallback';
-    if (titleEl) titleEl.textContent = 'Category Fallback';
-    if (rerollBtn) rerollBtn.style.display = 'inline-flex';
+    if (titleEl) titleEl.textContent = onVod ? 'VOD Fallback' : 'Category Fallback';
+    if (rerollBtn) {
+      rerollBtn.style.display = 'inline-flex';
+      rerollBtn.textContent = onVod ? 'Next video' : 'New random';
+      rerollBtn.title = onVod
+        ? 'Play the next video of your list channels'
+        : 'Pick a new random stream from the fallback category';
+    }
+    if (blockBtn) {
+      const shown = runtime?.fallback?.username;
+      blockBtn.style.display = shown && !onVod ? 'inline-flex' : 'none';
+      blockBtn.title = `Never pick ${shown || 'this channel'} for fallback again (undo in Settings)`;
+    }
   } else {
     el.dataset.mode = 'normal';
-    if (titleEl) titleEl.textContent = 'Auto-Swap ON';
+    // Going back pauses this tab; the snooze shortcut pauses every tab (top-level runtime).
+    const paused = Number(runtime?.navigation?.suspendedUntil) > Date.now()
+      || Number(stored.runtime?.snooze?.until) > Date.now();
+    if (titleEl) titleEl.textContent = paused ? 'Auto-Swap paused' : 'Auto-Swap ON';
     if (rerollBtn) rerollBtn.style.display = 'none';
+    if (blockBtn) blockBtn.style.display = 'none';
+  }
+
+  if (backBtn) {
+    const backTo = peekBackChannel(runtime?.navigation, runtime?.switching?.channel || null);
+    backBtn.textContent = backTo ? `← ${backTo}` : '';
+    backBtn.style.display = backTo ? 'inline-flex' : 'none';
   }
 
-  const target = pickTargetStream(streams);
+  const target = pickTargetStream(streams, runtime);
+  const pending = runtime?.switching?.pending;
   if (targetEl) {
-    if (!target?.username) {
+    if (pending?.username && !pending.until) {
+      // Queue mode / pinned channel: we stay here until this stream ends.
+      targetEl.textContent = `Next up: ${pending.username}`;
+    } else if (pending?.username && pending.reason === 'interaction' && pending.until > Date.now()) {
+      // Held while you chat, watch fullscreen or clip here (content/interaction-watcher.js).
+      targetEl.textContent = `Next up: ${pending.username} once you're done here`;
+    } else if (pending?.username && pending.until > Date.now()) {
+      const mins = Math.max(1, Math.ceil((pending.until - Date.now()) / 60000));
+      targetEl.textContent = `Next up: ${pending.username} in ${mins}m`;
+    } else if (!target?.username) {
       targetEl.textContent = '';
     } else if (target?.isLive) {
       targetEl.textContent = `Target (LIVE): ${target.username}`;
@@ -149,7 +270,24 @@ async function refresh() {
     }
   }
 
-  if (fallbackActive && targetEl && fallbackCategory) {
+  if (skipEl) {
+    const skipped = pickSkippedStreams(streams, target);
+    if (skipped.length > 0) {
+      const first = skipped[0];
+      const more = skipped.length > 1 ? ` (+${skipped.length - 1} more)` : '';
+      skipEl.textContent = `Skipped ${first.username}: ${first.skipReason}${more}`;
+      skipEl.title = skipped.map((s) => `${s.username}: ${s.skipReason}`).join('\n');
+      skipEl.style.display = 'inline';
+    } else {
+      skipEl.textContent = '';
+      skipEl.title = '';
+      skipEl.style.display = 'none';
+    }
+  }
+
+  if (onVod && targetEl) {
+    targetEl.textContent = `${targetEl.textContent} — ▶ ${runtime.fallback.username}'s video`;
+  } else if (fallbackActive && targetEl && fallbackCategory) {
     // Append a short hint without getting too verbose.
     targetEl.textContent = `${targetEl.textContent} — 🎲 ${fallbackCategory}`;
   }
@@ -170,12 +308,44 @@ async function refresh() {
     });
   }
 
+  if (blockBtn && !blockBtn.dataset.bound) {
+    blockBtn.dataset.bound = '1';
+    blockBtn.addEventListener('click', async () => {
+      blockBtn.disabled = true;
+      try {
+        await chrome.runtime.sendMessage({ type: 'TSR_FALLBACK_BLOCK' });
+      } catch {
+        // Non-fatal; user can click again.
+      } finally {
+        setTimeout(() => {
+          blockBtn.disabled = false;
+        }, 1200);
+      }
+    });
+  }
+
+  if (backBtn && !backBtn.dataset.bound) {
+    backBtn.dataset.bound = '1';
+    backBtn.addEventListener('click', async () => {
+      backBtn.disabled = true;
+      try {
+        await chrome.runtime.sendMessage({ type: 'TSR_GO_BACK' });
+      } catch {
+        // Non-fatal; user can click again.
+      } finally {
+        setTimeout(() => {
+          backBtn.disabled = false;
+        }, 1200);
+      }
+    });
+  }
+
   el.style.display = 'flex';
 }
 
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area !== 'local') return;
-  if (changes.settings || changes.streams || changes.runtime) {
+  if (changes.settings || changes.profiles || changes.streams || changes.slotStreams || changes.runtime) {
     refresh().catch(() => {});
   }
 });
@@ -0,0 +1,79 @@
+/* global TSR_SELECTORS */
+/**
+ * Tells the background when the user is using this page — chat input
+ * focused or typed in, fullscreen, clip editor open — so a switch waits until
+ * the tab has been quiet for a while (utils/interaction-hold.js). The
+ * background ignores tabs it doesn't manage. Selectors live in content/selectors.js.
+ */
+
+const CLIP_CHECK_DELAY_MS = 500;
+// Keystrokes report at most this often; held signals are re-reported on the
+// heartbeat so the background can tell a live page from one that went away.
+const TYPING_REPORT_MS = 5000;
+const HEARTBEAT_MS = 60 * 1000;
+
+let lastActiveAt = 0;
+let lastReportKey = null;
+let lastReportAt = 0;
+let clipOpen = false;
+let clipTimer = null;
+
+function inChatInput(node) {
+  return node instanceof Element && TSR_SELECTORS.chatInput.some((selector) => node.closest(selector) != null);
+}
+
+function readSignals() {
+  const signals = [];
+  if (inChatInput(document.activeElement)) signals.push('chat');
+  if (document.fullscreenElement) signals.push('fullscreen');
+  if (clipOpen) signals.push('clip');
+  return signals;
+}
+
+function report({ force = false } = {}) {
+  const signals = readSignals();
+  const now = Date.now();
+  // Held now, or held until just now: the quiet time starts from here.
+  if (signals.length > 0 || lastReportKey) lastActiveAt = now;
+  const key = signals.join(',');
+  if (!force && key === lastReportKey) return;
+  lastReportKey = key;
+  lastReportAt = now;
+  try {
+    chrome.runtime.sendMessage({ type: 'TSR_INTERACTION', signals, lastActiveAt }).catch(() => {});
+  } catch {
+    // Extension reloaded under this page: nothing to hold a switch for.
+  }
+}
+
+function checkClipEditor() {
+  clipTimer = null;
+  const open = TSR_SELECTORS.clipEditor.some((selector) => document.querySelector(selector) != null);
+  if (open === clipOpen) return;
+  clipOpen = open;
+  report();
+}
+
+// Focus moving inside chat (e.g. emote picker) re-reads the same signals and stays quiet.
+document.addEventListener('focusin', () => report(), true);
+document.addEventListener('focusout', () => setTimeout(report, 0), true);
+document.addEventListener('fullscreenchange', () => report());
+document.addEventListener('keydown', (event) => {
+  if (!inChatInput(event.target)) return;
+  lastActiveAt = Date.now();
+  if (lastActiveAt - lastReportAt >= TYPING_REPORT_MS) report({ force: true });
+}, true);
+
+new MutationObserver(() => {
+  if (!clipTimer) clipTimer = setTimeout(checkClipEditor, CLIP_CHECK_DELAY_MS);
+}).observe(document.documentElement, {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['data-a-target'],
+});
+
+setInterval(() => {
+  if (lastReportKey) report({ force: true });
+}, HEARTBEAT_MS);
+checkClipEditor();
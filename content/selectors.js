@@ -0,0 +1,38 @@
+/* exported TSR_SELECTORS */
+/**
+ * Twitch page DOM hooks used by the content scripts, in one place so a Twitch
+ * redesign means editing one file. Checked against saved pages in
+ * tools/fixtures/ by `npm run audit:dom`.
+ *
+ * Keep every hook a single attribute (`[name="value"]`) or class (`.name`)
+ * selector: those survive Twitch's frequent markup shuffles best, and the
+ * audit matches them without a DOM. Each list matches if any entry matches.
+ *
+ * Classic script (content scripts can't import modules): the top-level const
+ * is shared with the content scripts listed after this one in the manifest.
+ */
+
+const TSR_SELECTORS = Object.freeze({
+  // A live broadcast: the LIVE badge / viewer count in the channel header.
+  live: Object.freeze([
+    '.tw-channel-status-text-indicator',
+    '[data-a-target="animated-channel-viewers-count"]',
+  ]),
+  // The player's offline screen, shown once the broadcast ends.
+  offline: Object.freeze([
+    '.channel-root__player--offline',
+    '[data-a-target="player-overlay-offline-banner"]',
+  ]),
+  // Raid countdown banner ("Raiding X in 10...") before the raid leaves the channel.
+  raid: Object.freeze([
+    '[data-test-selector="raid-banner"]',
+  ]),
+  // Chat message box (content/interaction-watcher.js: focus and typing hold switches).
+  chatInput: Object.freeze([
+    '[data-a-target="chat-input"]',
+  ]),
+  // Clip editor dialog opened from the player's clip button.
+  clipEditor: Object.freeze([
+    '[data-a-target="clips-editor-modal"]',
+  ]),
+});
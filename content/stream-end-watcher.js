@@ -0,0 +1,61 @@
+/* global TSR_SELECTORS */
+/**
+ * Notices a stream ending on the channel page itself (player offline screen,
+ * raid countdown) and tells the background to check right away, instead of
+ * waiting up to a minute for the next poll alarm. The background ignores
+ * tabs it doesn't manage. Selectors live in content/selectors.js.
+ */
+
+const CHECK_DELAY_MS = 500;
+
+let lastPath = location.pathname;
+let lastState = null;
+let checkTimer = null;
+
+function matchesAny(selectors) {
+  return selectors.some((selector) => document.querySelector(selector) != null);
+}
+
+// 'raid' and 'offline' outrank 'live': the header can keep its LIVE badge for
+// a moment after the player already switched to the offline screen.
+function readPageState() {
+  if (matchesAny(TSR_SELECTORS.raid)) return 'raid';
+  if (matchesAny(TSR_SELECTORS.offline)) return 'offline';
+  if (matchesAny(TSR_SELECTORS.live)) return 'live';
+  return null;
+}
+
+function checkPageState() {
+  checkTimer = null;
+  // Twitch navigates client-side: a new channel starts with no known state.
+  if (location.pathname !== lastPath) {
+    lastPath = location.pathname;
+    lastState = null;
+  }
+
+  const state = readPageState();
+  if (!state || state === lastState) return;
+  const ended = lastState === 'live' && (state === 'offline' || state === 'raid');
+  lastState = state;
+  if (!ended) return;
+
+  const channel = location.pathname.split('/').filter(Boolean)[0]?.toLowerCase() || null;
+  try {
+    chrome.runtime.sendMessage({ type: 'TSR_STREAM_ENDED', channel, reason: state }).catch(() => {});
+  } catch {
+    // Extension reloaded under this page: the next poll catches the change.
+  }
+}
+
+function scheduleCheck() {
+  if (checkTimer) return;
+  checkTimer = setTimeout(checkPageState, CHECK_DELAY_MS);
+}
+
+new MutationObserver(scheduleCheck).observe(document.documentElement, {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: ['class', 'data-a-target', 'data-test-selector'],
+});
+checkPageState();
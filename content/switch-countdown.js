@@ -0,0 +1,125 @@
+/**
+ * In-page switch countdown for "ask before switching": the background sends
+ * TSR_SWITCH_COUNTDOWN to the managed tab, this shows "Switching to X in
+ * 10s — Cancel / Switch now / Snooze 30m" and answers with what happened
+ * (utils/switch-countdown.js). A hidden page declines, so the background asks
+ * with a notification instead.
+ */
+
+const COUNTDOWN_ID = 'tsr-switch-countdown';
+
+// The answer callback of the countdown on screen, if any.
+let pendingAnswer = null;
+let tickTimer = null;
+
+function ensureCountdownStyles() {
+  if (document.getElementById('tsr-switch-countdown-style')) return;
+  const style = document.createElement('style');
+  style.id = 'tsr-switch-countdown-style';
+  style.textContent = `
+    #${COUNTDOWN_ID} {
+      position: fixed;
+      left: 50%;
+      bottom: 72px;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 12px 14px;
+      border-radius: 999px;
+      background: rgba(15, 15, 20, 0.85);
+      border: 1px solid rgba(0, 220, 130, 0.55);
+      color: #e7fff4;
+      backdrop-filter: blur(10px);
+      box-shadow: 0 6px 24px rgba(0,0,0,0.35);
+    }
+    #${COUNTDOWN_ID} .message {
+      font-size: 14px;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+    #${COUNTDOWN_ID} .btn {
+      border: 1px solid rgba(255,255,255,0.18);
+      background: rgba(255,255,255,0.08);
+      color: inherit;
+      font-size: 12px;
+      padding: 6px 10px;
+      border-radius: 999px;
+      cursor: pointer;
+      line-height: 1;
+    }
+    #${COUNTDOWN_ID} .btn.primary {
+      border-color: rgba(0, 220, 130, 0.55);
+      background: rgba(0, 220, 130, 0.2);
+    }
+  `;
+  document.documentElement.appendChild(style);
+}
+
+// In fullscreen only the fullscreen element's subtree is drawn.
+function countdownParent() {
+  return document.fullscreenElement || document.documentElement;
+}
+
+function closeCountdown(action) {
+  clearInterval(tickTimer);
+  tickTimer = null;
+  document.getElementById(COUNTDOWN_ID)?.remove();
+  const answer = pendingAnswer;
+  pendingAnswer = null;
+  answer?.({ action });
+}
+
+function showCountdown({ username, seconds }, sendResponse) {
+  // A newer countdown replaces one still on screen.
+  if (pendingAnswer) closeCountdown('cancel');
+  ensureCountdownStyles();
+  pendingAnswer = sendResponse;
+
+  const el = document.createElement('div');
+  el.id = COUNTDOWN_ID;
+  el.setAttribute('role', 'alertdialog');
+  el.innerHTML = `
+    <span class="message"></span>
+    <button class="btn" data-action="cancel">Cancel</button>
+    <button class="btn primary" data-action="switch">Switch now</button>
+    <button class="btn" data-action="snooze" title="No automatic switches in any tab for 30 minutes">Snooze 30m</button>
+  `;
+  el.addEventListener('click', (event) => {
+    const action = event.target?.closest?.('[data-action]')?.dataset.action;
+    if (action) closeCountdown(action);
+  });
+  countdownParent().appendChild(el);
+
+  // Count against a deadline: timers in a background tab can fire late.
+  const deadline = Date.now() + Math.max(1, Number(seconds) || 10) * 1000;
+  const message = el.querySelector('.message');
+  const tick = () => {
+    const left = Math.ceil((deadline - Date.now()) / 1000);
+    if (left <= 0) {
+      closeCountdown('timeout');
+      return;
+    }
+    message.textContent = `Switching to ${username} in ${left}s`;
+  };
+  tick();
+  tickTimer = setInterval(tick, 250);
+}
+
+document.addEventListener('fullscreenchange', () => {
+  const el = document.getElementById(COUNTDOWN_ID);
+  if (el) countdownParent().appendChild(el);
+});
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.type !== 'TSR_SWITCH_COUNTDOWN') return false;
+  if (document.visibilityState !== 'visible') {
+    sendResponse({ action: null });
+    return false;
+  }
+  showCountdown(message, sendResponse);
+  // Answered when the countdown closes.
+  return true;
+});
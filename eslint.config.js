@@ -35,6 +35,13 @@ export default [
       },
     },
   },
+  // Content scripts are classic scripts sharing top-level names (content/selectors.js)
+  {
+    files: ['content/**/*.js'],
+    languageOptions: {
+      sourceType: 'script',
+    },
+  },
   // Tests (node)
   {
     files: ['tests/**/*.test.js'],
@@ -2,6 +2,22 @@ import storage from './utils/storage.js';
 import twitchAPI from './utils/twitch-api.js';
 import ErrorMessageManager from './utils/error-messages.js';
 import { KO_FI_URL, TWITCH_CLIENT_ID } from './utils/config.js';
+import { normalizeSwitchMode } from './utils/switch-policy.js';
+import { getSlots, normalizeExtraSlots, createSlot } from './utils/slots.js';
+import { migrateProfiles, createProfile, updateProfile, deleteProfile } from './utils/profiles.js';
+import { normalizeProfileSchedule } from './utils/profile-schedule.js';
+import { filterJournal, describeJournalEntry } from './utils/journal.js';
+import { normalizeRaidPolicy } from './utils/raid-policy.js';
+import { STARTING_SOON_MINUTES } from './utils/stream-schedule.js';
+import { normalizeFallbackCategories, resolveFallbackCategories, sanitizeCategoryName } from './utils/fallback-mode.js';
+import { normalizeFallbackFilters } from './utils/fallback-filters.js';
+import { normalizeFallbackSkipMinutes } from './utils/fallback-history.js';
+import { normalizeVodFallback } from './utils/vod-fallback.js';
+import { normalizeTabEffects } from './utils/tab-effects.js';
+import { normalizeInteractionQuietSeconds } from './utils/interaction-hold.js';
+
+const WEEKDAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 class OptionsManager {
   constructor() {
@@ -11,6 +27,8 @@ class OptionsManager {
     this.advancedDirty = false;
     this.customThemeDirty = false;
     this._analyticsRefreshTimer = null;
+    this.profiles = null;
+    this.journal = [];
   }
 
   async init() {
@@ -18,6 +36,8 @@ class OptionsManager {
     this.setupEventListeners();
     this.render();
     this.loadAnalytics();
+    this.loadJournal();
+    this.renderShortcuts();
     this.setupStorageListeners();
     this.setAdvancedDirty(false);
     this.setCustomThemeDirty(false);
@@ -25,6 +45,7 @@ class OptionsManager {
 
   async loadSettings() {
     this.settings = await storage.getSettings();
+    this.profiles = await storage.getProfiles();
   }
 
 
@@ -49,6 +70,18 @@ class OptionsManager {
       });
     });
 
+    // Keyboard shortcuts: chrome:// pages can't be linked, only opened as a tab
+    document.getElementById('openShortcutsBtn').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    // Coming back from that page: show the new bindings
+    window.addEventListener('focus', () => this.renderShortcuts());
+
+    // History
+    document.getElementById('journalFilter').addEventListener('change', () => this.renderJournal());
+    document.getElementById('journalSearch').addEventListener('input', () => this.renderJournal());
+    document.getElementById('clearJournal').addEventListener('click', () => this.clearJournal());
+
     // Clear analytics
     document.getElementById('clearAnalytics').addEventListener('click', () => {
       this.clearAnalytics();
@@ -64,7 +97,7 @@ class OptionsManager {
     document.getElementById('notificationsEnabled').addEventListener('change', () => {
       this.scheduleAutoSaveGeneral();
     });
-    ['quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd'].forEach((id) => {
+    ['startingSoonMinutes', 'quietHoursEnabled', 'quietHoursStart', 'quietHoursEnd'].forEach((id) => {
       document.getElementById(id).addEventListener('change', () => {
         this.scheduleAutoSaveGeneral();
       });
@@ -123,10 +156,91 @@ class OptionsManager {
     };
 
     wire('checkInterval', 'change');
+    wire('eventSubEnabled', 'change');
     wire('redirectEnabled', 'change');
     wire('promptBeforeSwitch', 'change');
+    wire('switchMode', 'change');
+    wire('switchMinDwell', 'change');
+    wire('switchGrace', 'change');
+    wire('switchCooldown', 'change');
+    wire('interactionQuietSeconds', 'change');
+    wire('raidPolicyMode', 'change');
+    ['tabListAudio', 'tabFallbackAudio', 'tabFocusWindow', 'tabSilentQuietHours'].forEach((id) => wire(id, 'change'));
+    wire('raidStayMinutes', 'change');
+    const raidPolicyMode = document.getElementById('raidPolicyMode');
+    if (raidPolicyMode) {
+      raidPolicyMode.addEventListener('change', () => {
+        // The stay time only applies to the Stay policy
+        document.getElementById('raidStayMinutes').disabled = raidPolicyMode.value !== 'stay';
+      });
+    }
     wire('fallbackEnabled', 'change');
-    wire('fallbackCategory', 'input');
+    // Fallback category rows are read back from the DOM by saveGeneralSettings()
+    const addFallbackCategoryBtn = document.getElementById('addFallbackCategoryBtn');
+    if (addFallbackCategoryBtn) {
+      addFallbackCategoryBtn.addEventListener('click', () => {
+        this.appendFallbackCategoryRow({ name: '', weight: 1 }).querySelector('[name="name"]').focus();
+      });
+    }
+    wire('fallbackSkipMinutes', 'change');
+    wire('vodFallback', 'change');
+    wire('mainSlotName', 'change');
+
+    // Fallback blocklist saves on its own (shared with the popup's filters)
+    const blockInput = document.getElementById('fallbackBlockInput');
+    const addBlock = () => {
+      const login = blockInput.value.trim().toLowerCase();
+      if (!login) return;
+      blockInput.value = '';
+      const filters = normalizeFallbackFilters(this.settings.fallbackFilters);
+      this.saveFallbackBlocklist([...filters.blockedChannels, login]);
+    };
+    document.getElementById('addFallbackBlockBtn')?.addEventListener('click', addBlock);
+    blockInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addBlock();
+      }
+    });
+
+    // Profiles save on their own (rows are re-rendered from storage)
+    const addProfileBtn = document.getElementById('addProfileBtn');
+    if (addProfileBtn) {
+      addProfileBtn.addEventListener('click', async () => {
+        await this.saveProfiles(createProfile(this.profiles, '').profiles);
+        this.renderProfiles();
+        this.renderProfileSchedule();
+      });
+    }
+
+    // Profile schedule: rows are read back from the DOM on every change
+    const addProfileWindowBtn = document.getElementById('addProfileWindowBtn');
+    if (addProfileWindowBtn) {
+      addProfileWindowBtn.addEventListener('click', async () => {
+        const schedule = this.settings.profileSchedule || {};
+        const windows = [...(schedule.windows || []), {
+          profileId: this.profiles.activeId,
+          days: [1, 2, 3, 4, 5],
+          start: '18:00',
+          end: '23:00',
+        }];
+        await this.saveProfileSchedule({ ...schedule, windows });
+        this.renderProfileSchedule();
+      });
+    }
+    ['profileScheduleEnabled', 'profileScheduleOtherwise'].forEach((id) => {
+      document.getElementById(id)?.addEventListener('change', () => this.saveProfileScheduleFromForm());
+    });
+
+    // Extra managed tabs save on their own (rows are re-rendered from settings)
+    const addSlotBtn = document.getElementById('addSlotBtn');
+    if (addSlotBtn) {
+      addSlotBtn.addEventListener('click', async () => {
+        const slots = normalizeExtraSlots(this.settings.extraSlots);
+        await this.saveExtraSlots([...slots, createSlot(slots)]);
+        this.renderExtraSlots();
+      });
+    }
 
     // Custom theme inputs (live preview; requires Apply to persist)
     this.setupCustomThemeListeners();
@@ -143,6 +257,23 @@ class OptionsManager {
     // Keep analytics UI live-updated while the Options page is open.
     chrome.storage.onChanged.addListener((changes, area) => {
       if (area !== 'local') return;
+      if (changes.profiles?.newValue) {
+        // e.g. switched from the popup: keep the "Active" marker right
+        this.profiles = migrateProfiles(changes.profiles.newValue);
+        if (!document.getElementById('profileList')?.contains(document.activeElement)) {
+          this.renderProfiles();
+        }
+        this.renderProfileSchedule();
+      }
+      if (changes.settings?.newValue?.fallbackFilters) {
+        // e.g. "Never show" on the page pill
+        this.settings = { ...this.settings, fallbackFilters: changes.settings.newValue.fallbackFilters };
+        this.renderFallbackBlocklist();
+      }
+      if (changes.journal) {
+        this.journal = changes.journal.newValue || [];
+        this.renderJournal();
+      }
       if (!this.settings?.premiumStatus) return;
       if (!changes.analytics) return;
 
@@ -243,14 +374,39 @@ class OptionsManager {
     const allowedIntervals = new Set([60000, 120000, 300000, 600000]);
     const interval = allowedIntervals.has(this.settings.checkInterval) ? this.settings.checkInterval : 60000;
     document.getElementById('checkInterval').value = String(interval);
+    document.getElementById('eventSubEnabled').checked = !!this.settings.eventSubEnabled;
     document.getElementById('redirectEnabled').checked = !!this.settings.redirectEnabled;
     document.getElementById('promptBeforeSwitch').checked = this.settings.promptBeforeSwitch || false;
-    document.getElementById('fallbackCategory').value = this.settings.fallbackCategory || 'Just Chatting';
+    document.getElementById('switchMode').value = normalizeSwitchMode(this.settings.switchMode);
+    const stability = this.settings.switchStability || {};
+    document.getElementById('switchMinDwell').value = String(stability.minDwellMinutes || 0);
+    document.getElementById('switchGrace').value = String(stability.graceMinutes || 0);
+    document.getElementById('switchCooldown').value = String(stability.cooldownMinutes || 0);
+    document.getElementById('interactionQuietSeconds').value = String(normalizeInteractionQuietSeconds(this.settings.interactionQuietSeconds));
+    const tabEffects = normalizeTabEffects(this.settings.tabEffects);
+    document.getElementById('tabListAudio').value = tabEffects.listAudio;
+    document.getElementById('tabFallbackAudio').value = tabEffects.fallbackAudio;
+    document.getElementById('tabFocusWindow').checked = tabEffects.focusWindow;
+    document.getElementById('tabSilentQuietHours').checked = tabEffects.silentInQuietHours;
+    const raidPolicy = normalizeRaidPolicy(this.settings);
+    document.getElementById('raidPolicyMode').value = raidPolicy.mode;
+    document.getElementById('raidStayMinutes').value = String(raidPolicy.stayMinutes);
+    document.getElementById('raidStayMinutes').disabled = raidPolicy.mode !== 'stay';
+    this.renderFallbackCategories();
     document.getElementById('fallbackEnabled').checked = !!this.settings.fallbackCategory;
+    document.getElementById('vodFallback').value = normalizeVodFallback(this.settings.vodFallback);
+    document.getElementById('fallbackSkipMinutes').value = String(normalizeFallbackSkipMinutes(this.settings.fallbackSkipMinutes));
+    this.renderFallbackBlocklist();
+    document.getElementById('mainSlotName').value = this.settings.mainSlotName || 'Main';
+    this.renderExtraSlots();
+    this.renderProfiles();
+    this.renderProfileSchedule();
 
     // Premium features
     document.getElementById('premiumStatus').checked = this.settings.premiumStatus || false;
     document.getElementById('notificationsEnabled').checked = this.settings.notificationsEnabled || false;
+    const soon = Number(this.settings.startingSoonMinutes) || 0;
+    document.getElementById('startingSoonMinutes').value = String(STARTING_SOON_MINUTES.includes(soon) ? soon : 0);
     document.getElementById('quietHoursEnabled').checked = this.settings.quietHours?.enabled || false;
     document.getElementById('quietHoursStart').value = this.settings.quietHours?.start || '22:00';
     document.getElementById('quietHoursEnd').value = this.settings.quietHours?.end || '08:00';
@@ -269,6 +425,368 @@ class OptionsManager {
     this.applyTheme();
   }
 
+  renderProfiles() {
+    const list = document.getElementById('profileList');
+    if (!list || !this.profiles) return;
+    list.innerHTML = '';
+
+    const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+    const option = (value, label, current) => (
+      `<option value="${value}" ${String(current) === value ? 'selected' : ''}>${label}</option>`
+    );
+
+    for (const profile of this.profiles.items) {
+      const o = profile.overrides || {};
+      const active = profile.id === this.profiles.activeId;
+      const fallbackMode = o.fallbackCategory === undefined ? 'inherit' : (o.fallbackCategory ? 'custom' : 'off');
+      const row = document.createElement('div');
+      row.className = 'slot-row profile-row';
+      row.dataset.profileId = profile.id;
+      row.innerHTML = `
+        <label><span>Name</span>
+          <input type="text" name="name" value="${esc(profile.name)}" maxlength="30" autocomplete="off">
+        </label>
+        <label><span>Category fallback</span>
+          <select name="fallbackMode">
+            ${option('inherit', 'Use global', fallbackMode)}
+            ${option('off', 'Off', fallbackMode)}
+            ${option('custom', 'Category…', fallbackMode)}
+          </select>
+          <input type="text" name="fallbackCategory" value="${esc(o.fallbackCategory)}" placeholder="Just Chatting"
+            maxlength="50" autocomplete="off" ${fallbackMode === 'custom' ? '' : 'hidden'}>
+        </label>
+        <label><span>Notifications</span>
+          <select name="notificationsEnabled">
+            ${option('inherit', 'Use global', o.notificationsEnabled ?? 'inherit')}
+            ${option('true', 'On', o.notificationsEnabled ?? 'inherit')}
+            ${option('false', 'Off', o.notificationsEnabled ?? 'inherit')}
+          </select>
+        </label>
+        <label><span>Check interval</span>
+          <select name="checkInterval">
+            ${option('inherit', 'Use global', o.checkInterval ?? 'inherit')}
+            ${option('60000', '1 minute', o.checkInterval ?? 'inherit')}
+            ${option('120000', '2 minutes', o.checkInterval ?? 'inherit')}
+            ${option('300000', '5 minutes', o.checkInterval ?? 'inherit')}
+            ${option('600000', '10 minutes', o.checkInterval ?? 'inherit')}
+          </select>
+        </label>
+        <button class="btn btn-secondary" data-action="remove" ${active ? 'disabled title="Switch to another profile first"' : 'title="Delete this profile and its list"'}>Delete</button>
+        <div class="hint slot-tab-state">${active ? 'Active' : `${(profile.streams || []).length} channel(s)`}</div>
+      `;
+
+      const fallbackModeEl = row.querySelector('[name="fallbackMode"]');
+      fallbackModeEl.addEventListener('change', () => {
+        row.querySelector('[name="fallbackCategory"]').hidden = fallbackModeEl.value !== 'custom';
+      });
+      row.querySelectorAll('input, select').forEach((el) => {
+        el.addEventListener('change', () => this.saveProfileRow(row));
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeProfile(profile));
+      list.appendChild(row);
+    }
+  }
+
+  async saveProfileRow(row) {
+    const field = (name) => row.querySelector(`[name="${name}"]`).value;
+    const overrides = {};
+    const fallbackMode = field('fallbackMode');
+    const category = sanitizeCategoryName(field('fallbackCategory'));
+    if (fallbackMode === 'off') overrides.fallbackCategory = '';
+    if (fallbackMode === 'custom' && category) overrides.fallbackCategory = category;
+    if (field('notificationsEnabled') !== 'inherit') overrides.notificationsEnabled = field('notificationsEnabled') === 'true';
+    if (field('checkInterval') !== 'inherit') overrides.checkInterval = parseInt(field('checkInterval'), 10);
+
+    await this.saveProfiles(updateProfile(this.profiles, row.dataset.profileId, { name: field('name'), overrides }));
+  }
+
+  async removeProfile(profile) {
+    const ok = confirm(`Delete the profile "${profile.name}" and its channel list?`);
+    if (!ok) return;
+    await this.saveProfiles(deleteProfile(this.profiles, profile.id));
+    this.renderProfiles();
+    this.renderProfileSchedule();
+  }
+
+  async saveProfiles(profiles) {
+    try {
+      // The popup may have switched profiles (moving lists around) since this
+      // page loaded: only names/overrides and new/deleted profiles come from here.
+      storage.clearCache();
+      const latest = await storage.getProfiles();
+      const edited = new Map(profiles.items.map((p) => [p.id, p]));
+      const items = latest.items
+        .filter((p) => edited.has(p.id) || p.id === latest.activeId)
+        .map((p) => (edited.has(p.id) ? { ...p, name: edited.get(p.id).name, overrides: edited.get(p.id).overrides } : p));
+      for (const p of profiles.items) {
+        if (!latest.items.some((l) => l.id === p.id)) items.push(p);
+      }
+      this.profiles = migrateProfiles({ activeId: latest.activeId, items });
+      await storage.saveProfiles(this.profiles);
+      this.showSaveStatus('Saved', 'success');
+    } catch (error) {
+      console.error('Error saving profiles:', error);
+      const errorInfo = ErrorMessageManager.getErrorMessage(error, 'saveSettings');
+      this.showSaveStatus(ErrorMessageManager.formatMessage(errorInfo), 'error');
+    }
+  }
+
+  renderProfileSchedule() {
+    const list = document.getElementById('profileScheduleList');
+    const otherwise = document.getElementById('profileScheduleOtherwise');
+    if (!list || !otherwise || !this.profiles) return;
+    // Not normalized: keep half-edited rows (e.g. no days ticked yet) on screen.
+    const schedule = this.settings.profileSchedule || {};
+
+    const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+    const profileOptions = (selectedId) => this.profiles.items
+      .map((p) => `<option value="${esc(p.id)}" ${p.id === selectedId ? 'selected' : ''}>${esc(p.name)}</option>`)
+      .join('');
+
+    document.getElementById('profileScheduleEnabled').checked = !!schedule.enabled;
+    otherwise.innerHTML = `<option value="">Keep the current profile</option>${profileOptions(schedule.otherwiseProfileId)}`;
+
+    list.innerHTML = '';
+    (schedule.windows || []).forEach((w, index) => {
+      const days = Array.isArray(w.days) ? w.days : [];
+      const row = document.createElement('div');
+      row.className = 'slot-row schedule-row';
+      row.innerHTML = `
+        <label><span>Profile</span>
+          <select name="profileId">${profileOptions(w.profileId)}</select>
+        </label>
+        <div class="schedule-days" role="group" aria-label="Days">
+          ${WEEKDAY_LETTERS.map((letter, day) => `
+            <label title="${WEEKDAY_NAMES[day]}"><span>${letter}</span>
+              <input type="checkbox" name="day" value="${day}" ${days.includes(day) ? 'checked' : ''}>
+            </label>`).join('')}
+        </div>
+        <label><span>From</span>
+          <input type="time" name="start" value="${esc(w.start || '18:00')}">
+        </label>
+        <label><span>To</span>
+          <input type="time" name="end" value="${esc(w.end || '23:00')}">
+        </label>
+        <button class="btn btn-secondary" data-action="remove" title="Remove this window">Remove</button>
+      `;
+
+      row.querySelectorAll('input, select').forEach((el) => {
+        el.addEventListener('change', () => this.saveProfileScheduleFromForm());
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', async () => {
+        const current = this.settings.profileSchedule || {};
+        const windows = (current.windows || []).filter((_, i) => i !== index);
+        await this.saveProfileSchedule({ ...current, windows });
+        this.renderProfileSchedule();
+      });
+      list.appendChild(row);
+    });
+  }
+
+  async saveProfileScheduleFromForm() {
+    const windows = [...document.querySelectorAll('#profileScheduleList .schedule-row')].map((row) => ({
+      profileId: row.querySelector('[name="profileId"]').value,
+      days: [...row.querySelectorAll('[name="day"]:checked')].map((el) => Number(el.value)),
+      start: row.querySelector('[name="start"]').value,
+      end: row.querySelector('[name="end"]').value,
+    }));
+    await this.saveProfileSchedule({
+      enabled: document.getElementById('profileScheduleEnabled').checked,
+      windows,
+      otherwiseProfileId: document.getElementById('profileScheduleOtherwise').value || null,
+    });
+  }
+
+  async saveProfileSchedule(profileSchedule) {
+    try {
+      await storage.saveSettings({ profileSchedule });
+      this.settings = { ...this.settings, profileSchedule };
+      const usable = normalizeProfileSchedule(profileSchedule).windows.length;
+      const incomplete = (profileSchedule.windows || []).length - usable;
+      this.showSaveStatus(incomplete > 0 ? 'Saved (windows without days or times are ignored)' : 'Saved', 'success');
+    } catch (error) {
+      console.error('Error saving profile schedule:', error);
+      const errorInfo = ErrorMessageManager.getErrorMessage(error, 'saveSettings');
+      this.showSaveStatus(ErrorMessageManager.formatMessage(errorInfo), 'error');
+    }
+  }
+
+  renderFallbackCategories() {
+    const list = document.getElementById('fallbackCategoryList');
+    if (!list) return;
+    list.innerHTML = '';
+    // While fallback is off, show the list it would come back with.
+    let categories = resolveFallbackCategories(this.settings.fallbackCategory, this.settings.fallbackCategories);
+    if (categories.length === 0) categories = normalizeFallbackCategories(this.settings.fallbackCategories);
+    if (categories.length === 0) categories = [{ name: 'Just Chatting', weight: 1 }];
+    categories.forEach((c) => this.appendFallbackCategoryRow(c));
+  }
+
+  appendFallbackCategoryRow(category) {
+    const list = document.getElementById('fallbackCategoryList');
+    const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+    const row = document.createElement('div');
+    row.className = 'slot-row category-row';
+    row.innerHTML = `
+      <label><span>Category</span>
+        <input type="text" name="name" value="${esc(category.name)}" placeholder="Just Chatting" maxlength="50" autocomplete="off">
+      </label>
+      <label><span>Weight</span>
+        <input type="number" name="weight" value="${esc(category.weight)}" min="1" max="100" step="1">
+      </label>
+      <label><span>From</span>
+        <input type="time" name="start" value="${esc(category.start || '')}">
+      </label>
+      <label><span>To</span>
+        <input type="time" name="end" value="${esc(category.end || '')}">
+      </label>
+      <button class="btn btn-secondary" data-action="remove" title="Remove this category">Remove</button>
+    `;
+    row.querySelectorAll('input').forEach((el) => {
+      el.addEventListener(el.name === 'name' ? 'input' : 'change', () => this.scheduleAutoSaveGeneral());
+    });
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      row.remove();
+      this.scheduleAutoSaveGeneral();
+    });
+    list.appendChild(row);
+    return row;
+  }
+
+  readFallbackCategories() {
+    return normalizeFallbackCategories([...document.querySelectorAll('#fallbackCategoryList .category-row')].map((row) => ({
+      name: row.querySelector('[name="name"]').value,
+      weight: row.querySelector('[name="weight"]').value,
+      start: row.querySelector('[name="start"]').value,
+      end: row.querySelector('[name="end"]').value,
+    })));
+  }
+
+  renderFallbackBlocklist() {
+    const list = document.getElementById('fallbackBlockedList');
+    if (!list) return;
+    list.innerHTML = '';
+    const { blockedChannels } = normalizeFallbackFilters(this.settings.fallbackFilters);
+    if (blockedChannels.length === 0) {
+      list.innerHTML = '<span class="hint">No channels blocked</span>';
+      return;
+    }
+    for (const login of blockedChannels) {
+      const chip = document.createElement('span');
+      chip.className = 'blocked-chip';
+      chip.textContent = login;
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = `Allow ${login} again`;
+      remove.setAttribute('aria-label', `Allow ${login} again`);
+      remove.addEventListener('click', () => {
+        this.saveFallbackBlocklist(blockedChannels.filter((c) => c !== login));
+      });
+      chip.appendChild(remove);
+      list.appendChild(chip);
+    }
+  }
+
+  async saveFallbackBlocklist(blockedChannels) {
+    try {
+      // Other filters are edited in the popup; keep whatever is stored now.
+      storage.clearCache();
+      const stored = normalizeFallbackFilters((await storage.getSettings()).fallbackFilters);
+      const fallbackFilters = normalizeFallbackFilters({ ...stored, blockedChannels });
+      await storage.saveSettings({ fallbackFilters });
+      this.settings = { ...this.settings, fallbackFilters };
+      this.renderFallbackBlocklist();
+      this.showSaveStatus('Saved', 'success');
+    } catch (error) {
+      console.error('Error saving fallback blocklist:', error);
+      const errorInfo = ErrorMessageManager.getErrorMessage(error, 'saveSettings');
+      this.showSaveStatus(ErrorMessageManager.formatMessage(errorInfo), 'error');
+    }
+  }
+
+  renderExtraSlots() {
+    const list = document.getElementById('extraSlotList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+
+    for (const slot of normalizeExtraSlots(this.settings.extraSlots)) {
+      const row = document.createElement('div');
+      row.className = 'slot-row';
+      row.dataset.slotId = slot.id;
+      row.innerHTML = `
+        <label><span>Name</span>
+          <input type="text" name="name" value="${esc(slot.name)}" maxlength="30" autocomplete="off">
+        </label>
+        <label><span>Fallback category</span>
+          <input type="text" name="fallbackCategory" value="${esc(slot.fallbackCategory)}" placeholder="None" maxlength="50" autocomplete="off">
+        </label>
+        <label><span>Switch mode</span>
+          <select name="switchMode">
+            <option value="preemptive" ${slot.switchMode === 'preemptive' ? 'selected' : ''}>Priority</option>
+            <option value="queue" ${slot.switchMode === 'queue' ? 'selected' : ''}>Queue</option>
+          </select>
+        </label>
+        <button class="btn btn-secondary" data-action="remove" title="Remove this managed tab and its list">Remove</button>
+        <div class="hint slot-tab-state">${slot.tabId != null ? 'Bound to a Twitch tab' : 'Not bound to a tab yet'}</div>
+      `;
+
+      row.querySelectorAll('input, select').forEach((el) => {
+        el.addEventListener('change', () => this.saveExtraSlotRow(row));
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeExtraSlot(slot));
+      list.appendChild(row);
+    }
+  }
+
+  async saveExtraSlotRow(row) {
+    const field = (name) => row.querySelector(`[name="${name}"]`).value;
+    const slots = normalizeExtraSlots(this.settings.extraSlots).map((slot) => (
+      slot.id !== row.dataset.slotId ? slot : {
+        ...slot,
+        name: field('name'),
+        fallbackCategory: sanitizeCategoryName(field('fallbackCategory')).slice(0, 50),
+        switchMode: normalizeSwitchMode(field('switchMode')),
+      }
+    ));
+    await this.saveExtraSlots(slots);
+  }
+
+  async removeExtraSlot(slot) {
+    const ok = confirm(`Remove the managed tab "${slot.name}" and its channel list?`);
+    if (!ok) return;
+    const slots = normalizeExtraSlots(this.settings.extraSlots).filter((s) => s.id !== slot.id);
+    await this.saveExtraSlots(slots);
+    await storage.removeSlotStreams(slot.id);
+    this.renderExtraSlots();
+  }
+
+  async saveExtraSlots(slots) {
+    try {
+      // Tab bindings are owned by the popup/background; keep whatever is stored now.
+      storage.clearCache();
+      const latest = normalizeExtraSlots((await storage.getSettings()).extraSlots);
+      const tabIds = new Map(latest.map((s) => [s.id, s.tabId]));
+      const extraSlots = normalizeExtraSlots(slots).map((s) => ({ ...s, tabId: tabIds.get(s.id) ?? null }));
+      await storage.saveSettings({ extraSlots });
+      this.settings = { ...this.settings, extraSlots };
+      this.showSaveStatus('Saved', 'success');
+    } catch (error) {
+      console.error('Error saving managed tabs:', error);
+      const errorInfo = ErrorMessageManager.getErrorMessage(error, 'saveSettings');
+      this.showSaveStatus(ErrorMessageManager.formatMessage(errorInfo), 'error');
+    }
+  }
+
   renderCustomTheme() {
     const t = this.settings?.customTheme || {};
     const defaults = {
@@ -357,32 +875,59 @@ class OptionsManager {
 
       const allowedIntervals = new Set([60000, 120000, 300000, 600000]);
       const checkInterval = parseInt(document.getElementById('checkInterval').value, 10) || 60000;
+      const minutes = (id, max) => {
+        const n = parseInt(document.getElementById(id).value, 10);
+        return Number.isFinite(n) ? Math.min(Math.max(n, 0), max) : 0;
+      };
+
+      const startingSoon = Number(document.getElementById('startingSoonMinutes').value);
+      const fallbackCategories = this.readFallbackCategories();
 
       const newSettings = {
         checkInterval: allowedIntervals.has(checkInterval) ? checkInterval : 60000,
+        eventSubEnabled: document.getElementById('eventSubEnabled').checked,
         redirectEnabled: document.getElementById('redirectEnabled').checked,
         promptBeforeSwitch: document.getElementById('promptBeforeSwitch').checked,
-        fallbackCategory: document.getElementById('fallbackEnabled').checked 
-          ? document.getElementById('fallbackCategory').value.trim() 
+        switchMode: normalizeSwitchMode(document.getElementById('switchMode').value),
+        switchStability: {
+          minDwellMinutes: minutes('switchMinDwell', 240),
+          graceMinutes: minutes('switchGrace', 60),
+          cooldownMinutes: minutes('switchCooldown', 120),
+        },
+        interactionQuietSeconds: normalizeInteractionQuietSeconds(document.getElementById('interactionQuietSeconds').value),
+        tabEffects: normalizeTabEffects({
+          listAudio: document.getElementById('tabListAudio').value,
+          fallbackAudio: document.getElementById('tabFallbackAudio').value,
+          focusWindow: document.getElementById('tabFocusWindow').checked,
+          silentInQuietHours: document.getElementById('tabSilentQuietHours').checked,
+        }),
+        raidPolicy: normalizeRaidPolicy({
+          raidPolicy: {
+            mode: document.getElementById('raidPolicyMode').value,
+            stayMinutes: minutes('raidStayMinutes', 240),
+          },
+        }),
+        // The first category doubles as the on/off switch (utils/fallback-mode.js).
+        fallbackCategory: document.getElementById('fallbackEnabled').checked
+          ? fallbackCategories[0]?.name || ''
           : '',
+        fallbackCategories,
+        fallbackSkipMinutes: normalizeFallbackSkipMinutes(document.getElementById('fallbackSkipMinutes').value),
+        vodFallback: normalizeVodFallback(document.getElementById('vodFallback').value),
         notificationsEnabled: document.getElementById('notificationsEnabled').checked,
+        startingSoonMinutes: STARTING_SOON_MINUTES.includes(startingSoon) ? startingSoon : 0,
         quietHours: {
           enabled: document.getElementById('quietHoursEnabled').checked,
           start: document.getElementById('quietHoursStart').value || '22:00',
           end: document.getElementById('quietHoursEnd').value || '08:00',
         },
         theme: document.getElementById('theme').value,
+        mainSlotName: document.getElementById('mainSlotName').value.trim().slice(0, 30) || 'Main',
       };
 
       // Custom theme colors are validated and persisted separately via
       // applyCustomThemeSettings(); general autosave must not touch them.
 
-      // Sanitize category
-      if (newSettings.fallbackCategory) {
-        // eslint-disable-next-line no-control-regex
-        newSettings.fallbackCategory = newSettings.fallbackCategory.replace(/[\u0000-\u001F\u007F]/g, '').slice(0, 50);
-      }
-
       await storage.saveSettings(newSettings);
       this.settings = { ...this.settings, ...newSettings };
 
@@ -539,6 +1084,85 @@ class OptionsManager {
     }
   }
 
+  async renderShortcuts() {
+    const list = document.getElementById('shortcutList');
+    if (!list || !chrome.commands?.getAll) return;
+    try {
+      const commands = await chrome.commands.getAll();
+      list.innerHTML = '';
+      // `_execute_action` (open the popup) has no description of its own
+      for (const command of commands.filter((c) => c.description)) {
+        const item = document.createElement('div');
+        item.className = 'shortcut-item';
+        const name = document.createElement('span');
+        name.textContent = command.description;
+        const keys = document.createElement('span');
+        keys.className = 'shortcut-keys';
+        keys.textContent = command.shortcut || 'Not set';
+        item.append(name, keys);
+        list.appendChild(item);
+      }
+    } catch (error) {
+      console.error('Error loading shortcuts:', error);
+    }
+  }
+
+  async loadJournal() {
+    try {
+      this.journal = await storage.getJournal();
+      this.renderJournal();
+    } catch (error) {
+      console.error('Error loading history:', error);
+    }
+  }
+
+  renderJournal() {
+    const list = document.getElementById('journalList');
+    if (!list) return;
+    const entries = filterJournal(this.journal || [], {
+      filter: document.getElementById('journalFilter').value,
+      channel: document.getElementById('journalSearch').value,
+    });
+
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="hint">Nothing recorded yet.</p>';
+      return;
+    }
+
+    // Name the managed tab only when there is more than one to tell apart
+    const slots = getSlots(this.settings);
+    const slotNames = new Map(slots.map((slot) => [slot.id, slot.name]));
+
+    for (const entry of entries) {
+      const item = document.createElement('div');
+      item.className = `journal-item journal-item--${entry.type}`;
+      const time = document.createElement('span');
+      time.className = 'journal-time';
+      time.textContent = new Date(entry.at).toLocaleString();
+      const text = document.createElement('span');
+      text.className = 'journal-text';
+      const slotName = slots.length > 1 && entry.slotId ? slotNames.get(entry.slotId) : null;
+      text.textContent = `${slotName ? `[${slotName}] ` : ''}${describeJournalEntry(entry)}`;
+      item.append(time, text);
+      list.appendChild(item);
+    }
+  }
+
+  async clearJournal() {
+    if (!confirm('Clear the switch and event history?')) return;
+    try {
+      await storage.clearJournal();
+      this.journal = [];
+      this.renderJournal();
+      this.showSaveStatus('History cleared', 'success');
+    } catch (error) {
+      console.error('Error clearing history:', error);
+      const errorInfo = ErrorMessageManager.getErrorMessage(error, 'saveSettings');
+      this.showSaveStatus(ErrorMessageManager.formatMessage(errorInfo), 'error');
+    }
+  }
+
   async clearAnalytics() {
     if (!confirm('Are you sure you want to clear all analytics data?')) {
       return;
@@ -2,8 +2,32 @@ import storage from './utils/storage.js';
 import twitchAPI from './utils/twitch-api.js';
 import ErrorMessageManager from './utils/error-messages.js';
 import { KO_FI_URL } from './utils/config.js';
-import { isTwitchUrl } from './utils/twitch-url.js';
-import { formatViewers, formatUptime } from './utils/format.js';
+import { pickTwitchTab, focusTab } from './utils/twitch-tabs.js';
+import { isValidUsername, validateNewStream, createStreamEntry } from './utils/stream-list.js';
+import { formatViewers, formatUptime, formatCountdown } from './utils/format.js';
+import { evaluateSwitchRules, normalizeSwitchRules, hasSwitchRules, parseRuleList } from './utils/switch-rules.js';
+import { TIE_BREAKS, normalizeTiers, tierOf, sortByTier, removeTierFromList } from './utils/tiers.js';
+import { MAIN_SLOT_ID, getSlots, normalizeExtraSlots, patchSlotSettings } from './utils/slots.js';
+import { peekNavStack, isNavSuspended } from './utils/nav-stack.js';
+import {
+  migrateProfiles,
+  getActiveProfile,
+  applyProfileOverrides,
+  createProfile,
+  updateProfile,
+} from './utils/profiles.js';
+import { normalizeRaidPolicy, isRaidHoldActive } from './utils/raid-policy.js';
+import { describePollReason } from './utils/poll-scheduler.js';
+import { describeSchedule } from './utils/stream-schedule.js';
+import { CONTENT_LABELS, normalizeFallbackFilters, countFallbackFilters } from './utils/fallback-filters.js';
+import { normalizeFallbackCategories, describeFallbackCategories } from './utils/fallback-mode.js';
+import { describeInteraction } from './utils/interaction-hold.js';
+
+const RAID_POLICY_HINTS = {
+  stay: (minutes) => `Watch the raid for ${minutes} min, then switch as usual`,
+  add: () => 'Add the raided channel to the end of the list until its stream ends',
+  ignore: () => 'Switch away from raids like any other page',
+};
 
 class PopupManager {
   constructor() {
@@ -17,6 +41,13 @@ class PopupManager {
     this.dragOffset = { x: 0, y: 0 };
     this.categorySuggestTimer = null;
     this.categorySuggestCache = new Map(); // query -> { ts, items }
+    this.rulesEditorFor = null; // username whose rule editor is open
+    this.runtime = null; // background runtime state (fallback, switch holds)
+    this.schedules = {}; // login -> cached Twitch schedule (utils/stream-schedule.js)
+    this.pendingTicker = null;
+    this.slotId = MAIN_SLOT_ID; // managed-tab slot whose list is shown
+    this.profiles = null; // named lists for the main slot (utils/profiles.js)
+    this.profile = null;
   }
 
   async forcePollAndSwap() {
@@ -37,20 +68,24 @@ class PopupManager {
 
   async loadData() {
     try {
-      this.streams = await storage.getStreams();
       this.settings = await storage.getSettings();
+      this.profiles = await storage.getProfiles();
+      this.profile = getActiveProfile(this.profiles);
+      this.streams = await storage.getSlotStreams(this.slotId);
+      this.runtime = (await storage.get('runtime')) || null;
+      this.schedules = await storage.getSchedules();
       
       // Initialize Twitch API if client ID is set
       if (this.settings.clientId) {
         await twitchAPI.initialize(this.settings.clientId);
       }
 
-      // Sort streams by priority
-      this.streams.sort((a, b) => a.priority - b.priority);
+      // Sort streams by tier, then priority
+      this.streams = sortByTier(this.streams, this.getTiers().length);
 
       // If Auto-Swap is enabled but no managed tab is set (e.g., after updates/migrations),
       // immediately bind to a single Twitch tab (or create one) so "enable" always opens a tab.
-      if (this.settings?.redirectEnabled && !this.settings?.managedTwitchTabId) {
+      if (this.settings?.redirectEnabled && getSlots(this.settings).every((slot) => slot.tabId == null)) {
         const managedTwitchTabId = await this.pickManagedTwitchTabId();
         const newSettings = { ...this.settings, managedTwitchTabId };
         await storage.saveSettings(newSettings);
@@ -65,21 +100,30 @@ class PopupManager {
       // Update category fallback widget
       this.updateCategoryFallbackWidget();
 
+      // Managed-tab picker (only shown once there are extra tabs)
+      this.renderSlotPicker();
+
+      // Profile switcher in the header
+      this.renderProfilePicker();
+
       // Update autoswap UI
       this.updateAutoSwapUI();
 
-      // Update raid behavior toggle
-      this.updateStayOnRaidUI();
+      // Update raid policy picker
+      this.updateRaidPolicyUI();
     } catch (error) {
       console.error('Error loading data:', error);
       this.showMessage('Error loading data', 'error');
     }
   }
 
-  updateStayOnRaidUI() {
-    const el = document.getElementById('stayOnRaid');
+  updateRaidPolicyUI() {
+    const el = document.getElementById('raidPolicy');
     if (!el) return;
-    el.checked = !!this.settings?.stayOnRaid;
+    const policy = normalizeRaidPolicy(this.settings);
+    el.value = policy.mode;
+    const hint = document.getElementById('raidPolicyHint');
+    if (hint) hint.textContent = RAID_POLICY_HINTS[policy.mode](policy.stayMinutes);
   }
 
   applyTheme() {
@@ -156,15 +200,16 @@ class PopupManager {
       chrome.runtime.openOptionsPage();
     });
 
-    // Stay on raids toggle
-    const stayOnRaid = document.getElementById('stayOnRaid');
-    if (stayOnRaid) {
-      stayOnRaid.addEventListener('change', async () => {
+    // Raid policy picker (the stay time is set in Settings)
+    const raidPolicy = document.getElementById('raidPolicy');
+    if (raidPolicy) {
+      raidPolicy.addEventListener('change', async () => {
         try {
-          const enabled = !!stayOnRaid.checked;
-          await storage.saveSettings({ stayOnRaid: enabled });
+          const { stayMinutes } = normalizeRaidPolicy(this.settings);
+          await storage.saveSettings({ raidPolicy: { mode: raidPolicy.value, stayMinutes } });
           this.settings = await storage.getSettings();
-          this.showMessage(enabled ? 'Staying on raids: ON' : 'Staying on raids: OFF', 'success');
+          this.updateRaidPolicyUI();
+          this.showMessage('Raid policy saved', 'success');
         } catch (e) {
           console.error('Failed to save raid setting:', e);
           this.showMessage('Failed to save setting', 'error');
@@ -235,8 +280,8 @@ class PopupManager {
           this.showMessage('Category fallback disabled', 'success');
           return;
         }
-        // enabling: if empty, keep focus on input
-        const current = (fallbackInput?.value || '').trim();
+        // enabling: bring back the slot's category list, else keep focus on input
+        const current = (fallbackInput?.value || '').trim() || this.storedFallbackCategories()[0]?.name || '';
         if (!current) {
           this.showMessage('Type a category name', 'info');
           fallbackInput?.focus();
@@ -270,6 +315,24 @@ class PopupManager {
       });
     }
 
+    // Fallback filters: one checkbox per content label, saved on any change.
+    const filters = document.getElementById('fallbackFilters');
+    const labelBox = document.getElementById('fallbackFilterLabels');
+    if (filters && labelBox) {
+      for (const [id, name] of Object.entries(CONTENT_LABELS)) {
+        const row = document.createElement('label');
+        row.className = 'filter-check';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.dataset.label = id;
+        const text = document.createElement('span');
+        text.textContent = name;
+        row.append(box, text);
+        labelBox.appendChild(row);
+      }
+      filters.addEventListener('change', () => this.saveFallbackFilters());
+    }
+
     if (fallbackApplyBtn) {
       fallbackApplyBtn.addEventListener('click', async () => {
         const value = (fallbackInput?.value || '').trim();
@@ -300,16 +363,26 @@ class PopupManager {
           }
         }
 
-        // If enabling, bind auto-swap to exactly one Twitch tab (so other Twitch tabs won't be touched)
-        let managedTwitchTabId = this.settings?.managedTwitchTabId ?? null;
+        // If enabling, bind the shown list's slot to exactly one Twitch tab (so other Twitch
+        // tabs won't be touched); disabling releases every managed tab.
+        let newSettings;
         if (checked) {
-          managedTwitchTabId = await this.pickManagedTwitchTabId();
+          const tabId = await this.pickManagedTwitchTabId(this.otherSlotTabIds());
+          newSettings = {
+            ...this.settings,
+            redirectEnabled: true,
+            ...patchSlotSettings(this.settings, this.slotId, { tabId }),
+          };
         } else {
-          managedTwitchTabId = null;
+          newSettings = {
+            ...this.settings,
+            redirectEnabled: false,
+            managedTwitchTabId: null,
+            extraSlots: normalizeExtraSlots(this.settings?.extraSlots).map((slot) => ({ ...slot, tabId: null })),
+          };
         }
 
         // Persist setting
-        const newSettings = { ...this.settings, redirectEnabled: checked, managedTwitchTabId };
         await storage.saveSettings(newSettings);
         this.settings = newSettings;
         this.updateAutoSwapUI();
@@ -327,6 +400,27 @@ class PopupManager {
       });
     }
 
+    // Profile switcher
+    const profileSelect = document.getElementById('profileSelect');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', async () => {
+        const value = profileSelect.value;
+        if (value === '__new') {
+          await this.createAndActivateProfile();
+        } else {
+          await this.activateProfile(value);
+        }
+      });
+    }
+
+    // Which managed tab's list is shown
+    const slotSelect = document.getElementById('slotSelect');
+    if (slotSelect) {
+      slotSelect.addEventListener('change', () => {
+        this.switchSlot(slotSelect.value);
+      });
+    }
+
     // Jump to managed tab
     const goManagedTabBtn = document.getElementById('goManagedTabBtn');
     if (goManagedTabBtn) {
@@ -335,15 +429,45 @@ class PopupManager {
       });
     }
 
+    // Undo the last automatic navigation of the shown slot's tab
+    const goBackBtn = document.getElementById('goBackBtn');
+    if (goBackBtn) {
+      goBackBtn.addEventListener('click', async () => {
+        await this.goBack();
+      });
+    }
+
     // Keep popup UI in sync if settings change elsewhere
     chrome.storage.onChanged.addListener((changes, area) => {
       if (area !== 'local') return;
       if (changes.settings?.newValue) {
         this.settings = { ...this.settings, ...changes.settings.newValue };
+        // The shown slot was deleted in Options: fall back to the main list.
+        if (!getSlots(this.settings).some((slot) => slot.id === this.slotId)) {
+          this.switchSlot(MAIN_SLOT_ID);
+        }
+        this.renderSlotPicker();
         this.updateAutoSwapUI();
         this.updateCategoryFallbackWidget();
         this.applyTheme();
       }
+      if (changes.profiles?.newValue) {
+        this.profiles = migrateProfiles(changes.profiles.newValue);
+        this.profile = getActiveProfile(this.profiles);
+        this.renderProfilePicker();
+        this.updateCategoryFallbackWidget();
+      }
+      if (changes.schedules) {
+        this.schedules = changes.schedules.newValue || {};
+        this.render();
+      }
+      if (changes.runtime) {
+        this.runtime = changes.runtime.newValue || null;
+        this.updateSwitchPendingUI();
+        this.updateGoBackUI();
+        this.updateNextPollUI();
+        this.updateCurrentStream();
+      }
     });
 
     // Debounced input validation
@@ -360,7 +484,7 @@ class PopupManager {
     if (!username || username.trim().length === 0) return;
     
     // Basic validation - alphanumeric, underscores, hyphens
-    const valid = /^[a-zA-Z0-9_]{4,25}$/.test(username.trim());
+    const valid = isValidUsername(username);
     const input = document.getElementById('streamInput');
     
     if (!valid && username.trim().length > 0) {
@@ -372,46 +496,31 @@ class PopupManager {
 
   async addStream() {
     const input = document.getElementById('streamInput');
-    const username = input.value.trim().toLowerCase();
-
-    if (!username) {
-      this.showMessage('Please enter a username', 'error');
-      return;
-    }
-
-    // Validate username format
-    if (!/^[a-zA-Z0-9_]{4,25}$/.test(username)) {
-      this.showMessage('Invalid username format', 'error');
-      return;
-    }
-
-    // Check if already exists
-    if (this.streams.some(s => s.username.toLowerCase() === username)) {
-      this.showMessage('Stream already in list', 'error');
-      input.value = '';
-      return;
-    }
-
-    // Check free tier limit
-    const isPremium = this.settings?.premiumStatus || false;
-    if (!isPremium && this.streams.length >= 10) {
-      this.showMessage('Free tier limited to 10 streams. Enable Supporter Features for unlimited (honor system).', 'info');
-      // Nudge the user to Options
-      setTimeout(() => {
-        chrome.runtime.openOptionsPage();
-      }, 2000);
+    const check = validateNewStream(this.streams, input.value, { premium: !!this.settings?.premiumStatus });
+    if (!check.ok) {
+      if (check.code === 'DUPLICATE') {
+        this.showMessage(check.message, 'error');
+        input.value = '';
+        return;
+      }
+      if (check.code === 'FREE_LIMIT') {
+        this.showMessage(check.message, 'info');
+        // Nudge the user to Options
+        setTimeout(() => {
+          chrome.runtime.openOptionsPage();
+        }, 2000);
+        return;
+      }
+      this.showMessage(check.message, 'error');
       return;
     }
+    const { username } = check;
 
-    // Add stream
-    const newStream = {
-      username: username,
-      priority: this.streams.length + 1,
-      addedAt: Date.now()
-    };
+    // Add stream (to the bottom tier, i.e. the end of the list)
+    const newStream = createStreamEntry(this.streams, username, this.getTiers().length);
 
     this.streams.push(newStream);
-    await storage.saveStreams(this.streams);
+    await this.saveStreams();
     await this.forcePollAndSwap();
     
     input.value = '';
@@ -430,7 +539,7 @@ class PopupManager {
       stream.priority = index + 1;
     });
 
-    await storage.saveStreams(this.streams);
+    await this.saveStreams();
     await this.forcePollAndSwap();
     this.render();
     this.showMessage('Stream removed', 'success');
@@ -452,8 +561,8 @@ class PopupManager {
       premiumBadge.style.display = 'none';
     }
 
-    // Remove all stream items but preserve empty state
-    const itemsToRemove = listContainer.querySelectorAll('.stream-item');
+    // Remove all stream items and tier headers but preserve empty state
+    const itemsToRemove = listContainer.querySelectorAll('.stream-item, .tier-header, .tier-add');
     itemsToRemove.forEach(item => item.remove());
 
     if (this.streams.length === 0) {
@@ -464,12 +573,22 @@ class PopupManager {
 
     emptyState.style.display = 'none';
 
-    // Render stream items
-    this.streams.forEach((stream, index) => {
-      const item = this.createStreamItem(stream, index);
-      listContainer.appendChild(item);
+    // Render stream items, grouped under tier headers once there is more than one tier
+    const tiers = this.getTiers();
+    tiers.forEach((tier, i) => {
+      if (tiers.length > 1) listContainer.appendChild(this.createTierHeader(tier, i + 1, tiers.length));
+      this.streams
+        .filter((stream) => tierOf(stream, tiers.length) === i + 1)
+        .forEach((stream) => listContainer.appendChild(this.createStreamItem(stream)));
     });
 
+    const addTier = document.createElement('button');
+    addTier.className = 'btn-link tier-add';
+    addTier.textContent = '+ Add tier';
+    addTier.title = 'Group channels that are equally good; a tie-break picks between them';
+    addTier.addEventListener('click', () => this.addTier());
+    listContainer.appendChild(addTier);
+
     // Setup drag and drop
     this.setupDragAndDrop();
     
@@ -480,6 +599,212 @@ class PopupManager {
     this.updateAutoSwapUI();
   }
 
+  renderProfilePicker() {
+    const select = document.getElementById('profileSelect');
+    if (!select || !this.profiles) return;
+    select.innerHTML = '';
+    for (const profile of this.profiles.items) {
+      select.add(new Option(profile.name, profile.id, false, profile.id === this.profiles.activeId));
+    }
+    select.add(new Option('New profile…', '__new'));
+  }
+
+  async activateProfile(profileId) {
+    try {
+      const switched = await storage.activateProfile(profileId);
+      if (!switched) return;
+      this.profiles = await storage.getProfiles();
+      this.profile = getActiveProfile(this.profiles);
+      if (this.slotId === MAIN_SLOT_ID) {
+        this.rulesEditorFor = null;
+        this.streams = sortByTier(await storage.getStreams(), this.getTiers().length);
+      }
+      this.renderProfilePicker();
+      this.render();
+      this.updateCurrentStream();
+      await this.forcePollAndSwap();
+      this.showMessage(`Switched to ${this.profile.name}`, 'success');
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      this.showMessage('Error switching profile', 'error');
+      this.renderProfilePicker();
+    }
+  }
+
+  async createAndActivateProfile() {
+    const name = prompt('Name for the new profile (starts with an empty list):');
+    if (!name || !name.trim()) {
+      this.renderProfilePicker();
+      return;
+    }
+    const { profiles, id } = createProfile(this.profiles, name);
+    await storage.saveProfiles(profiles);
+    this.profiles = profiles;
+    await this.activateProfile(id);
+  }
+
+  // Settings as the background sees them: the active profile's overrides applied.
+  getEffectiveSettings() {
+    return applyProfileOverrides(this.settings, this.profile);
+  }
+
+  getViewedSlot() {
+    const slots = getSlots(this.getEffectiveSettings());
+    return slots.find((slot) => slot.id === this.slotId) || slots[0];
+  }
+
+  // Runtime sections (fallback, switching) of the shown slot; the main slot's are top-level.
+  getSlotRuntime() {
+    if (this.slotId === MAIN_SLOT_ID) return this.runtime;
+    return this.runtime?.slots?.[this.slotId] || null;
+  }
+
+  async saveSlotSettings(patch) {
+    const partial = patchSlotSettings(this.settings, this.slotId, patch);
+    this.settings = { ...this.settings, ...partial };
+    await storage.saveSettings(partial);
+  }
+
+  async saveStreams() {
+    await storage.saveSlotStreams(this.slotId, this.streams);
+  }
+
+  renderSlotPicker() {
+    const bar = document.getElementById('slotBar');
+    const select = document.getElementById('slotSelect');
+    if (!bar || !select) return;
+
+    const slots = getSlots(this.settings);
+    bar.style.display = slots.length > 1 ? 'flex' : 'none';
+    select.innerHTML = '';
+    for (const slot of slots) {
+      const label = slot.tabId != null ? slot.name : `${slot.name} (no tab)`;
+      select.add(new Option(label, slot.id, false, slot.id === this.slotId));
+    }
+  }
+
+  async switchSlot(slotId) {
+    this.slotId = slotId;
+    this.rulesEditorFor = null;
+    this.streams = sortByTier(await storage.getSlotStreams(slotId), this.getTiers().length);
+    this.renderSlotPicker();
+    this.render();
+    this.updateCurrentStream();
+    this.updateAutoSwapUI();
+    this.checkStreamStatuses();
+  }
+
+  getTiers() {
+    return normalizeTiers(this.settings?.tiers);
+  }
+
+  createTierHeader(tier, number, tierCount) {
+    const header = document.createElement('div');
+    header.className = 'tier-header';
+    header.dataset.tier = String(number);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'tier-name';
+    name.maxLength = 30;
+    name.value = tier.name;
+    name.setAttribute('aria-label', `Tier ${number} name`);
+    name.addEventListener('change', () => this.updateTier(number, { name: name.value }));
+
+    const tieBreak = document.createElement('select');
+    tieBreak.className = 'tier-tiebreak';
+    tieBreak.title = 'When several channels in this tier are live, pick by';
+    for (const [value, label] of Object.entries(TIE_BREAKS)) {
+      tieBreak.add(new Option(label, value, false, value === tier.tieBreak));
+    }
+    tieBreak.addEventListener('change', () => this.updateTier(number, { tieBreak: tieBreak.value }));
+
+    header.append(name, tieBreak);
+
+    if (tierCount > 1) {
+      const remove = document.createElement('button');
+      remove.className = 'action-btn';
+      remove.textContent = '×';
+      remove.title = 'Remove tier (its channels move up a tier)';
+      remove.addEventListener('click', () => this.removeTier(number));
+      header.appendChild(remove);
+    }
+
+    // Dropping a channel on a header moves it to the end of that tier
+    header.addEventListener('dragover', (e) => {
+      if (!this.draggedElement) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      header.classList.add('drag-over');
+    });
+    header.addEventListener('dragleave', (e) => {
+      if (!header.contains(e.relatedTarget)) header.classList.remove('drag-over');
+    });
+    header.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      header.classList.remove('drag-over');
+      if (this.draggedElement) {
+        await this.moveStreamToTier(this.draggedElement.dataset.username, number);
+      }
+    });
+
+    return header;
+  }
+
+  async saveTiers(tiers) {
+    const normalized = normalizeTiers(tiers);
+    this.settings = { ...this.settings, tiers: normalized };
+    await storage.saveSettings({ tiers: normalized });
+  }
+
+  async addTier() {
+    const tiers = this.getTiers();
+    await this.saveTiers([...tiers, { name: `Tier ${tiers.length + 1}`, tieBreak: 'order' }]);
+    this.render();
+  }
+
+  async updateTier(number, patch) {
+    const tiers = this.getTiers();
+    tiers[number - 1] = { ...tiers[number - 1], ...patch };
+    await this.saveTiers(tiers);
+    await this.forcePollAndSwap();
+    this.render();
+  }
+
+  async removeTier(number) {
+    const tiers = this.getTiers();
+    if (tiers.length <= 1) return;
+
+    // Channels in the removed tier join the tier above it (or the new top
+    // tier), in every list: tiers are shared by all of them.
+    await storage.mapAllStreamLists((list) => removeTierFromList(list, number, tiers.length));
+    this.streams = await storage.getSlotStreams(this.slotId);
+    tiers.splice(number - 1, 1);
+
+    await this.saveTiers(tiers);
+    await this.saveStreamOrder();
+    this.render();
+  }
+
+  async moveStreamToTier(username, number) {
+    const stream = this.streams.find((s) => s.username === username);
+    if (!stream) return;
+    stream.tier = number;
+    stream.priority = Infinity; // end of the tier; renumbered below
+    await this.saveStreamOrder();
+    this.render();
+  }
+
+  // Re-sort by (tier, priority), renumber priorities 1..N and persist.
+  async saveStreamOrder() {
+    this.streams = sortByTier(this.streams, this.getTiers().length);
+    this.streams.forEach((stream, index) => {
+      stream.priority = index + 1;
+    });
+    await this.saveStreams();
+    await this.forcePollAndSwap();
+  }
+
   updateAutoSwapUI() {
     const toggle = document.getElementById('autoSwapToggle');
     const status = document.getElementById('autoSwapStatus');
@@ -494,15 +819,118 @@ class PopupManager {
 
     // Update badge immediately from the popup (so the user sees it even if SW is waking up)
     this.updateActionBadge(enabled);
+    this.updateSwitchPendingUI();
+    this.updateGoBackUI();
+    this.updateNextPollUI();
 
     if (goBtn) {
-      const hasManaged = !!this.settings?.managedTwitchTabId;
+      const hasManaged = this.getViewedSlot().tabId != null;
       goBtn.style.display = enabled ? 'inline-flex' : 'none';
       goBtn.disabled = !enabled;
       goBtn.title = hasManaged ? 'Jump to the managed Twitch tab' : 'Pick/jump to a Twitch tab to manage';
     }
   }
 
+  updateSwitchPendingUI() {
+    const hint = document.getElementById('switchPendingHint');
+    if (!hint) return;
+
+    // Going back, snoozing or a raid pauses Auto-Swap; that outranks any pending switch.
+    const snoozeUntil = Number(this.runtime?.snooze?.until) || 0;
+    if (this.settings?.redirectEnabled && snoozeUntil > Date.now()) {
+      hint.textContent = `Switching snoozed for ${formatCountdown(snoozeUntil - Date.now())} (press the shortcut again to resume)`;
+      hint.style.display = 'block';
+      return;
+    }
+    const navigation = this.getSlotRuntime()?.navigation;
+    if (this.settings?.redirectEnabled && isNavSuspended(navigation)) {
+      hint.textContent = `Auto-Swap paused for ${formatCountdown(navigation.suspendedUntil - Date.now())} after going back`;
+      hint.style.display = 'block';
+      return;
+    }
+    const raid = this.getSlotRuntime()?.raid;
+    if (this.settings?.redirectEnabled && isRaidHoldActive(raid)) {
+      hint.textContent = `Watching the raid on ${raid.channel} for ${formatCountdown(raid.until - Date.now())}`;
+      hint.style.display = 'block';
+      return;
+    }
+
+    const pending = this.getSlotRuntime()?.switching?.pending;
+    const remaining = pending?.until ? pending.until - Date.now() : 0;
+    // Queue/sticky holds have no end time: they last until the current stream goes offline.
+    const untilStreamEnds = !!pending?.username && !pending?.until;
+    if (!this.settings?.redirectEnabled || !pending?.username || (!untilStreamEnds && remaining <= 0)) {
+      hint.style.display = 'none';
+      hint.textContent = '';
+      return;
+    }
+
+    if (untilStreamEnds) {
+      const why = pending.reason === 'sticky' ? 'pinned channel' : 'queue mode';
+      hint.textContent = `Next up: ${pending.username} — when the current stream ends (${why})`;
+      hint.style.display = 'block';
+      return;
+    }
+
+    if (pending.reason === 'interaction') {
+      // The end moves every time the user does something: no countdown.
+      const doing = describeInteraction(this.getSlotRuntime()?.interaction?.signals);
+      hint.textContent = `Next up: ${pending.username} — once the tab has been quiet for a bit (you're ${doing})`;
+      hint.style.display = 'block';
+      return;
+    }
+
+    const why = {
+      dwell: 'minimum watch time',
+      grace: 'new stream grace period',
+      cooldown: 'cooldown after last switch',
+    }[pending.reason] || 'switch hold';
+    hint.textContent = `Switching to ${pending.username} in ${formatCountdown(remaining)} (${why})`;
+    hint.style.display = 'block';
+  }
+
+  // Footer: when the background plans its next check, and why it's sooner/later than usual.
+  updateNextPollUI() {
+    const hint = document.getElementById('nextPollHint');
+    if (!hint) return;
+    const { at, reason } = this.runtime?.nextPoll || {};
+    const remaining = Number(at) - Date.now();
+    if (!(remaining > 0)) {
+      hint.textContent = '';
+      hint.title = '';
+      return;
+    }
+    const why = describePollReason(reason);
+    hint.textContent = `Next check in ${formatCountdown(remaining)}${why ? ` · ${why}` : ''}`;
+    hint.title = why ? `Checking on an adjusted schedule: ${why}` : 'Checking at your check interval';
+  }
+
+  updateGoBackUI() {
+    const btn = document.getElementById('goBackBtn');
+    if (!btn) return;
+    const runtime = this.getSlotRuntime();
+    const channel = peekNavStack(runtime?.navigation?.stack, runtime?.switching?.channel || null);
+    const show = !!this.settings?.redirectEnabled && this.getViewedSlot().tabId != null && !!channel;
+    btn.style.display = show ? 'block' : 'none';
+    btn.textContent = show ? `← Back to ${channel}` : '';
+  }
+
+  async goBack() {
+    const btn = document.getElementById('goBackBtn');
+    if (btn) btn.disabled = true;
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: 'TSR_GO_BACK', slotId: this.slotId });
+      if (!resp?.ok) {
+        this.showMessage(resp?.error || 'Nothing to go back to', 'error');
+      }
+    } catch (error) {
+      console.error('Error going back:', error);
+      this.showMessage('Could not go back', 'error');
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
   updateActionBadge(enabled) {
     try {
       if (!chrome?.action) return;
@@ -517,7 +945,7 @@ class PopupManager {
 
   async goToManagedTab() {
     try {
-      let tabId = this.settings?.managedTwitchTabId ?? null;
+      let tabId = this.getViewedSlot().tabId;
 
       // If the current managed tab is missing/closed, pick a new one.
       if (tabId != null) {
@@ -534,11 +962,10 @@ class PopupManager {
       }
 
       if (tabId == null) {
-        tabId = await this.pickManagedTwitchTabId();
-        const newSettings = { ...this.settings, managedTwitchTabId: tabId };
-        await storage.saveSettings(newSettings);
-        this.settings = newSettings;
+        tabId = await this.pickManagedTwitchTabId(this.otherSlotTabIds());
+        await this.saveSlotSettings({ tabId });
         this.updateAutoSwapUI();
+        await this.forcePollAndSwap();
       }
 
       if (tabId == null) {
@@ -547,17 +974,7 @@ class PopupManager {
       }
 
       // Focus the tab + its window.
-      const tab = await new Promise((resolve, reject) => {
-        chrome.tabs.get(tabId, (t) => {
-          if (chrome.runtime.lastError || !t) return reject(new Error('Tab not found'));
-          resolve(t);
-        });
-      });
-
-      if (tab?.windowId != null) {
-        await new Promise((resolve) => chrome.windows.update(tab.windowId, { focused: true }, resolve));
-      }
-      await new Promise((resolve) => chrome.tabs.update(tabId, { active: true }, resolve));
+      if (!(await focusTab(tabId))) throw new Error('Tab not found');
 
       this.showMessage('Jumped to managed tab', 'success');
     } catch (e) {
@@ -566,49 +983,30 @@ class PopupManager {
     }
   }
 
-  async pickManagedTwitchTabId() {
-    try {
-      // Prefer the current active Twitch tab
-      const activeTabs = await new Promise((resolve) => {
-        chrome.tabs.query({ active: true, currentWindow: true }, resolve);
-      });
-      const activeTab = activeTabs?.[0];
-      if (activeTab?.id && isTwitchUrl(activeTab.url || '')) {
-        return activeTab.id;
-      }
-
-      // Otherwise, pick any existing Twitch tab (first match)
-      const twitchTabs = await new Promise((resolve) => {
-        chrome.tabs.query({ url: ['*://twitch.tv/*', '*://*.twitch.tv/*'] }, resolve);
-      });
-      if (twitchTabs?.length) {
-        return twitchTabs[0].id ?? null;
-      }
-    } catch (e) {
-      console.warn('Failed to pick managed Twitch tab:', e);
-    }
+  // Tabs already managed by a slot other than the shown one
+  otherSlotTabIds() {
+    return getSlots(this.settings)
+      .filter((slot) => slot.id !== this.slotId && slot.tabId != null)
+      .map((slot) => slot.tabId);
+  }
 
-    // No Twitch tab found: create one and manage it.
-    try {
-      const created = await new Promise((resolve) => {
-        chrome.tabs.create({ url: 'https://www.twitch.tv/' }, resolve);
-      });
-      return created?.id ?? null;
-    } catch (e) {
-      console.warn('Failed to create Twitch tab:', e);
-      return null;
-    }
+  async pickManagedTwitchTabId(excludeTabIds = []) {
+    return pickTwitchTab(excludeTabIds);
   }
 
   createStreamItem(stream) {
     const item = document.createElement('div');
+    const editingRules = this.rulesEditorFor === stream.username;
     item.className = 'stream-item';
-    item.draggable = true;
+    // Inputs inside a draggable row can't be text-selected, so pause dragging while editing rules.
+    item.draggable = !editingRules;
     item.dataset.username = stream.username;
     item.dataset.priority = stream.priority;
 
     const isLive = stream.isLive || false;
     const notifyOn = stream.notify !== false;
+    const hasRules = hasSwitchRules(stream.rules);
+    const sticky = !!stream.sticky;
     const data = isLive ? stream.streamData : null;
 
     const esc = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => (
@@ -622,9 +1020,17 @@ class PopupManager {
     const uptime = formatUptime(data?.started_at);
     if (uptime) metaParts.push(uptime);
 
-    const statusLine = isLive && data?.title
+    // Offline rows say when the channel's Twitch schedule has it back.
+    const scheduleText = isLive ? '' : describeSchedule(this.schedules?.[stream.username]);
+    let statusLine = isLive && data?.title
       ? `<span class="stream-title" title="${esc(data.title)}">${esc(data.title)}</span>`
       : `<span>${isLive ? 'Live' : 'Offline'}</span>`;
+    if (scheduleText) {
+      statusLine = `<span class="stream-title schedule-hint" title="${esc(scheduleText)}">${esc(scheduleText)}</span>`;
+    }
+    if (isLive && stream.skipReason) {
+      statusLine = `<span class="stream-title skip-reason" title="${esc(stream.skipReason)}">Skipped — ${esc(stream.skipReason)}</span>`;
+    }
 
     const bellIcon = notifyOn
       ? '<svg viewBox="0 0 16 16" width="14" height="14" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true"><path d="M8 2a3.6 3.6 0 0 0-3.6 3.6c0 3-1.2 4-1.9 4.6h11c-.7-.6-1.9-1.6-1.9-4.6A3.6 3.6 0 0 0 8 2ZM6.6 12.5a1.5 1.5 0 0 0 2.8 0"/></svg>'
@@ -633,7 +1039,9 @@ class PopupManager {
     item.innerHTML = `
       <div class="stream-handle">☰</div>
       <div class="stream-info">
-        <div class="stream-username">${esc(stream.username)}</div>
+        <div class="stream-username">${esc(stream.username)}${stream.temporary
+          ? `<span class="raid-tag" title="${esc(stream.raidFrom ? `Raided in by ${stream.raidFrom}; ` : '')}leaves the list when the stream ends">raid</span>`
+          : ''}</div>
         <div class="stream-status">
           <span class="status-indicator ${isLive ? 'live' : ''}"></span>
           ${statusLine}
@@ -644,8 +1052,15 @@ class PopupManager {
         <button class="action-btn notify-btn ${notifyOn ? '' : 'muted'}" data-action="notify"
           aria-pressed="${notifyOn}"
           title="${notifyOn ? 'Notifications on — click to mute' : 'Notifications muted — click to unmute'}">${bellIcon}</button>
+        <button class="action-btn pin-btn ${sticky ? 'active' : ''}" data-action="sticky"
+          aria-pressed="${sticky}"
+          title="${sticky ? 'Pinned — Auto-Swap stays on this channel until its stream ends' : 'Pin: stay on this channel until its stream ends'}"><svg viewBox="0 0 16 16" width="14" height="14" fill="${sticky ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="1.5" aria-hidden="true"><path d="M6 2h4l-.6 4 2.6 2.5H4L6.6 6Z"/><path d="M8 8.5V14" fill="none"/></svg></button>
+        <button class="action-btn rules-btn ${hasRules ? 'active' : ''}" data-action="rules"
+          aria-pressed="${editingRules}"
+          title="${hasRules ? 'Switch rules set — click to edit' : 'Add switch rules (category, title, viewers)'}"><svg viewBox="0 0 16 16" width="14" height="14" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true"><path d="M2.5 3h11L9.2 8.4V13l-2.4-1.2V8.4Z"/></svg></button>
         <button class="action-btn" data-action="remove" title="Remove">×</button>
       </div>
+      ${editingRules ? this.renderRulesEditor(stream, esc) : ''}
     `;
 
     // Notification bell
@@ -654,20 +1069,94 @@ class PopupManager {
       this.toggleNotify(stream.username);
     });
 
+    // Sticky (watch until it ends) pin
+    item.querySelector('[data-action="sticky"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleSticky(stream.username);
+    });
+
+    // Switch rules editor
+    item.querySelector('[data-action="rules"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.rulesEditorFor = editingRules ? null : stream.username;
+      this.render();
+    });
+
     // Remove button
     item.querySelector('[data-action="remove"]').addEventListener('click', (e) => {
       e.stopPropagation();
       this.removeStream(stream.username);
     });
 
+    if (editingRules) {
+      const editor = item.querySelector('.stream-rules');
+      editor.querySelector('[data-action="rules-save"]').addEventListener('click', () => {
+        this.saveStreamRules(stream.username, {
+          allowGames: parseRuleList(editor.querySelector('[name="allowGames"]').value),
+          blockGames: parseRuleList(editor.querySelector('[name="blockGames"]').value),
+          requireKeywords: parseRuleList(editor.querySelector('[name="requireKeywords"]').value),
+          blockKeywords: parseRuleList(editor.querySelector('[name="blockKeywords"]').value),
+          minViewers: editor.querySelector('[name="minViewers"]').value,
+        });
+      });
+      editor.querySelector('[data-action="rules-clear"]').addEventListener('click', () => {
+        this.saveStreamRules(stream.username, null);
+      });
+    }
+
     return item;
   }
 
+  renderRulesEditor(stream, esc) {
+    const r = stream.rules || {};
+    const join = (list) => esc((list || []).join(', '));
+    return `
+      <div class="stream-rules">
+        <label>Only these categories<input type="text" name="allowGames" value="${join(r.allowGames)}" placeholder="Any category" autocomplete="off"></label>
+        <label>Never these categories<input type="text" name="blockGames" value="${join(r.blockGames)}" placeholder="e.g. Just Chatting" autocomplete="off"></label>
+        <label>Title must include<input type="text" name="requireKeywords" value="${join(r.requireKeywords)}" placeholder="e.g. any%, /\\bwr\\b/i" autocomplete="off"></label>
+        <label>Title must not include<input type="text" name="blockKeywords" value="${join(r.blockKeywords)}" placeholder="e.g. rerun" autocomplete="off"></label>
+        <label>Min viewers<input type="number" name="minViewers" min="0" step="1" value="${esc(r.minViewers ?? '')}" placeholder="0"></label>
+        <div class="stream-rules-actions">
+          <button class="btn-link" data-action="rules-clear">Clear rules</button>
+          <button class="btn-small" data-action="rules-save">Save rules</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async saveStreamRules(username, rules) {
+    const stream = this.streams.find((s) => s.username === username);
+    if (!stream) return;
+    const normalized = normalizeSwitchRules(rules);
+    if (normalized) stream.rules = normalized;
+    else delete stream.rules;
+    // Re-evaluate locally so the row reflects the new rules before the next poll.
+    stream.skipReason = stream.isLive
+      ? evaluateSwitchRules(stream.rules, stream.streamData).reason
+      : null;
+    this.rulesEditorFor = null;
+    await this.saveStreams();
+    await this.forcePollAndSwap();
+    this.render();
+    this.showMessage(normalized ? `Rules saved for ${username}` : `Rules cleared for ${username}`, 'success');
+  }
+
+  async toggleSticky(username) {
+    const stream = this.streams.find((s) => s.username === username);
+    if (!stream) return;
+    if (stream.sticky) delete stream.sticky;
+    else stream.sticky = true;
+    await this.saveStreams();
+    this.render();
+    this.showMessage(stream.sticky ? `Pinned ${username}: stays until the stream ends` : `Unpinned ${username}`, 'success');
+  }
+
   async toggleNotify(username) {
     const stream = this.streams.find((s) => s.username === username);
     if (!stream) return;
     stream.notify = stream.notify === false;
-    await storage.saveStreams(this.streams);
+    await this.saveStreams();
     this.render();
   }
 
@@ -847,8 +1336,9 @@ class PopupManager {
 
     if (draggedIndex === -1 || targetIndex === -1) return;
 
-    // Remove dragged item
+    // Remove dragged item; dropping onto an entry also moves it into that entry's tier
     const [dragged] = this.streams.splice(draggedIndex, 1);
+    dragged.tier = tierOf(this.streams.find((s) => s.username === targetUsername), this.getTiers().length);
     
     // Insert at target position
     this.streams.splice(targetIndex, 0, dragged);
@@ -859,7 +1349,7 @@ class PopupManager {
     });
 
     // Save immediately (no debounce for reordering)
-    await storage.saveStreams(this.streams);
+    await this.saveStreams();
     await this.forcePollAndSwap();
     
     // Re-render to update UI
@@ -901,6 +1391,12 @@ class PopupManager {
           stream.streamData = statuses[stream.username];
           hasChanges = true;
         }
+
+        const skipReason = isLive ? evaluateSwitchRules(stream.rules, stream.streamData).reason : null;
+        if ((stream.skipReason || null) !== skipReason) {
+          stream.skipReason = skipReason;
+          hasChanges = true;
+        }
       });
 
       if (hasChanges) {
@@ -929,8 +1425,11 @@ class PopupManager {
     const currentStreamDiv = document.getElementById('currentStream');
     const currentInfo = document.getElementById('currentInfo');
 
-    // Find highest priority live stream
-    const liveStream = this.streams.find(s => s.isLive);
+    // Prefer the background's pick (tier tie-breaks); otherwise the highest
+    // priority live stream that its switch rules allow
+    const target = this.getSlotRuntime()?.switching?.target;
+    const liveStream = this.streams.find(s => s.isLive && !s.skipReason && s.username === target)
+      || this.streams.find(s => s.isLive && !s.skipReason);
 
     if (liveStream) {
       currentStreamDiv.style.display = 'block';
@@ -949,24 +1448,86 @@ class PopupManager {
     const widget = document.getElementById('categoryFallbackWidget');
     if (!widget) return;
 
-    const categoryName = this.settings?.fallbackCategory || '';
+    const slot = this.getViewedSlot();
+    const categoryName = slot.fallbackCategory;
     const isEnabled = !!categoryName;
+    // A weighted list is edited in Settings; the input just names its first entry.
+    const isMix = slot.fallbackCategories.length > 1;
     const toggle = document.getElementById('fallbackEnabledToggle');
     const input = document.getElementById('fallbackCategoryInput');
+    const mixHint = document.getElementById('fallbackMixHint');
     if (toggle) toggle.checked = isEnabled;
     if (input && input !== document.activeElement) {
       input.value = categoryName;
     }
+    if (input) input.readOnly = isMix;
+    if (mixHint) {
+      mixHint.hidden = !isMix;
+      mixHint.textContent = isMix ? `${describeFallbackCategories(slot.fallbackCategories)} — edit in Settings` : '';
+    }
+    this.updateFallbackFiltersUI();
+  }
+
+  // The viewed slot's stored category list, kept while fallback is toggled off.
+  storedFallbackCategories() {
+    const stored = this.slotId === MAIN_SLOT_ID
+      ? this.settings?.fallbackCategories
+      : normalizeExtraSlots(this.settings?.extraSlots).find((s) => s.id === this.slotId)?.fallbackCategories;
+    return normalizeFallbackCategories(stored);
+  }
+
+  updateFallbackFiltersUI() {
+    const summary = document.getElementById('fallbackFiltersSummary');
+    if (!summary) return;
+    const f = normalizeFallbackFilters(this.settings?.fallbackFilters);
+    const count = countFallbackFilters(f);
+    summary.textContent = count > 0 ? `Filters (${count})` : 'Filters';
+
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (el && el !== document.activeElement) el.value = value;
+    };
+    set('fallbackFilterLanguages', f.languages.join(', '));
+    set('fallbackFilterMinViewers', f.minViewers || '');
+    set('fallbackFilterMaxViewers', f.maxViewers || '');
+    set('fallbackFilterBlocked', f.blockedChannels.join(', '));
+    document.getElementById('fallbackFilterNoMature').checked = f.excludeMature;
+    document.getElementById('fallbackFilterPreferSmaller').checked = f.preferSmaller;
+    document.querySelectorAll('#fallbackFilterLabels input[data-label]').forEach((box) => {
+      box.checked = f.blockedLabels.includes(box.dataset.label);
+    });
+  }
+
+  async saveFallbackFilters() {
+    const value = (id) => document.getElementById(id).value;
+    const fallbackFilters = normalizeFallbackFilters({
+      languages: value('fallbackFilterLanguages'),
+      minViewers: value('fallbackFilterMinViewers'),
+      maxViewers: value('fallbackFilterMaxViewers'),
+      excludeMature: document.getElementById('fallbackFilterNoMature').checked,
+      blockedLabels: [...document.querySelectorAll('#fallbackFilterLabels input[data-label]:checked')]
+        .map((box) => box.dataset.label),
+      blockedChannels: value('fallbackFilterBlocked'),
+      preferSmaller: document.getElementById('fallbackFilterPreferSmaller').checked,
+    });
+    await storage.saveSettings({ fallbackFilters });
+    this.settings = { ...this.settings, fallbackFilters };
+    this.updateFallbackFiltersUI();
+    this.showMessage('Fallback filters saved — used from the next pick', 'success');
   }
 
   async saveFallbackCategory(categoryName) {
     const value = String(categoryName || '').trim();
-    const newSettings = {
-      ...this.settings,
-      fallbackCategory: value
-    };
-    await storage.saveSettings(newSettings);
-    this.settings = newSettings;
+    if (this.slotId === MAIN_SLOT_ID && this.profile?.overrides?.fallbackCategory !== undefined) {
+      // The active profile has its own category: edit that, not the global setting.
+      this.profiles = updateProfile(this.profiles, this.profile.id, {
+        overrides: { ...this.profile.overrides, fallbackCategory: value },
+      });
+      this.profile = getActiveProfile(this.profiles);
+      await storage.saveProfiles(this.profiles);
+    } else {
+      await this.saveSlotSettings({ fallbackCategory: value });
+    }
     this.updateCategoryFallbackWidget();
 
     // If fallback is enabled, ensure we force a background poll so the user sees it work quickly.
@@ -1031,6 +1592,13 @@ class PopupManager {
     this.statusCheckInterval = setInterval(() => {
       this.checkStreamStatuses();
     }, 30000);
+
+    // Keep the "switching to X in 3m" countdown moving between storage updates.
+    this.pendingTicker = setInterval(() => {
+      this.updateSwitchPendingUI();
+      this.updateGoBackUI();
+      this.updateNextPollUI();
+    }, 5000);
   }
 
   showMessage(text, type = 'info') {
@@ -1047,6 +1615,9 @@ class PopupManager {
     if (this.statusCheckInterval) {
       clearInterval(this.statusCheckInterval);
     }
+    if (this.pendingTicker) {
+      clearInterval(this.pendingTicker);
+    }
     if (this.debounceTimeout) {
       clearTimeout(this.debounceTimeout);
     }
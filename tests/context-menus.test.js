@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { CONTEXT_MENU_IDS, buildContextMenus, parseAddClick, toggleMenuState } from '../utils/context-menus.js';
+
+describe('parseAddClick', () => {
+  it('reads the channel from the link or the page', () => {
+    expect(parseAddClick({ menuItemId: CONTEXT_MENU_IDS.ADD_LINK, linkUrl: 'https://www.twitch.tv/Shroud?x=1', pageUrl: 'https://www.twitch.tv/xqcow' }))
+      .toEqual({ channel: 'shroud', top: false });
+    expect(parseAddClick({ menuItemId: CONTEXT_MENU_IDS.ADD_PAGE_TOP, pageUrl: 'https://www.twitch.tv/xqcow/videos' }))
+      .toEqual({ channel: 'xqcow', top: true });
+  });
+
+  it('returns no channel for non-channel pages and null for other items', () => {
+    expect(parseAddClick({ menuItemId: CONTEXT_MENU_IDS.ADD_PAGE, pageUrl: 'https://www.twitch.tv/directory' }).channel).toBeNull();
+    expect(parseAddClick({ menuItemId: CONTEXT_MENU_IDS.AUTOSWAP })).toBeNull();
+  });
+});
+
+describe('toggleMenuState', () => {
+  it('mirrors Auto-Swap, notifications and fallback', () => {
+    expect(toggleMenuState({ redirectEnabled: true, notificationsEnabled: false, fallbackCategory: ' ' })).toEqual({
+      [CONTEXT_MENU_IDS.AUTOSWAP]: true,
+      [CONTEXT_MENU_IDS.NOTIFICATIONS]: false,
+      [CONTEXT_MENU_IDS.FALLBACK]: false,
+    });
+  });
+});
+
+describe('buildContextMenus', () => {
+  it('limits add items to Twitch and toggles to the toolbar icon', () => {
+    const items = buildContextMenus({ fallbackCategory: 'Just Chatting' });
+    expect(items.find((i) => i.id === CONTEXT_MENU_IDS.ADD_LINK).targetUrlPatterns).toContain('*://*.twitch.tv/*');
+    expect(items.find((i) => i.id === CONTEXT_MENU_IDS.FALLBACK)).toMatchObject({ type: 'checkbox', checked: true, contexts: ['action'] });
+  });
+});
@@ -0,0 +1,239 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import {
+  EventSubSocket,
+  LIVE_EVENT_TTL_MS,
+  parseEventSubMessage,
+  applyLiveEvents,
+  diffSubscriptions,
+} from '../utils/eventsub.js';
+
+const recorded = JSON.parse(readFileSync(new URL('./fixtures/eventsub-session.json', import.meta.url), 'utf8'));
+
+// Local WebSocket stand-in: tests replay recorded frames into it.
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.closedWith = null;
+    FakeWebSocket.instances.push(this);
+  }
+
+  replay(frames) {
+    for (const frame of frames) this.onmessage?.({ data: JSON.stringify(frame) });
+  }
+
+  close(code = 1000) {
+    if (this.closedWith != null) return;
+    this.closedWith = code;
+    this.onclose?.({ code });
+  }
+}
+
+function createSocket() {
+  const calls = { welcomes: [], events: [], revoked: [], states: [] };
+  const socket = new EventSubSocket({
+    url: 'wss://eventsub.test/ws',
+    WebSocketImpl: FakeWebSocket,
+    onWelcome: (sessionId) => calls.welcomes.push(sessionId),
+    onEvent: (event) => calls.events.push(event),
+    onRevoked: (subscription) => calls.revoked.push(subscription.id),
+    onStateChange: (connected) => calls.states.push(connected),
+  });
+  return { socket, calls };
+}
+
+describe('EventSubSocket', () => {
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('subscribes on welcome and forwards each live/offline event once', () => {
+    const { socket, calls } = createSocket();
+    socket.start();
+    FakeWebSocket.instances[0].replay(recorded.session);
+
+    expect(calls.welcomes).toEqual(['AQoQexAWVYKSTIu4ec_2VAxyuhAB']);
+    expect(calls.states).toEqual([true]);
+    expect(calls.events.map((e) => [e.type, e.login, e.userId])).toEqual([
+      ['stream.online', 'coolstreamer', '1337'],
+      ['stream.offline', 'coolstreamer', '1337'],
+    ]);
+    expect(calls.events[0].startedAt).toBe('2026-03-01T18:00:30.000Z');
+  });
+
+  it('moves to the reconnect URL without resubscribing, then closes the old socket', () => {
+    const { socket, calls } = createSocket();
+    socket.start();
+    const first = FakeWebSocket.instances[0];
+    first.replay(recorded.session);
+    first.replay(recorded.reconnect);
+
+    const second = FakeWebSocket.instances[1];
+    expect(second.url).toBe('wss://eventsub.wss.twitch.tv/ws?reconnect=abc');
+    expect(first.closedWith).toBeNull();
+
+    second.replay(recorded.reconnected);
+    expect(first.closedWith).toBe(1000);
+    expect(socket.socket).toBe(second);
+    expect(calls.welcomes).toHaveLength(1);
+    expect(calls.states).toEqual([true]);
+  });
+
+  it('reports revoked subscriptions', () => {
+    const { socket, calls } = createSocket();
+    socket.start();
+    FakeWebSocket.instances[0].replay([...recorded.session.slice(0, 1), ...recorded.revocation]);
+    expect(calls.revoked).toEqual(['f1c2a387-sub1']);
+  });
+
+  it('treats silence past the keepalive timeout as a drop and reconnects with a fresh session', () => {
+    const { socket, calls } = createSocket();
+    socket.start();
+    FakeWebSocket.instances[0].replay(recorded.session.slice(0, 1));
+
+    // keepalive_timeout_seconds is 20; nothing arrives for longer than that plus grace.
+    vi.advanceTimersByTime(26000);
+    expect(calls.states).toEqual([true, false]);
+    expect(socket.sessionId).toBeNull();
+
+    vi.advanceTimersByTime(1000);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    FakeWebSocket.instances[1].replay(recorded.reconnected);
+    expect(calls.welcomes).toHaveLength(2);
+    expect(calls.states).toEqual([true, false, true]);
+  });
+
+  it('backs off between failed connection attempts and stops cleanly', () => {
+    const { socket, calls } = createSocket();
+    socket.start();
+    FakeWebSocket.instances[0].close(1006);
+    vi.advanceTimersByTime(1000);
+    FakeWebSocket.instances[1].close(1006);
+    vi.advanceTimersByTime(4999);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    vi.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    socket.stop();
+    vi.advanceTimersByTime(120000);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+    expect(FakeWebSocket.instances[2].closedWith).toBe(1000);
+    expect(calls.states).toEqual([]);
+  });
+});
+
+describe('parseEventSubMessage', () => {
+  it('ignores frames that are not EventSub messages', () => {
+    expect(parseEventSubMessage('not json')).toBeNull();
+    expect(parseEventSubMessage('{"hello":1}')).toBeNull();
+    expect(parseEventSubMessage(JSON.stringify(recorded.session[1]))).toMatchObject({ id: '84c1e79a-2', type: 'session_keepalive' });
+  });
+});
+
+describe('applyLiveEvents', () => {
+  const now = 10_000_000;
+
+  it('lets recent events override /streams for channels on the lists', () => {
+    const statuses = { alpha: { user_login: 'alpha', title: 'hi' }, bravo: null, charlie: null };
+    const events = {
+      alpha: { type: 'stream.offline', at: now - 1000 },
+      bravo: { type: 'stream.online', startedAt: '2026-03-01T18:00:30.000Z', at: now - 1000 },
+      charlie: { type: 'stream.online', at: now - LIVE_EVENT_TTL_MS - 1 },
+      delta: { type: 'stream.online', at: now },
+    };
+    const out = applyLiveEvents(statuses, events, now);
+    expect(out.alpha).toBeNull();
+    expect(out.bravo).toMatchObject({ user_login: 'bravo', started_at: '2026-03-01T18:00:30.000Z' });
+    expect(out.charlie).toBeNull();
+    expect('delta' in out).toBe(false);
+  });
+
+  it('keeps the /streams record when both say live', () => {
+    const record = { user_login: 'alpha', title: 'hi' };
+    expect(applyLiveEvents({ alpha: record }, { alpha: { type: 'stream.online', at: now } }, now).alpha).toBe(record);
+  });
+});
+
+describe('diffSubscriptions', () => {
+  it('adds missing channels and removes ones no list has', () => {
+    expect(diffSubscriptions({ alpha: ['s1', 's2'], gone: ['s3', 's4'] }, ['Alpha', 'bravo'])).toEqual({
+      add: ['bravo'],
+      remove: [{ login: 'gone', ids: ['s3', 's4'] }],
+    });
+  });
+});
+
+describe('background worker going idle', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const json = (body) => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => body });
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+  // Loads background.js against an in-memory chrome with EventSub on and
+  // resolves once its socket is welcomed.
+  async function startWorker() {
+    vi.resetModules();
+    FakeWebSocket.instances = [];
+    const store = {
+      settings: { clientId: 'testclientid123', eventSubEnabled: true, fallbackCategory: '' },
+      streams: [{ username: 'alpha', priority: 1 }],
+    };
+    const writes = [];
+    const listener = { addListener: () => {} };
+    let onIdle;
+    vi.stubGlobal('chrome', {
+      runtime: { onMessage: listener, onStartup: listener, onInstalled: listener, lastError: null, id: 'tsr' },
+      storage: {
+        local: {
+          get: async (keys) => Object.fromEntries((Array.isArray(keys) ? keys : [keys]).map((k) => [k, structuredClone(store[k])])),
+          set: async (items) => {
+            writes.push(...Object.keys(items));
+            Object.assign(store, structuredClone(items));
+          },
+          remove: async () => {},
+        },
+        onChanged: listener,
+      },
+      tabs: { onRemoved: listener, onUpdated: listener, get: (id, cb) => cb(undefined), query: (q, cb) => cb([]) },
+      alarms: { create: () => {}, clear: () => {}, onAlarm: listener },
+      action: { setBadgeText: () => {}, setBadgeBackgroundColor: () => {}, setTitle: () => {} },
+      notifications: { onButtonClicked: listener, onClicked: listener, create: () => {}, clear: () => {} },
+      commands: { onCommand: listener },
+      contextMenus: { onClicked: listener, create: () => {}, removeAll: (cb) => cb?.(), update: () => {} },
+      omnibox: { onInputChanged: listener, onInputEntered: listener, setDefaultSuggestion: () => {} },
+      idle: { onStateChanged: { addListener: (fn) => { onIdle = fn; } } },
+    });
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    const fetchMock = vi.fn(async () => json({ data: [] }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await import('../background.js');
+    await vi.waitFor(() => expect(FakeWebSocket.instances).toHaveLength(1));
+    FakeWebSocket.instances[0].replay([recorded.session[0]]);
+    await settle();
+    return { writes, fetchMock, goIdle: (state) => onIdle(state) };
+  }
+
+  it('closes the socket without a catch-up poll or a new socket', async () => {
+    const worker = await startWorker();
+    const socket = FakeWebSocket.instances[0];
+    worker.writes.length = 0;
+    worker.fetchMock.mockClear();
+
+    worker.goIdle('idle');
+    await settle();
+    expect(socket.closedWith).toBe(1000);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(worker.fetchMock).not.toHaveBeenCalled();
+    expect(worker.writes).toEqual([]);
+  });
+});
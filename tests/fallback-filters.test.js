@@ -0,0 +1,85 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import {
+  normalizeFallbackFilters,
+  countFallbackFilters,
+  needsContentLabels,
+  filterFallbackStreams,
+} from '../utils/fallback-filters.js';
+
+const streams = [
+  { user_id: '1', user_login: 'EnglishBig', language: 'en', viewer_count: 900, is_mature: false },
+  { user_id: '2', user_login: 'tinystream', language: 'en', viewer_count: 3, is_mature: false },
+  { user_id: '3', user_login: 'deutsch', language: 'de', viewer_count: 150, is_mature: false },
+  { user_id: '4', user_login: 'spicy', language: 'en', viewer_count: 400, is_mature: true },
+  { user_id: '5', user_login: 'casino', language: 'en', viewer_count: 500, is_mature: false },
+];
+
+describe('normalizeFallbackFilters', () => {
+  it('cleans text input and drops unknown labels', () => {
+    expect(normalizeFallbackFilters({
+      languages: 'EN, de,, english',
+      minViewers: '50',
+      maxViewers: '10',
+      excludeMature: 1,
+      blockedLabels: ['Gambling', 'Nope'],
+      blockedChannels: ' Casino , bad name ',
+    })).toEqual({
+      languages: ['en', 'de'],
+      minViewers: 50,
+      maxViewers: 50,
+      excludeMature: true,
+      blockedLabels: ['Gambling'],
+      blockedChannels: ['casino', 'bad', 'name'],
+      preferSmaller: false,
+    });
+  });
+
+  it('defaults to no filtering', () => {
+    expect(countFallbackFilters(null)).toBe(0);
+    expect(filterFallbackStreams(streams, null)).toHaveLength(streams.length);
+  });
+});
+
+describe('filterFallbackStreams', () => {
+  it('applies language, viewer range, mature flag and blocklist', () => {
+    const filters = { languages: ['en'], minViewers: 10, maxViewers: 800, excludeMature: true, blockedChannels: ['casino'] };
+    expect(filterFallbackStreams(streams, filters).map((s) => s.user_login)).toEqual([]);
+    expect(filterFallbackStreams(streams, { ...filters, maxViewers: 0 }).map((s) => s.user_login)).toEqual(['EnglishBig']);
+    expect(countFallbackFilters(filters)).toBe(4);
+  });
+
+  it('drops channels carrying a blocked label, and channels it could not vet', () => {
+    const filters = { blockedLabels: ['Gambling'] };
+    expect(needsContentLabels(filters)).toBe(true);
+    const labelsByUserId = { 1: [], 2: ['ProfanityVulgarity'], 3: [], 4: [], 5: ['Gambling'] };
+    expect(filterFallbackStreams(streams, filters, { labelsByUserId }).map((s) => s.user_id)).toEqual(['1', '2', '3', '4']);
+    expect(filterFallbackStreams(streams, filters, { labelsByUserId: { 1: [] } }).map((s) => s.user_id)).toEqual(['1']);
+  });
+});
+
+describe('TwitchAPI.getRandomStreamFromCategory with filters', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('filters the Helix response before the pick, looking up labels only for the survivors', async () => {
+    vi.resetModules();
+    const twitchAPI = (await import('../utils/twitch-api.js')).default;
+    await twitchAPI.initialize('testclientid123');
+    const urls = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      urls.push(String(url));
+      const body = String(url).includes('/games')
+        ? { data: [{ id: '509658', name: 'Just Chatting' }] }
+        : String(url).includes('/channels')
+          ? { data: [{ broadcaster_id: '1', content_classification_labels: [] }, { broadcaster_id: '5', content_classification_labels: ['Gambling'] }] }
+          : { data: streams };
+      return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+    }));
+
+    const pick = await twitchAPI.getRandomStreamFromCategory('Just Chatting', { minViewers: 450, blockedLabels: ['Gambling'] });
+    expect(pick.user_login).toBe('EnglishBig');
+    const channelsUrl = urls.find((u) => u.includes('/channels'));
+    expect(channelsUrl).toContain('broadcaster_id=1&broadcaster_id=5');
+  });
+});
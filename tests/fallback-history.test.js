@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_FALLBACK_SKIP_MINUTES,
+  normalizeFallbackSkipMinutes,
+  recordFallbackChannel,
+  excludedFallbackChannels,
+} from '../utils/fallback-history.js';
+
+const now = Date.parse('2026-08-18T12:00:00Z');
+const MIN = 60 * 1000;
+
+describe('normalizeFallbackSkipMinutes', () => {
+  it('keeps listed choices only', () => {
+    expect(normalizeFallbackSkipMinutes('180')).toBe(180);
+    expect(normalizeFallbackSkipMinutes(0)).toBe(0);
+    expect(normalizeFallbackSkipMinutes(45)).toBe(DEFAULT_FALLBACK_SKIP_MINUTES);
+    expect(normalizeFallbackSkipMinutes(undefined)).toBe(DEFAULT_FALLBACK_SKIP_MINUTES);
+  });
+});
+
+describe('recordFallbackChannel', () => {
+  it('moves a channel to the end and keeps an earlier skip', () => {
+    let entries = recordFallbackChannel([], 'Alpha', { skipped: true, now });
+    entries = recordFallbackChannel(entries, 'beta', { now: now + MIN });
+    entries = recordFallbackChannel(entries, 'alpha', { now: now + 2 * MIN });
+    expect(entries).toEqual([
+      { username: 'beta', at: now + MIN, skipped: false },
+      { username: 'alpha', at: now + 2 * MIN, skipped: true },
+    ]);
+  });
+
+  it('drops entries past their window', () => {
+    const entries = [
+      { username: 'shown', at: now - 61 * MIN, skipped: false },
+      { username: 'skipped', at: now - 61 * MIN, skipped: true },
+    ];
+    expect(recordFallbackChannel(entries, 'new', { minutes: 60, now }).map((e) => e.username)).toEqual(['skipped', 'new']);
+  });
+});
+
+describe('excludedFallbackChannels', () => {
+  const entries = [
+    { username: 'shown', at: now - 45 * MIN, skipped: false },
+    { username: 'skipped', at: now - 45 * MIN, skipped: true },
+  ];
+
+  it('keeps skipped channels out twice as long', () => {
+    expect(excludedFallbackChannels(entries, 60, now)).toEqual(['shown', 'skipped']);
+    expect(excludedFallbackChannels(entries, 30, now)).toEqual(['skipped']);
+  });
+
+  it('excludes nothing when off', () => {
+    expect(excludedFallbackChannels(entries, 0, now)).toEqual([]);
+  });
+});
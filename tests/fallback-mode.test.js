@@ -1,6 +1,15 @@
 import { describe, expect, it } from 'vitest';
 
-import { shouldRerollCategoryFallback } from '../utils/fallback-mode.js';
+import {
+  shouldRerollCategoryFallback,
+  normalizeFallbackCategories,
+  resolveFallbackCategories,
+  activeFallbackCategories,
+  orderFallbackCategories,
+  fallbackCategorySetKey,
+  describeFallbackCategories,
+  sanitizeCategoryName,
+} from '../utils/fallback-mode.js';
 
 describe('shouldRerollCategoryFallback', () => {
   it('rerolls when forced', () => {
@@ -56,3 +65,69 @@ describe('shouldRerollCategoryFallback', () => {
 
 
 
+
+describe('weighted fallback categories', () => {
+  const at = (h) => new Date(2026, 7, 18, h, 0);
+
+  it('normalizes names, weights and windows', () => {
+    expect(normalizeFallbackCategories([
+      { name: ' Speedrunning ', weight: 250 },
+      { name: 'speedrunning', weight: 5 },
+      { name: 'Retro', weight: 0, start: '20:00', end: '02:00' },
+      { name: 'Chess', weight: 'x', start: '20:00' },
+      { name: '' },
+    ])).toEqual([
+      { name: 'Speedrunning', weight: 100 },
+      { name: 'Retro', weight: 1, start: '20:00', end: '02:00' },
+      { name: 'Chess', weight: 1 },
+    ]);
+    expect(normalizeFallbackCategories(null)).toEqual([]);
+  });
+
+  it('drops control characters from typed names', () => {
+    expect(sanitizeCategoryName(' Just\u0000 Chatting\n\u007F ')).toBe('Just Chatting');
+    expect(sanitizeCategoryName(undefined)).toBe('');
+  });
+
+  it('uses the list only while fallbackCategory names one of its entries', () => {
+    const list = [{ name: 'Speedrunning', weight: 3 }, { name: 'Retro', weight: 1 }];
+    expect(resolveFallbackCategories('retro', list)).toEqual(list);
+    expect(resolveFallbackCategories('Chess', list)).toEqual([{ name: 'Chess', weight: 1 }]);
+    expect(resolveFallbackCategories('', list)).toEqual([]);
+  });
+
+  it('keeps categories whose window contains the time', () => {
+    const list = [
+      { name: 'Speedrunning', weight: 3 },
+      { name: 'Retro', weight: 1, start: '20:00', end: '02:00' },
+    ];
+    expect(activeFallbackCategories(list, at(21)).map((c) => c.name)).toEqual(['Speedrunning', 'Retro']);
+    expect(activeFallbackCategories(list, at(12)).map((c) => c.name)).toEqual(['Speedrunning']);
+  });
+
+  it('orders by weighted picks, falling back to the rest', () => {
+    const list = [{ name: 'A', weight: 1 }, { name: 'B', weight: 3 }, { name: 'C', weight: 1 }];
+    // 0.5 of 5 lands in B; then 0.5 of 2 lands in C (A 0-1, C 1-2)
+    expect(orderFallbackCategories(list, () => 0.5).map((c) => c.name)).toEqual(['B', 'C', 'A']);
+    expect(orderFallbackCategories(list, () => 0).map((c) => c.name)).toEqual(['A', 'B', 'C']);
+    expect(orderFallbackCategories(list).map((c) => c.name).sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  it('describes a mix as percentages', () => {
+    expect(describeFallbackCategories([
+      { name: 'Speedrunning', weight: 3 },
+      { name: 'Retro', weight: 1, start: '20:00', end: '02:00' },
+    ])).toBe('Speedrunning 75% · Retro 25% (20:00–02:00)');
+    expect(describeFallbackCategories([{ name: 'Chess', weight: 1 }])).toBe('Chess');
+  });
+
+  it('rerolls when the category set changed', () => {
+    const before = fallbackCategorySetKey([{ name: 'A', weight: 1 }, { name: 'B', weight: 1 }]);
+    const after = fallbackCategorySetKey([{ name: 'A', weight: 1 }, { name: 'B', weight: 4 }]);
+    const base = { force: false, isFallbackActive: true, currentChannel: 'somechannel', runtimeCategory: 'A' };
+    expect(shouldRerollCategoryFallback({ ...base, settingsCategory: ['A', 'B'], runtimeCategorySet: before, settingsCategorySet: before })).toBe(false);
+    expect(shouldRerollCategoryFallback({ ...base, settingsCategory: ['A', 'B'], runtimeCategorySet: before, settingsCategorySet: after })).toBe(true);
+    // The category being shown is outside its window now
+    expect(shouldRerollCategoryFallback({ ...base, settingsCategory: ['B'], runtimeCategorySet: before, settingsCategorySet: before })).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { FALLBACK_POOL, buildFallbackPool, isFallbackPoolStale, pickFallbackStream } from '../utils/fallback-pool.js';
+
+const now = Date.parse('2026-08-18T12:00:00Z');
+
+const stream = (id, viewers) => ({ user_id: String(id), user_login: `channel${id}`, viewer_count: viewers });
+
+describe('buildFallbackPool', () => {
+  it('drops channels that turn up on two pages', () => {
+    const pool = buildFallbackPool([stream(1, 900), stream(2, 40), stream(1, 880), null], now);
+    expect(pool.streams.map((s) => s.user_id)).toEqual(['1', '2']);
+    expect(pool).toMatchObject({ fetchedAt: now, labels: {} });
+  });
+});
+
+describe('isFallbackPoolStale', () => {
+  it('goes stale after the TTL', () => {
+    const pool = buildFallbackPool([], now);
+    expect(isFallbackPoolStale(pool, now + FALLBACK_POOL.ttlMs - 1)).toBe(false);
+    expect(isFallbackPoolStale(pool, now + FALLBACK_POOL.ttlMs)).toBe(true);
+    expect(isFallbackPoolStale(undefined, now)).toBe(true);
+  });
+});
+
+describe('pickFallbackStream', () => {
+  const candidates = [stream(1, 9999), stream(2, 0)];
+
+  it('picks evenly by default', () => {
+    expect(pickFallbackStream(candidates, { random: () => 0.49 }).user_id).toBe('1');
+    expect(pickFallbackStream(candidates, { random: () => 0.51 }).user_id).toBe('2');
+    expect(pickFallbackStream([], { random: () => 0 })).toBeNull();
+  });
+
+  it('weights toward smaller channels when asked', () => {
+    // Weights 1/100 and 1: only the bottom ~1% of rolls land on the big channel.
+    expect(pickFallbackStream(candidates, { preferSmaller: true, random: () => 0.005 }).user_id).toBe('1');
+    expect(pickFallbackStream(candidates, { preferSmaller: true, random: () => 0.02 }).user_id).toBe('2');
+    expect(pickFallbackStream(candidates, { preferSmaller: true }).user_id).toMatch(/^[12]$/);
+  });
+});
+
+describe('TwitchAPI category pool', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  const json = (body) => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => body });
+
+  it('pages through /streams once per TTL', async () => {
+    vi.resetModules();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(now);
+    const twitchAPI = (await import('../utils/twitch-api.js')).default;
+    await twitchAPI.initialize('testclientid123');
+    const urls = [];
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      urls.push(String(url));
+      if (String(url).includes('/games')) return json({ data: [{ id: '509658', name: 'Just Chatting' }] });
+      return String(url).includes('after=c1')
+        ? json({ data: [stream(3, 5)], pagination: {} })
+        : json({ data: [stream(1, 900), stream(2, 40)], pagination: { cursor: 'c1' } });
+    }));
+
+    const pool = await twitchAPI.getCategoryPool('509658');
+    expect(pool.streams.map((s) => s.user_id)).toEqual(['1', '2', '3']);
+    expect(urls.filter((u) => u.includes('/streams'))).toHaveLength(2);
+
+    const pick = await twitchAPI.getRandomStreamFromCategory('Just Chatting', { maxViewers: 10 });
+    expect(pick.user_login).toBe('channel3');
+    expect(urls.filter((u) => u.includes('/streams'))).toHaveLength(2);
+
+    vi.setSystemTime(now + FALLBACK_POOL.ttlMs);
+    twitchAPI.cache.clear();
+    await twitchAPI.getCategoryPool('509658');
+    expect(urls.filter((u) => u.includes('/streams'))).toHaveLength(4);
+  });
+
+  it('keeps the pool when only /streams answers are invalidated', async () => {
+    vi.resetModules();
+    const twitchAPI = (await import('../utils/twitch-api.js')).default;
+    await twitchAPI.initialize('testclientid123');
+    let calls = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      calls++;
+      return json({ data: [stream(1, 10)], pagination: {} });
+    }));
+
+    await twitchAPI.getCategoryPool('509658');
+    await twitchAPI.checkStreamStatus('channel1');
+    twitchAPI.clearStreamsCache();
+    await twitchAPI.getCategoryPool('509658');
+    expect(calls).toBe(2);
+    await twitchAPI.checkStreamStatus('channel1');
+    expect(calls).toBe(3);
+  });
+
+  it('stops at the page cap', async () => {
+    vi.resetModules();
+    const twitchAPI = (await import('../utils/twitch-api.js')).default;
+    await twitchAPI.initialize('testclientid123');
+    let page = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      page++;
+      return json({ data: [stream(page, 10)], pagination: { cursor: `c${page}` } });
+    }));
+
+    const items = await twitchAPI.getAllPages('/streams', { game_id: '1', first: 100 }, { maxPages: 3 });
+    expect(items.map((s) => s.user_id)).toEqual(['1', '2', '3']);
+    expect(page).toBe(3);
+  });
+});
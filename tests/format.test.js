@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { formatViewers, formatUptime } from '../utils/format.js';
+import { formatViewers, formatUptime, formatCountdown } from '../utils/format.js';
 
 describe('formatViewers', () => {
   it('passes small numbers through', () => {
@@ -47,3 +47,27 @@ describe('formatUptime', () => {
     expect(formatUptime('2026-08-18T13:00:00Z', now)).toBe('');
   });
 });
+
+describe('formatCountdown', () => {
+  it('shows seconds under a minute', () => {
+    expect(formatCountdown(45000)).toBe('45s');
+    expect(formatCountdown(1)).toBe('1s');
+  });
+
+  it('rounds minutes up so "in 3m" never undershoots', () => {
+    expect(formatCountdown(60000)).toBe('1m');
+    expect(formatCountdown(2 * 60000 + 1)).toBe('3m');
+  });
+
+  it('formats hours', () => {
+    expect(formatCountdown(60 * 60000)).toBe('1h');
+    expect(formatCountdown(65 * 60000)).toBe('1h 5m');
+  });
+
+  it('returns empty string for past or invalid values', () => {
+    expect(formatCountdown(0)).toBe('');
+    expect(formatCountdown(-5)).toBe('');
+    expect(formatCountdown(NaN)).toBe('');
+    expect(formatCountdown(null)).toBe('');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_INTERACTION_QUIET_SECONDS,
+  INTERACTION_STALE_MS,
+  INTERACTION_MAX_HOLD_MS,
+  normalizeInteractionQuietSeconds,
+  normalizeInteractionReport,
+  evaluateInteractionHold,
+  nextPendingSwitch,
+  describeInteraction,
+} from '../utils/interaction-hold.js';
+
+const now = Date.parse('2026-08-18T12:00:00Z');
+const SEC = 1000;
+
+describe('normalizeInteractionQuietSeconds', () => {
+  it('keeps listed choices only', () => {
+    expect(normalizeInteractionQuietSeconds('60')).toBe(60);
+    expect(normalizeInteractionQuietSeconds(0)).toBe(0);
+    expect(normalizeInteractionQuietSeconds(45)).toBe(DEFAULT_INTERACTION_QUIET_SECONDS);
+    expect(normalizeInteractionQuietSeconds(undefined)).toBe(DEFAULT_INTERACTION_QUIET_SECONDS);
+  });
+});
+
+describe('normalizeInteractionReport', () => {
+  it('keeps known signals once and caps a clock ahead of ours', () => {
+    expect(normalizeInteractionReport({ signals: ['chat', 'chat', 'bogus', 'clip'], lastActiveAt: now + 5 * SEC }, now))
+      .toEqual({ signals: ['chat', 'clip'], lastActiveAt: now, reportedAt: now });
+    expect(normalizeInteractionReport(null, now)).toEqual({ signals: [], lastActiveAt: 0, reportedAt: now });
+  });
+});
+
+describe('evaluateInteractionHold', () => {
+  it('holds while a signal is held', () => {
+    const interaction = { signals: ['fullscreen'], lastActiveAt: now - 90 * SEC, reportedAt: now - 10 * SEC };
+    expect(evaluateInteractionHold(interaction, 30, now))
+      .toEqual({ allowed: false, until: now + 30 * SEC, reason: 'interaction', signals: ['fullscreen'] });
+  });
+
+  it('waits out the quiet time after the last activity', () => {
+    const interaction = { signals: [], lastActiveAt: now - 10 * SEC, reportedAt: now - 10 * SEC };
+    expect(evaluateInteractionHold(interaction, 30, now)).toMatchObject({ allowed: false, until: now + 20 * SEC });
+    expect(evaluateInteractionHold(interaction, 30, now + 20 * SEC).allowed).toBe(true);
+  });
+
+  it('never holds up leaving a stream that ended', () => {
+    const interaction = { signals: ['fullscreen', 'chat'], lastActiveAt: now, reportedAt: now };
+    expect(evaluateInteractionHold(interaction, 30, now, { preempting: false }).allowed).toBe(true);
+  });
+
+  it('gives up once the switch has waited the longest hold', () => {
+    // Fullscreen re-reported every minute never goes quiet by itself.
+    const interaction = { signals: ['fullscreen'], lastActiveAt: now, reportedAt: now };
+    const heldSince = now - INTERACTION_MAX_HOLD_MS + 10 * SEC;
+    expect(evaluateInteractionHold(interaction, 30, now, { heldSince }).until).toBe(now + 10 * SEC);
+    expect(evaluateInteractionHold(interaction, 30, now + 10 * SEC, { heldSince }).allowed).toBe(true);
+  });
+
+  it('counts the longest hold from the first deferral when the reasons alternate', () => {
+    const interaction = { signals: ['chat'], lastActiveAt: now, reportedAt: now };
+    const start = now - INTERACTION_MAX_HOLD_MS;
+    let pending = nextPendingSwitch(null, 'alpha', { until: start + 60 * SEC, reason: 'dwell' }, start);
+    pending = nextPendingSwitch(pending, 'alpha', { until: start + 5 * 60 * SEC, reason: 'interaction' }, start + 60 * SEC);
+    pending = nextPendingSwitch(pending, 'alpha', { until: now - 60 * SEC, reason: 'cooldown' }, start + 5 * 60 * SEC);
+    expect(pending.since).toBe(start);
+    expect(evaluateInteractionHold(interaction, 30, now, { heldSince: pending.since }).allowed).toBe(true);
+    // A different target starts its own wait.
+    expect(nextPendingSwitch(pending, 'beta', { until: null, reason: 'interaction' }, now).since).toBe(now);
+  });
+
+  it('lets a fullscreen-only hold go to the in-page countdown', () => {
+    const fullscreen = { signals: ['fullscreen'], lastActiveAt: now, reportedAt: now };
+    expect(evaluateInteractionHold(fullscreen, 30, now, { countdown: true }).allowed).toBe(true);
+    expect(evaluateInteractionHold({ ...fullscreen, signals: ['fullscreen', 'chat'] }, 30, now, { countdown: true }).allowed).toBe(false);
+  });
+
+  it('ignores stale reports and the off setting', () => {
+    const interaction = { signals: ['chat'], lastActiveAt: now, reportedAt: now };
+    expect(evaluateInteractionHold(interaction, 0, now).allowed).toBe(true);
+    expect(evaluateInteractionHold(interaction, 30, now + INTERACTION_STALE_MS).allowed).toBe(true);
+    expect(evaluateInteractionHold(null, 30, now).allowed).toBe(true);
+  });
+});
+
+describe('describeInteraction', () => {
+  it('words the held signals', () => {
+    expect(describeInteraction(['chat', 'clip'])).toBe('chatting, making a clip');
+    expect(describeInteraction([])).toBe('using the tab');
+  });
+});
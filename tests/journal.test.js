@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  JOURNAL_EVENTS,
+  trimJournal,
+  appendJournalEntry,
+  filterJournal,
+  describeJournalEntry,
+} from '../utils/journal.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('appendJournalEntry', () => {
+  it('stamps the entry and keeps only known, non-empty fields', () => {
+    const out = appendJournalEntry([], { type: 'switch', channel: 'alpha', from: '', reason: 'prompt', extra: 1 }, { now: 5 });
+    expect(out).toEqual([{ at: 5, type: 'switch', channel: 'alpha', reason: 'prompt' }]);
+  });
+
+  it('caps the journal by size, dropping the oldest', () => {
+    const limits = { maxEntries: 2, maxAgeMs: HOUR };
+    let journal = [];
+    for (const channel of ['a', 'b', 'c']) {
+      journal = appendJournalEntry(journal, { type: 'live', channel }, { now: 10, limits });
+    }
+    expect(journal.map((e) => e.channel)).toEqual(['b', 'c']);
+  });
+});
+
+describe('trimJournal', () => {
+  it('drops entries older than the age cap and malformed ones', () => {
+    const now = 10 * HOUR;
+    const limits = { maxEntries: 10, maxAgeMs: HOUR };
+    expect(trimJournal([{ at: 8 * HOUR }, { at: 9.5 * HOUR }, { type: 'x' }, null], { now, limits }))
+      .toEqual([{ at: 9.5 * HOUR }]);
+  });
+});
+
+describe('filterJournal', () => {
+  const journal = [
+    { at: 1, type: 'live', channel: 'alpha' },
+    { at: 2, type: 'switch', channel: 'alpha', from: 'bravo' },
+    { at: 3, type: 'poll-failed', reason: 'NETWORK_ERROR' },
+    { at: 4, type: 'fallback', channel: 'charlie' },
+  ];
+
+  it('returns newest first', () => {
+    expect(filterJournal(journal).map((e) => e.at)).toEqual([4, 3, 2, 1]);
+  });
+
+  it('filters by group and by channel (either side of a switch)', () => {
+    expect(filterJournal(journal, { filter: 'switches' }).map((e) => e.at)).toEqual([4, 2]);
+    expect(filterJournal(journal, { channel: 'Bravo' }).map((e) => e.at)).toEqual([2]);
+    expect(filterJournal(journal, { filter: 'errors', channel: 'alpha' })).toEqual([]);
+  });
+});
+
+describe('describeJournalEntry', () => {
+  it('explains switches with their reason', () => {
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.SWITCH, channel: 'alpha', from: 'bravo', reason: 'current-offline' }))
+      .toBe('Switched from bravo to alpha because the current stream ended');
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.FALLBACK, channel: 'zed', detail: 'Chess', reason: 'auto' }))
+      .toBe('Category fallback picked zed in Chess because nobody on the list was live');
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.VOD, channel: 'alpha', detail: 'Day 3', reason: 'auto' }))
+      .toBe('VOD fallback played a video of alpha ("Day 3") because nobody on the list was live');
+  });
+
+  it('describes raids with the policy that handled them', () => {
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.RAID, channel: 'target', from: 'alpha', reason: 'stay', detail: 'for 10 min' }))
+      .toBe('alpha raided target; staying for 10 min');
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.RAID, channel: 'target', reason: 'ignore' }))
+      .toBe('Raided into target; ignored');
+  });
+
+  it('tells an answered prompt from a countdown that ran out', () => {
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.PROMPT_ACCEPTED, channel: 'alpha' }))
+      .toBe('You accepted switching to alpha');
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.PROMPT_ACCEPTED, channel: 'alpha', reason: 'timeout' }))
+      .toBe('The countdown to alpha ran out');
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.PROMPT_DECLINED, channel: 'alpha', reason: 'snooze' }))
+      .toBe('You declined switching to alpha and snoozed switching');
+  });
+
+  it('describes failures with their error code', () => {
+    expect(describeJournalEntry({ type: JOURNAL_EVENTS.POLL_FAILED, reason: 'AUTH_ERROR' }))
+      .toBe('Checking channels failed (AUTH_ERROR)');
+  });
+});
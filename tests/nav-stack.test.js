@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { pushNavStack, peekNavStack, popNavStack, isNavSuspended } from '../utils/nav-stack.js';
+
+describe('pushNavStack', () => {
+  it('puts the channel on top without duplicates', () => {
+    expect(pushNavStack(['a', 'b'], 'a')).toEqual(['b', 'a']);
+    expect(pushNavStack(undefined, 'a')).toEqual(['a']);
+    expect(pushNavStack(['a'], null)).toEqual(['a']);
+  });
+
+  it('drops the oldest entries past the limit', () => {
+    expect(pushNavStack(['a', 'b', 'c'], 'd', 3)).toEqual(['b', 'c', 'd']);
+  });
+});
+
+describe('peekNavStack / popNavStack', () => {
+  it('skips the channel the tab is already on', () => {
+    expect(peekNavStack(['a', 'b'], 'b')).toBe('a');
+    expect(popNavStack(['a', 'b'], 'b')).toEqual({ channel: 'a', stack: [] });
+    expect(popNavStack(['a', 'b'], 'c')).toEqual({ channel: 'b', stack: ['a'] });
+  });
+
+  it('has nothing to go back to on an empty stack', () => {
+    expect(peekNavStack([], 'a')).toBe(null);
+    expect(popNavStack(['a'], 'a')).toEqual({ channel: null, stack: [] });
+  });
+});
+
+describe('isNavSuspended', () => {
+  it('is true only before suspendedUntil', () => {
+    expect(isNavSuspended({ suspendedUntil: 100 }, 99)).toBe(true);
+    expect(isNavSuspended({ suspendedUntil: 100 }, 100)).toBe(false);
+    expect(isNavSuspended(null, 0)).toBe(false);
+  });
+});
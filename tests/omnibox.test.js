@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { parseOmniboxInput, buildOmniboxSuggestions } from '../utils/omnibox.js';
+
+const streams = [
+  { username: 'shroud', isLive: false },
+  { username: 'shaboozey', isLive: true, streamData: { game_name: 'Rock & Roll' } },
+  { username: 'xqc', isLive: true, streamData: null },
+];
+
+describe('parseOmniboxInput', () => {
+  it('reads the command and its argument', () => {
+    expect(parseOmniboxInput('add XQC')).toEqual({ command: 'add', arg: 'xqc' });
+    expect(parseOmniboxInput('  go   shroud ')).toEqual({ command: 'go', arg: 'shroud' });
+    expect(parseOmniboxInput('OFF')).toEqual({ command: 'off', arg: '' });
+    expect(parseOmniboxInput('reroll')).toEqual({ command: 'reroll', arg: '' });
+  });
+
+  it('treats a bare channel name as "go" and empty input as nothing', () => {
+    expect(parseOmniboxInput('Shroud')).toEqual({ command: 'go', arg: 'shroud' });
+    expect(parseOmniboxInput('   ')).toEqual({ command: null, arg: '' });
+  });
+});
+
+describe('buildOmniboxSuggestions', () => {
+  it('suggests list channels for "go", live first, with escaped details', () => {
+    const out = buildOmniboxSuggestions('go sh', streams);
+    expect(out.map((s) => s.content)).toEqual(['go shaboozey', 'go shroud']);
+    expect(out[0].description).toBe('Watch <match>shaboozey</match> <url>LIVE</url> — Rock &amp; Roll');
+    expect(out[1].description).toContain('<dim>offline</dim>');
+  });
+
+  it('completes commands and channels while typing the first word', () => {
+    expect(buildOmniboxSuggestions('o', streams).map((s) => s.content)).toEqual(['on ', 'off ']);
+    expect(buildOmniboxSuggestions('xq', streams).map((s) => s.content)).toEqual(['go xqc']);
+  });
+
+  it('flags channels that are already on the list when adding', () => {
+    expect(buildOmniboxSuggestions('add xqc', streams)[0].description).toContain('already in your list');
+    expect(buildOmniboxSuggestions('add pokimane', streams)[0]).toEqual({
+      content: 'add pokimane',
+      description: 'Add <match>pokimane</match> to your list',
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { POLL_LIMITS, POLL_REASONS, planNextPoll, historyStartTimes, describePollReason } from '../utils/poll-scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.UTC(2026, 2, 6, 19, 0);
+
+describe('historyStartTimes', () => {
+  it('projects go-lives seen on two or more days onto today', () => {
+    const journal = [
+      { at: now - 3 * DAY - 10 * 60 * 1000, type: 'live', channel: 'alpha' },
+      { at: now - DAY + 5 * 60 * 1000, type: 'live', channel: 'alpha' },
+      { at: now - DAY, type: 'offline', channel: 'alpha' },
+      { at: now - 2 * DAY, type: 'live', channel: 'bravo' },
+    ];
+    expect(historyStartTimes(journal, 'alpha', { now })).toEqual([now - 10 * 60 * 1000, now + 5 * 60 * 1000]);
+    // One day of history isn't a habit yet.
+    expect(historyStartTimes(journal, 'bravo', { now })).toEqual([]);
+  });
+
+  it('does not count two go-lives on the same day as a habit', () => {
+    const journal = [
+      { at: now - DAY - 20 * 60 * 1000, type: 'live', channel: 'alpha' },
+      { at: now - DAY, type: 'live', channel: 'alpha' },
+    ];
+    expect(historyStartTimes(journal, 'alpha', { now })).toEqual([]);
+  });
+});
+
+describe('planNextPoll', () => {
+  const base = { baseMs: 60000, autoSwapOn: true, now };
+
+  it('uses the check interval by default', () => {
+    expect(planNextPoll({ ...base, tops: [{ live: false }] })).toEqual({ at: now + 60000, delayMs: 60000, reason: POLL_REASONS.BASE });
+  });
+
+  it('speeds up when an offline top channel usually starts around now', () => {
+    const plan = planNextPoll({ ...base, quiet: true, tops: [{ live: true }, { live: false, expectedStarts: [now + 10 * 60 * 1000] }] });
+    expect(plan).toMatchObject({ delayMs: POLL_LIMITS.minMs, reason: POLL_REASONS.EXPECTED_START });
+    expect(planNextPoll({ ...base, tops: [{ live: false, expectedStarts: [now + HOUR] }] }).reason).toBe(POLL_REASONS.BASE);
+  });
+
+  it('slows down while every top channel is live', () => {
+    expect(planNextPoll({ ...base, tops: [{ live: true }, { live: true }] })).toMatchObject({ delayMs: 180000, reason: POLL_REASONS.TOP_LIVE });
+    expect(planNextPoll({ ...base, tops: [] }).reason).toBe(POLL_REASONS.BASE);
+  });
+
+  it('backs off further with Auto-Swap off or in quiet hours, within the cap', () => {
+    expect(planNextPoll({ ...base, autoSwapOn: false, tops: [{ live: false, expectedStarts: [now] }] }))
+      .toMatchObject({ delayMs: 300000, reason: POLL_REASONS.AUTOSWAP_OFF });
+    expect(planNextPoll({ ...base, quiet: true, baseMs: 300000 })).toMatchObject({ delayMs: POLL_LIMITS.maxMs, reason: POLL_REASONS.QUIET_HOURS });
+    expect(planNextPoll({ ...base, autoSwapOn: false, baseMs: 20 * 60 * 1000 }).delayMs).toBe(20 * 60 * 1000);
+  });
+
+  it('stretches to the EventSub floor while pushes cover every channel', () => {
+    expect(planNextPoll({ ...base, pushCovered: true, tops: [{ live: false, expectedStarts: [now] }] }))
+      .toMatchObject({ delayMs: POLL_LIMITS.pushCoveredMs, reason: POLL_REASONS.EVENTSUB });
+    expect(planNextPoll({ ...base, autoSwapOn: false, baseMs: 120000, pushCovered: true }).reason).toBe(POLL_REASONS.AUTOSWAP_OFF);
+  });
+});
+
+describe('describePollReason', () => {
+  it('explains adjusted schedules only', () => {
+    expect(describePollReason(POLL_REASONS.BASE)).toBe('');
+    expect(describePollReason(POLL_REASONS.TOP_LIVE)).toBe('your top channel is live');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeProfileSchedule,
+  findActiveWindow,
+  scheduledProfileId,
+  nextScheduleBoundary,
+} from '../utils/profile-schedule.js';
+
+// 2026-08-17 is a Monday.
+const at = (day, h, m = 0) => new Date(2026, 7, 16 + day, h, m);
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+const schedule = {
+  enabled: true,
+  windows: [
+    { profileId: 'esports', days: WEEKDAYS, start: '18:00', end: '23:00' },
+    { profileId: 'speedruns', days: [0, 6], start: '08:00', end: '12:00' },
+    { profileId: 'late', days: [5], start: '23:00', end: '02:00' },
+  ],
+};
+
+describe('normalizeProfileSchedule', () => {
+  it('drops windows without a profile, days or valid times', () => {
+    expect(normalizeProfileSchedule({
+      enabled: true,
+      windows: [
+        { profileId: 'a', days: [3, 1, 1, 9], start: '9:00', end: '10:30' },
+        { profileId: '', days: [1], start: '09:00', end: '10:00' },
+        { profileId: 'b', days: [], start: '09:00', end: '10:00' },
+        { profileId: 'c', days: [1], start: '25:00', end: '10:00' },
+      ],
+    })).toEqual({
+      enabled: true,
+      windows: [{ profileId: 'a', days: [1, 3], start: '9:00', end: '10:30' }],
+      otherwiseProfileId: null,
+    });
+  });
+});
+
+describe('findActiveWindow', () => {
+  it('matches several windows across the week', () => {
+    expect(findActiveWindow(schedule, at(1, 19))?.profileId).toBe('esports');
+    expect(findActiveWindow(schedule, at(6, 9))?.profileId).toBe('speedruns');
+    expect(findActiveWindow(schedule, at(6, 19))).toBe(null);
+    expect(findActiveWindow(schedule, at(1, 9))).toBe(null);
+  });
+
+  it('treats start as inclusive and end as exclusive', () => {
+    expect(findActiveWindow(schedule, at(2, 18, 0))?.profileId).toBe('esports');
+    expect(findActiveWindow(schedule, at(2, 23, 0))).toBe(null);
+  });
+
+  it('carries a midnight-spanning window into the next day', () => {
+    expect(findActiveWindow(schedule, at(5, 23, 30))?.profileId).toBe('late');
+    expect(findActiveWindow(schedule, at(6, 1, 59))?.profileId).toBe('late');
+    expect(findActiveWindow(schedule, at(6, 2, 0))).toBe(null);
+    // Thursday night isn't scheduled.
+    expect(findActiveWindow(schedule, at(5, 1))).toBe(null);
+  });
+
+  it('is inactive while the schedule is disabled', () => {
+    expect(findActiveWindow({ ...schedule, enabled: false }, at(1, 19))).toBe(null);
+  });
+});
+
+describe('scheduledProfileId', () => {
+  it('falls back to otherwiseProfileId outside every window', () => {
+    expect(scheduledProfileId(schedule, at(1, 9))).toBe(null);
+    expect(scheduledProfileId({ ...schedule, otherwiseProfileId: 'default' }, at(1, 9))).toBe('default');
+    expect(scheduledProfileId({ ...schedule, otherwiseProfileId: 'default' }, at(1, 19))).toBe('esports');
+  });
+});
+
+describe('nextScheduleBoundary', () => {
+  it('returns the next start or end', () => {
+    expect(nextScheduleBoundary(schedule, at(1, 9))).toBe(at(1, 18).getTime());
+    expect(nextScheduleBoundary(schedule, at(1, 18))).toBe(at(1, 23).getTime());
+    expect(nextScheduleBoundary(schedule, at(5, 23, 0))).toBe(at(6, 2).getTime());
+    expect(nextScheduleBoundary(schedule, at(6, 2))).toBe(at(6, 8).getTime());
+  });
+
+  it('wraps into next week', () => {
+    const weekly = { enabled: true, windows: [{ profileId: 'a', days: [1], start: '10:00', end: '11:00' }] };
+    expect(nextScheduleBoundary(weekly, at(1, 12))).toBe(at(8, 10).getTime());
+  });
+
+  it('returns null when there is nothing to schedule', () => {
+    expect(nextScheduleBoundary({ ...schedule, enabled: false }, at(1, 9))).toBe(null);
+    expect(nextScheduleBoundary({ enabled: true, windows: [] }, at(1, 9))).toBe(null);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PROFILE_ID,
+  migrateProfiles,
+  getActiveProfile,
+  applyProfileOverrides,
+  switchProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+} from '../utils/profiles.js';
+
+const twoProfiles = {
+  activeId: 'default',
+  items: [
+    { id: 'default', name: 'Default', streams: null, overrides: {} },
+    { id: 'chill', name: 'Chill', streams: [{ username: 'cozy', priority: 1, isLive: true }], overrides: { checkInterval: 300000 } },
+  ],
+};
+
+describe('migrateProfiles', () => {
+  it('creates a Default profile that owns the existing list', () => {
+    expect(migrateProfiles(undefined)).toEqual({
+      activeId: DEFAULT_PROFILE_ID,
+      items: [{ id: DEFAULT_PROFILE_ID, name: 'Default', streams: null, overrides: {} }],
+    });
+  });
+
+  it('drops unknown overrides and repairs a dangling activeId', () => {
+    const out = migrateProfiles({
+      activeId: 'gone',
+      items: [{ id: 'a', name: 'A', streams: [], overrides: { checkInterval: 1234, notificationsEnabled: false, theme: 'x' } }],
+    });
+    expect(out.activeId).toBe('a');
+    expect(out.items[0].overrides).toEqual({ notificationsEnabled: false });
+    expect(out.items[0].streams).toBe(null);
+  });
+});
+
+describe('applyProfileOverrides', () => {
+  it('overrides only the keys the profile sets', () => {
+    const settings = { checkInterval: 60000, fallbackCategory: 'Just Chatting', notificationsEnabled: true };
+    expect(applyProfileOverrides(settings, getActiveProfile({ ...twoProfiles, activeId: 'chill' }))).toEqual({
+      ...settings,
+      checkInterval: 300000,
+    });
+    expect(applyProfileOverrides(settings, null)).toBe(settings);
+  });
+
+  it('lets a profile turn fallback off with an empty category', () => {
+    expect(applyProfileOverrides({ fallbackCategory: 'Chess' }, { overrides: { fallbackCategory: '' } }).fallbackCategory).toBe('');
+  });
+});
+
+describe('switchProfile', () => {
+  it('parks the current list and takes the target list', () => {
+    const current = [{ username: 'speedy', priority: 1 }];
+    const { profiles, streams } = switchProfile(twoProfiles, current, 'chill');
+    expect(profiles.activeId).toBe('chill');
+    expect(profiles.items.find((p) => p.id === 'default').streams).toEqual(current);
+    expect(profiles.items.find((p) => p.id === 'chill').streams).toBe(null);
+    expect(streams).toEqual([{ username: 'cozy', priority: 1, isLive: false, streamData: null, skipReason: null, wasLive: true }]);
+  });
+
+  it('ignores unknown or already-active targets', () => {
+    expect(switchProfile(twoProfiles, [], 'default')).toBe(null);
+    expect(switchProfile(twoProfiles, [], 'nope')).toBe(null);
+  });
+});
+
+describe('create / update / delete', () => {
+  it('creates an empty profile with a fresh id', () => {
+    const { profiles, id } = createProfile(twoProfiles, 'Esports');
+    expect(id).toBe('profile-3');
+    expect(profiles.items.at(-1)).toEqual({ id: 'profile-3', name: 'Esports', streams: [], overrides: {} });
+  });
+
+  it('renames and sets overrides', () => {
+    const out = updateProfile(twoProfiles, 'chill', { name: 'Cozy', overrides: { fallbackCategory: 'Art' } });
+    expect(out.items[1]).toMatchObject({ name: 'Cozy', overrides: { fallbackCategory: 'Art' } });
+  });
+
+  it('never deletes the active profile', () => {
+    expect(deleteProfile(twoProfiles, 'default').items).toHaveLength(2);
+    expect(deleteProfile(twoProfiles, 'chill').items.map((p) => p.id)).toEqual(['default']);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { isQuietHours } from '../utils/quiet-hours.js';
+import { isQuietHours, isWithinDailyWindow } from '../utils/quiet-hours.js';
 
 const at = (h, m = 0) => new Date(2026, 7, 18, h, m);
 
@@ -37,3 +37,11 @@ describe('isQuietHours', () => {
     expect(isQuietHours({ enabled: true, start: '10:00', end: '10:00' }, at(10))).toBe(false);
   });
 });
+
+describe('isWithinDailyWindow', () => {
+  it('checks a window without the enabled flag', () => {
+    expect(isWithinDailyWindow('22:00', '08:00', at(23))).toBe(true);
+    expect(isWithinDailyWindow('22:00', '08:00', at(12))).toBe(false);
+    expect(isWithinDailyWindow('', '08:00', at(7))).toBe(false);
+  });
+});
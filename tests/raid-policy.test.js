@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RAID_POLICIES,
+  DEFAULT_RAID_STAY_MINUTES,
+  RAID_ENTRY_GRACE_MS,
+  RAID_ENTRY_TTL_MS,
+  normalizeRaidPolicy,
+  startRaid,
+  isRaidHoldActive,
+  createRaidEntry,
+  shouldDropRaidEntry,
+} from '../utils/raid-policy.js';
+
+describe('normalizeRaidPolicy', () => {
+  it('maps the old stayOnRaid toggle when no policy is stored', () => {
+    expect(normalizeRaidPolicy({ stayOnRaid: true })).toEqual({ mode: 'stay', stayMinutes: DEFAULT_RAID_STAY_MINUTES });
+    expect(normalizeRaidPolicy({ stayOnRaid: false, raidPolicy: null }).mode).toBe('ignore');
+    expect(normalizeRaidPolicy({}).mode).toBe('stay');
+  });
+
+  it('keeps valid policies and clamps the stay time', () => {
+    expect(normalizeRaidPolicy({ stayOnRaid: false, raidPolicy: { mode: 'add', stayMinutes: 999 } }))
+      .toEqual({ mode: 'add', stayMinutes: 240 });
+    expect(normalizeRaidPolicy({ raidPolicy: { mode: 'bogus', stayMinutes: 0 } }))
+      .toEqual({ mode: 'stay', stayMinutes: DEFAULT_RAID_STAY_MINUTES });
+  });
+});
+
+describe('startRaid / isRaidHoldActive', () => {
+  const now = 1_000_000;
+
+  it('holds for the stay time only under the stay policy', () => {
+    const raid = startRaid({ mode: RAID_POLICIES.STAY, stayMinutes: 10 }, { channel: 'target', from: 'raider', now });
+    expect(raid).toEqual({ channel: 'target', from: 'raider', at: now, until: now + 600000 });
+    expect(isRaidHoldActive(raid, now + 599999)).toBe(true);
+    expect(isRaidHoldActive(raid, now + 600000)).toBe(false);
+    expect(startRaid({ mode: RAID_POLICIES.ADD, stayMinutes: 10 }, { channel: 'target', now }).until).toBe(0);
+  });
+
+  it('drops a "from" that is the target itself', () => {
+    expect(startRaid({ mode: 'ignore', stayMinutes: 10 }, { channel: 'target', from: 'target', now }).from).toBeNull();
+  });
+});
+
+describe('raid entries', () => {
+  const now = 5_000_000_000;
+
+  it('appends a temporary entry to the bottom tier, once', () => {
+    const streams = [{ username: 'shroud', priority: 1, tier: 1 }];
+    expect(createRaidEntry(streams, 'target', 2, { from: 'shroud', now })).toEqual({
+      username: 'target', priority: 2, tier: 2, addedAt: now, temporary: true, raidFrom: 'shroud',
+    });
+    expect(createRaidEntry(streams, 'shroud', 2, { now })).toBeNull();
+  });
+
+  it('drops offline entries after the grace period and every entry after the TTL', () => {
+    const entry = { username: 'target', temporary: true, addedAt: now };
+    expect(shouldDropRaidEntry(entry, false, now + 1000)).toBe(false);
+    expect(shouldDropRaidEntry(entry, false, now + RAID_ENTRY_GRACE_MS)).toBe(true);
+    expect(shouldDropRaidEntry(entry, true, now + RAID_ENTRY_GRACE_MS)).toBe(false);
+    expect(shouldDropRaidEntry(entry, true, now + RAID_ENTRY_TTL_MS)).toBe(true);
+    expect(shouldDropRaidEntry({ username: 'kept', addedAt: 0 }, false, now)).toBe(false);
+  });
+});
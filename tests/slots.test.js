@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAIN_SLOT_ID,
+  normalizeExtraSlots,
+  getSlots,
+  findSlotByTab,
+  patchSlotSettings,
+  createSlot,
+  unionUsernames,
+  SLOT_ALARMS,
+  slotAlarmName,
+  isSlotAlarm,
+} from '../utils/slots.js';
+
+const settings = {
+  managedTwitchTabId: 11,
+  fallbackCategory: 'Just Chatting',
+  switchMode: 'queue',
+  extraSlots: [
+    { id: 'slot-2', name: 'Second monitor', tabId: 22, fallbackCategory: 'Chess', switchMode: 'preemptive' },
+  ],
+};
+
+describe('getSlots', () => {
+  it('puts the legacy single-tab settings first as the main slot', () => {
+    const [main, extra] = getSlots(settings);
+    expect(main).toEqual({
+      id: MAIN_SLOT_ID,
+      name: 'Main',
+      tabId: 11,
+      fallbackCategory: 'Just Chatting',
+      fallbackCategories: [{ name: 'Just Chatting', weight: 1 }],
+      switchMode: 'queue',
+    });
+    expect(extra.id).toBe('slot-2');
+  });
+
+  it('resolves weighted category lists while the configured category is in them', () => {
+    const list = [{ name: 'Speedrunning', weight: 60 }, { name: 'Retro', weight: 40, start: '18:00', end: '02:00' }];
+    expect(getSlots({ fallbackCategory: 'Speedrunning', fallbackCategories: list })[0].fallbackCategories).toEqual(list);
+    expect(getSlots({ fallbackCategory: '', fallbackCategories: list })[0].fallbackCategories).toEqual([]);
+  });
+
+  it('works for installs without extra slots', () => {
+    expect(getSlots({}).map((s) => s.id)).toEqual([MAIN_SLOT_ID]);
+  });
+});
+
+describe('normalizeExtraSlots', () => {
+  it('drops id-less, duplicate and reserved ids and fills defaults', () => {
+    expect(normalizeExtraSlots([
+      { id: 'a', tabId: '5', switchMode: 'bogus' },
+      { id: 'a', name: 'dupe' },
+      { id: MAIN_SLOT_ID },
+      { name: 'no id' },
+    ])).toEqual([
+      { id: 'a', name: 'Tab 2', tabId: null, fallbackCategory: '', fallbackCategories: [], switchMode: 'preemptive' },
+    ]);
+  });
+});
+
+describe('findSlotByTab', () => {
+  it('finds main and extra slots by tab id', () => {
+    expect(findSlotByTab(settings, 11).id).toBe(MAIN_SLOT_ID);
+    expect(findSlotByTab(settings, 22).id).toBe('slot-2');
+    expect(findSlotByTab(settings, 33)).toBe(null);
+    expect(findSlotByTab(settings, null)).toBe(null);
+  });
+});
+
+describe('patchSlotSettings', () => {
+  it('writes the main slot back to its legacy keys', () => {
+    expect(patchSlotSettings(settings, MAIN_SLOT_ID, { tabId: null, fallbackCategory: 'Art' }))
+      .toEqual({ managedTwitchTabId: null, fallbackCategory: 'Art' });
+  });
+
+  it('replaces one extra slot', () => {
+    const { extraSlots } = patchSlotSettings(settings, 'slot-2', { tabId: null });
+    expect(extraSlots).toHaveLength(1);
+    expect(extraSlots[0]).toMatchObject({ id: 'slot-2', name: 'Second monitor', tabId: null });
+  });
+});
+
+describe('createSlot', () => {
+  it('picks an unused id', () => {
+    expect(createSlot([]).id).toBe('slot-2');
+    expect(createSlot([{ id: 'slot-3' }]).id).toBe('slot-4');
+    expect(createSlot([{ id: 'slot-2' }], 'Bedroom')).toMatchObject({ id: 'slot-3', name: 'Bedroom', tabId: null });
+  });
+});
+
+describe('unionUsernames', () => {
+  it('dedupes across lists in first-seen order', () => {
+    expect(unionUsernames([
+      [{ username: 'a' }, { username: 'b' }],
+      [{ username: 'b' }, { username: 'c' }],
+      null,
+    ])).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('slot alarms', () => {
+  it('names one alarm per purpose and slot', () => {
+    const extra = { id: 'slot-2' };
+    const names = Object.values(SLOT_ALARMS).flatMap((p) => [slotAlarmName(p, { id: MAIN_SLOT_ID }), slotAlarmName(p, extra)]);
+    expect(new Set(names).size).toBe(names.length);
+    expect(slotAlarmName(SLOT_ALARMS.DEFERRED, { id: MAIN_SLOT_ID })).toBe('tsr-switch-deferred');
+    expect(names.every(isSlotAlarm)).toBe(true);
+    expect(isSlotAlarm('tsr-poll')).toBe(false);
+    expect(isSlotAlarm('tsr-switch-deferred-other')).toBe(false);
+  });
+});
@@ -50,6 +50,23 @@ describe('StorageManager cache invalidation', () => {
     await storage.saveSettings({ theme: 'midnight' });
     expect(store.get('settings')?.theme).toBe('midnight');
   });
+
+  it('rewrites every stored list at once (main, extra slots, parked profiles)', async () => {
+    store.set('streams', [{ username: 'a', tier: 3 }]);
+    store.set('slotStreams', { second: [{ username: 'b', tier: 2 }] });
+    store.set('profiles', {
+      activeId: 'default',
+      items: [
+        { id: 'default', name: 'Default', streams: null, overrides: {} },
+        { id: 'esports', name: 'Esports', streams: [{ username: 'c', tier: 3 }], overrides: {} },
+      ],
+    });
+
+    await storage.mapAllStreamLists((list) => list.map((s) => ({ ...s, tier: s.tier - 1 })));
+    expect(store.get('streams')).toEqual([{ username: 'a', tier: 2 }]);
+    expect(store.get('slotStreams').second).toEqual([{ username: 'b', tier: 1 }]);
+    expect(store.get('profiles').items[1].streams).toEqual([{ username: 'c', tier: 2 }]);
+  });
 });
 
 
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { FREE_TIER_LIMIT, isValidUsername, validateNewStream, createStreamEntry, insertStreamAtTop } from '../utils/stream-list.js';
+
+describe('validateNewStream', () => {
+  it('normalizes the username', () => {
+    expect(validateNewStream([], '  XQCOW ')).toEqual({ ok: true, username: 'xqcow' });
+  });
+
+  it('rejects empty, malformed and duplicate names', () => {
+    expect(validateNewStream([], ' ').code).toBe('EMPTY');
+    expect(validateNewStream([], 'no spaces').code).toBe('INVALID_USERNAME');
+    expect(validateNewStream([], 'abc').code).toBe('INVALID_USERNAME');
+    expect(validateNewStream([{ username: 'xqcow' }], 'XQCow').code).toBe('DUPLICATE');
+  });
+
+  it('enforces the free tier limit unless premium', () => {
+    const full = Array.from({ length: FREE_TIER_LIMIT }, (_, i) => ({ username: `channel${i}` }));
+    expect(validateNewStream(full, 'another').code).toBe('FREE_LIMIT');
+    expect(validateNewStream(full, 'another', { premium: true }).ok).toBe(true);
+    expect(validateNewStream([...full.slice(1), { username: 'raider', temporary: true }], 'another').ok).toBe(true);
+  });
+});
+
+describe('isValidUsername', () => {
+  it('accepts Twitch-shaped logins only', () => {
+    expect(isValidUsername('shroud_99')).toBe(true);
+    expect(isValidUsername('sh-roud')).toBe(false);
+  });
+});
+
+describe('createStreamEntry', () => {
+  it('appends to the bottom tier', () => {
+    expect(createStreamEntry([{}, {}], 'xqc', 3)).toMatchObject({ username: 'xqc', priority: 3, tier: 3 });
+  });
+});
+
+describe('insertStreamAtTop', () => {
+  it('puts the channel first in tier 1 and renumbers the rest', () => {
+    const streams = [
+      { username: 'shroud', priority: 1, tier: 1 },
+      { username: 'xqcow', priority: 2, tier: 2 },
+    ];
+    expect(insertStreamAtTop(streams, 'pokimane', 2).map((s) => [s.username, s.priority, s.tier])).toEqual([
+      ['pokimane', 1, 1],
+      ['shroud', 2, 1],
+      ['xqcow', 3, 2],
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  normalizeSchedule,
+  isScheduleStale,
+  nextScheduledSegment,
+  scheduledStartTimes,
+  describeSchedule,
+  dueStartingSoon,
+  SCHEDULE_TTL_MS,
+  STARTING_SOON_GRACE_MS,
+} from '../utils/stream-schedule.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.UTC(2026, 2, 6, 12, 0);
+const iso = (ms) => new Date(ms).toISOString();
+const segment = (id, startMs, extra = {}) => ({
+  id,
+  start_time: iso(startMs),
+  end_time: iso(startMs + 3 * HOUR),
+  title: `Stream ${id}`,
+  canceled_until: null,
+  category: { id: '1', name: 'Just Chatting' },
+  ...extra,
+});
+
+describe('normalizeSchedule', () => {
+  it('drops canceled, finished and vacation segments and sorts the rest', () => {
+    const out = normalizeSchedule({
+      segments: [
+        segment('later', now + 30 * HOUR),
+        segment('ended', now - 4 * HOUR),
+        segment('canceled', now + 2 * HOUR, { canceled_until: iso(now + 5 * HOUR) }),
+        segment('onNow', now - HOUR),
+        segment('away', now + 3 * 24 * HOUR),
+      ],
+      vacation: { start_time: iso(now + 2 * 24 * HOUR), end_time: iso(now + 5 * 24 * HOUR) },
+    }, { now });
+    expect(out.segments.map((s) => s.id)).toEqual(['onNow', 'later']);
+    expect(out.segments[1]).toMatchObject({ start: now + 30 * HOUR, title: 'Stream later', category: 'Just Chatting' });
+    expect(out.vacation).toEqual({ start: now + 2 * 24 * HOUR, end: now + 5 * 24 * HOUR });
+    expect(out.fetchedAt).toBe(now);
+  });
+
+  it('treats a channel without a schedule as an empty one', () => {
+    expect(normalizeSchedule(null, { now })).toEqual({ fetchedAt: now, segments: [], vacation: null });
+  });
+});
+
+describe('schedule cache', () => {
+  it('goes stale after the TTL', () => {
+    expect(isScheduleStale(undefined, now)).toBe(true);
+    expect(isScheduleStale({ fetchedAt: now - SCHEDULE_TTL_MS + 1 }, now)).toBe(false);
+    expect(isScheduleStale({ fetchedAt: now - SCHEDULE_TTL_MS }, now)).toBe(true);
+  });
+});
+
+describe('describeSchedule', () => {
+  const schedule = normalizeSchedule({ segments: [segment('a', now + 2 * HOUR), segment('b', now + 60 * HOUR)] }, { now });
+
+  it('names the next segment for offline rows', () => {
+    expect(describeSchedule(schedule, now)).toBe('Next stream in 2h — Stream a');
+    expect(describeSchedule(schedule, now + 3 * HOUR)).toBe('Scheduled now — Stream a');
+    expect(describeSchedule(schedule, now + 6 * HOUR)).toBe('Next stream in 2d — Stream b');
+    expect(describeSchedule(schedule, now + 30 * HOUR)).toBe('Next stream in 30h — Stream b');
+    expect(describeSchedule({ segments: [] }, now)).toBe('');
+  });
+
+  it('reports a vacation in progress', () => {
+    const away = normalizeSchedule({ segments: [], vacation: { start_time: iso(now - HOUR), end_time: iso(now + 48 * HOUR) } }, { now });
+    expect(describeSchedule(away, now)).toMatch(/^On vacation until /);
+  });
+
+  it('exposes upcoming starts for the poll scheduler', () => {
+    expect(nextScheduledSegment(schedule, now).id).toBe('a');
+    expect(scheduledStartTimes(schedule, now + 6 * HOUR)).toEqual([now + 60 * HOUR]);
+  });
+});
+
+describe('dueStartingSoon', () => {
+  const schedule = normalizeSchedule({ segments: [segment('a', now + 10 * 60 * 1000)] }, { now });
+
+  it('is due inside the lead time, once per segment', () => {
+    expect(dueStartingSoon(schedule, 0, now)).toBeNull();
+    expect(dueStartingSoon(schedule, 5, now)).toBeNull();
+    const due = dueStartingSoon(schedule, 15, now);
+    expect(due).toMatchObject({ segment: { id: 'a' }, key: `a@${now + 10 * 60 * 1000}` });
+    expect(dueStartingSoon({ ...schedule, notified: due.key }, 15, now)).toBeNull();
+    // Long started: too late for a notice.
+    expect(dueStartingSoon(schedule, 15, now + 10 * 60 * 1000 + STARTING_SOON_GRACE_MS + 1)).toBeNull();
+  });
+
+  it('still notices a segment a poll only saw just after its start', () => {
+    // 5-minute lead, polls 10 minutes apart: one lands before the window, the next after the start.
+    expect(dueStartingSoon(schedule, 5, now)).toBeNull();
+    const due = dueStartingSoon(schedule, 5, now + 11 * 60 * 1000);
+    expect(due).toMatchObject({ segment: { id: 'a' }, key: `a@${now + 10 * 60 * 1000}` });
+    expect(dueStartingSoon({ ...schedule, notified: due.key }, 5, now + 12 * 60 * 1000)).toBeNull();
+  });
+});
+
+describe('TwitchAPI.getChannelSchedule', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const json = (status, body) => ({
+    ok: status < 400,
+    status,
+    statusText: '',
+    headers: { get: () => null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  });
+
+  it('follows the pagination cursor up to the page cap', async () => {
+    vi.resetModules();
+    const twitchAPI = (await import('../utils/twitch-api.js')).default;
+    await twitchAPI.initialize('testclientid123');
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(json(200, { data: { segments: [segment('a', now)], vacation: null }, pagination: { cursor: 'c1' } }))
+      .mockResolvedValueOnce(json(200, { data: { segments: [segment('b', now + HOUR)], vacation: null }, pagination: { cursor: 'c2' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const out = await twitchAPI.getChannelSchedule('1337', { maxPages: 2 });
+    expect(out.segments.map((s) => s.id)).toEqual(['a', 'b']);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(String(fetchMock.mock.calls[1][0])).toContain('after=c1');
+  });
+
+  it('returns null for channels without a schedule', async () => {
+    vi.resetModules();
+    const twitchAPI = (await import('../utils/twitch-api.js')).default;
+    await twitchAPI.initialize('testclientid123');
+    vi.stubGlobal('fetch', vi.fn(async () => json(404, { error: 'Not Found' })));
+    expect(await twitchAPI.getChannelSchedule('1337')).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { COUNTDOWN_ACTIONS, normalizeCountdownAction, countdownOutcome } from '../utils/switch-countdown.js';
+
+describe('normalizeCountdownAction', () => {
+  it('keeps known answers only', () => {
+    expect(normalizeCountdownAction({ action: 'snooze' })).toBe(COUNTDOWN_ACTIONS.SNOOZE);
+    // A hidden page declines: the background asks with a notification instead.
+    expect(normalizeCountdownAction({ action: null })).toBeNull();
+    expect(normalizeCountdownAction({ action: 'later' })).toBeNull();
+    expect(normalizeCountdownAction(undefined)).toBeNull();
+  });
+});
+
+describe('countdownOutcome', () => {
+  it('switches on "Switch now" and when the countdown runs out', () => {
+    expect(countdownOutcome(COUNTDOWN_ACTIONS.SWITCH)).toEqual({ switchNow: true, snooze: null });
+    expect(countdownOutcome(COUNTDOWN_ACTIONS.TIMEOUT)).toEqual({ switchNow: true, snooze: null });
+  });
+
+  it('holds off prompts on Cancel and all switching on Snooze', () => {
+    expect(countdownOutcome(COUNTDOWN_ACTIONS.CANCEL)).toEqual({ switchNow: false, snooze: 'prompts' });
+    expect(countdownOutcome(COUNTDOWN_ACTIONS.SNOOZE)).toEqual({ switchNow: false, snooze: 'switching' });
+  });
+});
+
+describe('background countdown answer', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const json = (body) => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => body });
+  const live = { data: [{ user_id: '1', user_login: 'alpha', user_name: 'alpha', viewer_count: 5, type: 'live', started_at: '2020-01-01T00:00:00Z' }] };
+
+  // Loads background.js against an in-memory chrome with one managed tab on
+  // an unlisted channel and "ask before switching" on; resolves with the
+  // countdown request the startup poll sends to the page.
+  async function startWorker() {
+    vi.resetModules();
+    const store = {
+      settings: { redirectEnabled: true, managedTwitchTabId: 1, clientId: 'testclientid123', promptBeforeSwitch: true, fallbackCategory: '' },
+      streams: [{ username: 'alpha', priority: 1 }],
+    };
+    const tab = { id: 1, windowId: 1, status: 'complete', url: 'https://www.twitch.tv/other' };
+    const listener = { addListener: () => {} };
+    const navigations = [];
+    let answerCountdown;
+    const asked = new Promise((resolve) => {
+      answerCountdown = resolve;
+    });
+    let reply;
+    vi.stubGlobal('chrome', {
+      runtime: { onMessage: listener, onStartup: listener, onInstalled: listener, lastError: null, id: 'tsr' },
+      storage: {
+        local: {
+          get: async (keys) => Object.fromEntries((Array.isArray(keys) ? keys : [keys]).map((k) => [k, structuredClone(store[k])])),
+          set: async (items) => Object.assign(store, structuredClone(items)),
+          remove: async () => {},
+        },
+        onChanged: listener,
+      },
+      tabs: {
+        onRemoved: listener,
+        onUpdated: listener,
+        get: (id, cb) => cb(id === tab.id ? tab : undefined),
+        query: (q, cb) => cb([tab]),
+        update: (id, props, cb) => {
+          if (props.url) navigations.push(props.url);
+          cb?.();
+        },
+        sendMessage: (id, message) => new Promise((resolve) => {
+          reply = resolve;
+          answerCountdown(message);
+        }),
+      },
+      alarms: { create: () => {}, clear: () => {}, onAlarm: listener },
+      action: { setBadgeText: () => {}, setBadgeBackgroundColor: () => {}, setTitle: () => {} },
+      notifications: { onButtonClicked: listener, onClicked: listener, create: () => {}, clear: () => {} },
+      commands: { onCommand: listener },
+      contextMenus: { onClicked: listener, create: () => {}, removeAll: (cb) => cb?.(), update: () => {} },
+      omnibox: { onInputChanged: listener, onInputEntered: listener, setDefaultSuggestion: () => {} },
+      windows: { update: (w, o, cb) => cb?.() },
+      idle: { onStateChanged: listener },
+    });
+    const responses = { streams: live };
+    vi.stubGlobal('fetch', vi.fn(async (url) => json(String(url).includes('/streams') ? responses.streams : { data: [] })));
+
+    await import('../background.js');
+    const message = await asked;
+    return { message, store, navigations, responses, answer: (action) => reply({ action }) };
+  }
+
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+  it('switches when the countdown runs out and the target is still live', async () => {
+    const worker = await startWorker();
+    expect(worker.message).toMatchObject({ type: 'TSR_SWITCH_COUNTDOWN', username: 'alpha' });
+    worker.answer(COUNTDOWN_ACTIONS.TIMEOUT);
+    await vi.waitFor(() => expect(worker.navigations).toEqual(['https://www.twitch.tv/alpha']));
+  });
+
+  it('stays put when the target went offline during the countdown', async () => {
+    const worker = await startWorker();
+    worker.responses.streams = { data: [] };
+    worker.answer(COUNTDOWN_ACTIONS.TIMEOUT);
+    await settle();
+    expect(worker.navigations).toEqual([]);
+    expect((worker.store.journal || []).map((e) => e.type)).not.toContain('prompt-accepted');
+  });
+});
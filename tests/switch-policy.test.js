@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { shouldHoldCurrentStream, normalizeSwitchMode } from '../utils/switch-policy.js';
+
+const base = {
+  mode: 'queue',
+  currentChannel: 'alpha',
+  targetUsername: 'bravo',
+  currentEntry: { username: 'alpha' },
+  currentIsLive: true,
+  onFallback: false,
+};
+
+describe('shouldHoldCurrentStream', () => {
+  it('holds a live stream in queue mode', () => {
+    expect(shouldHoldCurrentStream(base)).toEqual({ hold: true, reason: 'queue' });
+  });
+
+  it('holds a live channel that is not on the list in queue mode', () => {
+    expect(shouldHoldCurrentStream({ ...base, currentEntry: null })).toEqual({ hold: true, reason: 'queue' });
+  });
+
+  it('lets go once the current stream is offline or unknown', () => {
+    expect(shouldHoldCurrentStream({ ...base, currentIsLive: false }).hold).toBe(false);
+    expect(shouldHoldCurrentStream({ ...base, currentIsLive: null }).hold).toBe(false);
+  });
+
+  it('never holds category-fallback filler', () => {
+    expect(shouldHoldCurrentStream({ ...base, onFallback: true }).hold).toBe(false);
+  });
+
+  it('does not hold in preemptive mode unless the entry is sticky', () => {
+    expect(shouldHoldCurrentStream({ ...base, mode: 'preemptive' }).hold).toBe(false);
+    expect(shouldHoldCurrentStream({
+      ...base,
+      mode: 'preemptive',
+      currentEntry: { username: 'alpha', sticky: true },
+    })).toEqual({ hold: true, reason: 'sticky' });
+  });
+
+  it('has nothing to hold when not on a channel or already on the target', () => {
+    expect(shouldHoldCurrentStream({ ...base, currentChannel: null }).hold).toBe(false);
+    expect(shouldHoldCurrentStream({ ...base, targetUsername: 'alpha' }).hold).toBe(false);
+  });
+});
+
+describe('normalizeSwitchMode', () => {
+  it('defaults unknown values to preemptive', () => {
+    expect(normalizeSwitchMode('queue')).toBe('queue');
+    expect(normalizeSwitchMode(undefined)).toBe('preemptive');
+    expect(normalizeSwitchMode('nope')).toBe('preemptive');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  evaluateSwitchRules,
+  normalizeSwitchRules,
+  hasSwitchRules,
+  parseRuleList,
+} from '../utils/switch-rules.js';
+
+const live = (over = {}) => ({
+  game_name: 'Super Mario 64',
+  title: 'Any% world record attempts',
+  viewer_count: 1200,
+  ...over,
+});
+
+describe('evaluateSwitchRules', () => {
+  it('allows everything when no rules are set', () => {
+    expect(evaluateSwitchRules(null, live())).toEqual({ allowed: true, reason: null });
+    expect(evaluateSwitchRules({ allowGames: [], minViewers: 0 }, live())).toEqual({ allowed: true, reason: null });
+  });
+
+  it('enforces the category allowlist case-insensitively', () => {
+    const rules = { allowGames: ['super mario 64', 'Celeste'] };
+    expect(evaluateSwitchRules(rules, live()).allowed).toBe(true);
+    expect(evaluateSwitchRules(rules, live({ game_name: 'Fortnite' }))).toEqual({
+      allowed: false,
+      reason: 'category "Fortnite" not allowed',
+    });
+  });
+
+  it('enforces the category blocklist', () => {
+    const rules = { blockGames: ['Just Chatting'] };
+    expect(evaluateSwitchRules(rules, live({ game_name: 'Just Chatting' })).reason).toBe('category "Just Chatting" blocked');
+    expect(evaluateSwitchRules(rules, live()).allowed).toBe(true);
+  });
+
+  it('requires at least one title keyword, substrings or regexes', () => {
+    expect(evaluateSwitchRules({ requireKeywords: ['WORLD RECORD'] }, live()).allowed).toBe(true);
+    expect(evaluateSwitchRules({ requireKeywords: ['/any%\\s+wr?/i', 'marathon'] }, live()).allowed).toBe(true);
+    expect(evaluateSwitchRules({ requireKeywords: ['marathon'] }, live())).toEqual({
+      allowed: false,
+      reason: 'title missing required keyword',
+    });
+  });
+
+  it('rejects titles matching a forbidden keyword and names it', () => {
+    expect(evaluateSwitchRules({ blockKeywords: ['rerun', '/record/'] }, live())).toEqual({
+      allowed: false,
+      reason: 'title matches "/record/"',
+    });
+  });
+
+  it('treats broken regexes as non-matching', () => {
+    expect(evaluateSwitchRules({ blockKeywords: ['/(unclosed/'] }, live()).allowed).toBe(true);
+  });
+
+  it('enforces minimum viewers, treating missing counts as zero', () => {
+    expect(evaluateSwitchRules({ minViewers: 1000 }, live()).allowed).toBe(true);
+    expect(evaluateSwitchRules({ minViewers: 5000 }, live())).toEqual({ allowed: false, reason: 'under 5000 viewers' });
+    expect(evaluateSwitchRules({ minViewers: 10 }, live({ viewer_count: undefined })).allowed).toBe(false);
+  });
+});
+
+describe('normalizeSwitchRules', () => {
+  it('strips empty fields and returns null when nothing is left', () => {
+    expect(normalizeSwitchRules({ allowGames: [' ', ''], minViewers: '' })).toBe(null);
+    expect(normalizeSwitchRules({ blockGames: [' Fortnite '], minViewers: '250.7' })).toEqual({
+      blockGames: ['Fortnite'],
+      minViewers: 250,
+    });
+    expect(hasSwitchRules(undefined)).toBe(false);
+    expect(hasSwitchRules({ requireKeywords: ['wr'] })).toBe(true);
+  });
+});
+
+describe('parseRuleList', () => {
+  it('splits on commas but keeps regex literals intact', () => {
+    expect(parseRuleList('speedrun, /a{1,3}/i ,  any%')).toEqual(['speedrun', '/a{1,3}/i', 'any%']);
+    expect(parseRuleList('')).toEqual([]);
+    expect(parseRuleList(' , ,')).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateSwitchStability } from '../utils/switch-stability.js';
+
+const now = Date.parse('2026-08-18T12:00:00Z');
+const min = 60000;
+
+describe('evaluateSwitchStability', () => {
+  it('allows switching when every hold is off', () => {
+    expect(evaluateSwitchStability({
+      now,
+      config: { minDwellMinutes: 0, graceMinutes: 0, cooldownMinutes: 0 },
+      lastSwitchAt: now - 1000,
+      currentSince: now - 1000,
+      candidateStartedAt: '2026-08-18T11:59:59Z',
+      preempting: true,
+    })).toEqual({ allowed: true, until: null, reason: null });
+    expect(evaluateSwitchStability({ now, config: null, preempting: true }).allowed).toBe(true);
+  });
+
+  it('holds for the cooldown after any switch, preempting or not', () => {
+    const result = evaluateSwitchStability({
+      now,
+      config: { cooldownMinutes: 5 },
+      lastSwitchAt: now - 2 * min,
+      preempting: false,
+    });
+    expect(result).toEqual({ allowed: false, until: now + 3 * min, reason: 'cooldown' });
+  });
+
+  it('applies dwell and grace only when preempting a watchable channel', () => {
+    const args = {
+      now,
+      config: { minDwellMinutes: 10, graceMinutes: 3 },
+      lastSwitchAt: null,
+      currentSince: now - 4 * min,
+      candidateStartedAt: '2026-08-18T11:59:00Z',
+    };
+    expect(evaluateSwitchStability({ ...args, preempting: false }).allowed).toBe(true);
+    expect(evaluateSwitchStability({ ...args, preempting: true })).toEqual({
+      allowed: false,
+      until: now + 6 * min,
+      reason: 'dwell',
+    });
+  });
+
+  it('reports the hold that ends last', () => {
+    const result = evaluateSwitchStability({
+      now,
+      config: { minDwellMinutes: 2, graceMinutes: 10, cooldownMinutes: 1 },
+      lastSwitchAt: now - 30000,
+      currentSince: now - 30000,
+      candidateStartedAt: '2026-08-18T11:58:00Z',
+      preempting: true,
+    });
+    expect(result).toEqual({ allowed: false, until: now + 8 * min, reason: 'grace' });
+  });
+
+  it('ignores expired holds and unparseable start times', () => {
+    expect(evaluateSwitchStability({
+      now,
+      config: { minDwellMinutes: 5, graceMinutes: 5, cooldownMinutes: 5 },
+      lastSwitchAt: now - 6 * min,
+      currentSince: now - 6 * min,
+      candidateStartedAt: 'not a date',
+      preempting: true,
+    }).allowed).toBe(true);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_TAB_EFFECTS, normalizeTabEffects, planTabEffects } from '../utils/tab-effects.js';
+
+describe('normalizeTabEffects', () => {
+  it('defaults to leaving the tab alone', () => {
+    expect(normalizeTabEffects(null)).toEqual(DEFAULT_TAB_EFFECTS);
+    expect(planTabEffects(null)).toEqual({ muted: undefined, focus: false, quietMuted: false });
+  });
+
+  it('drops unknown audio choices', () => {
+    expect(normalizeTabEffects({ listAudio: 'loud', fallbackAudio: 'mute', focusWindow: 1 })).toEqual({
+      listAudio: 'keep',
+      fallbackAudio: 'mute',
+      focusWindow: true,
+      silentInQuietHours: false,
+    });
+  });
+});
+
+describe('planTabEffects', () => {
+  const effects = { listAudio: 'unmute', fallbackAudio: 'mute', focusWindow: true, silentInQuietHours: true };
+
+  it('mutes fallback picks and unmutes list channels', () => {
+    expect(planTabEffects(effects, { fallback: true })).toEqual({ muted: true, focus: true, quietMuted: false });
+    expect(planTabEffects(effects)).toEqual({ muted: false, focus: true, quietMuted: false });
+  });
+
+  it('switches silently during quiet hours when asked', () => {
+    expect(planTabEffects(effects, { quiet: true })).toEqual({ muted: true, focus: false, quietMuted: true });
+    expect(planTabEffects({ ...effects, silentInQuietHours: false }, { quiet: true })).toEqual({ muted: false, focus: true, quietMuted: false });
+  });
+
+  it('undoes its quiet-hours mute on the next switch after quiet hours', () => {
+    const keep = { ...effects, listAudio: 'keep' };
+    expect(planTabEffects(keep, { quietMuted: true })).toEqual({ muted: false, focus: true, quietMuted: false });
+    // An explicit mute choice still wins.
+    expect(planTabEffects(keep, { fallback: true, quietMuted: true }).muted).toBe(true);
+    expect(planTabEffects(keep).muted).toBeUndefined();
+  });
+});
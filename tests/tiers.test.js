@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeTiers, tierOf, sortByTier, removeTierFromList, pickHighestPriorityLive } from '../utils/tiers.js';
+
+const entry = (username, tier, priority, streamData = {}) => ({ username, tier, priority, isLive: true, streamData });
+
+describe('normalizeTiers', () => {
+  it('falls back to one "order" tier', () => {
+    expect(normalizeTiers(undefined)).toEqual([{ name: 'Tier 1', tieBreak: 'order' }]);
+    expect(normalizeTiers([])).toEqual([{ name: 'Tier 1', tieBreak: 'order' }]);
+  });
+
+  it('fills in names and rejects unknown strategies', () => {
+    expect(normalizeTiers([{ name: ' Faves ', tieBreak: 'viewers' }, { tieBreak: 'bogus' }])).toEqual([
+      { name: 'Faves', tieBreak: 'viewers' },
+      { name: 'Tier 2', tieBreak: 'order' },
+    ]);
+  });
+});
+
+describe('tierOf / sortByTier', () => {
+  it('clamps missing and out-of-range tiers', () => {
+    expect(tierOf({}, 3)).toBe(1);
+    expect(tierOf({ tier: 0 }, 3)).toBe(1);
+    expect(tierOf({ tier: 7 }, 3)).toBe(3);
+  });
+
+  it('orders by tier, then priority', () => {
+    const sorted = sortByTier([entry('c', 2, 1), entry('b', 1, 3), entry('a', 1, 2)], 2);
+    expect(sorted.map((s) => s.username)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('removeTierFromList', () => {
+  it('moves the removed tier up into the one above and shifts later tiers', () => {
+    const list = [entry('a', 1, 1), entry('b', 2, 2), entry('c', 3, 3)];
+    expect(removeTierFromList(list, 2, 3).map((s) => s.tier)).toEqual([1, 1, 2]);
+    // Removing the top tier: its channels become the new top tier.
+    expect(removeTierFromList(list, 1, 3).map((s) => s.tier)).toEqual([1, 1, 2]);
+  });
+});
+
+describe('pickHighestPriorityLive', () => {
+  const tiers = (tieBreak) => [{ name: 'Top', tieBreak }, { name: 'Rest', tieBreak: 'order' }];
+
+  it('returns null with no candidates', () => {
+    expect(pickHighestPriorityLive([], tiers('order'))).toBe(null);
+  });
+
+  it('prefers the lowest tier regardless of tie-break', () => {
+    const picked = pickHighestPriorityLive(
+      [entry('low', 2, 1, { viewer_count: 99999 }), entry('top', 1, 5, { viewer_count: 1 })],
+      tiers('viewers'),
+    );
+    expect(picked.username).toBe('top');
+  });
+
+  it('keeps strict list order with the default tie-break', () => {
+    const picked = pickHighestPriorityLive([entry('b', 1, 2), entry('a', 1, 1)], tiers('order'));
+    expect(picked.username).toBe('a');
+  });
+
+  it('picks by viewers, uptime and recency', () => {
+    const group = [
+      entry('a', 1, 1, { viewer_count: 10, started_at: '2026-08-18T10:00:00Z' }),
+      entry('b', 1, 2, { viewer_count: 500, started_at: '2026-08-18T08:00:00Z' }),
+      entry('c', 1, 3, { viewer_count: 50, started_at: '2026-08-18T11:00:00Z' }),
+    ];
+    expect(pickHighestPriorityLive(group, tiers('viewers')).username).toBe('b');
+    expect(pickHighestPriorityLive(group, tiers('uptime')).username).toBe('b');
+    expect(pickHighestPriorityLive(group, tiers('newest')).username).toBe('c');
+  });
+
+  it('picks the least recently watched, never-watched first', () => {
+    const group = [entry('a', 1, 1), entry('b', 1, 2), entry('c', 1, 3)];
+    expect(pickHighestPriorityLive(group, tiers('leastWatched'), {
+      lastWatched: { a: 3000, b: 1000, c: 2000 },
+    }).username).toBe('b');
+    expect(pickHighestPriorityLive(group, tiers('leastWatched'), {
+      lastWatched: { a: 3000, b: 1000 },
+    }).username).toBe('c');
+  });
+
+  it('uses the injected random source for the random tie-break', () => {
+    const group = [entry('a', 1, 1), entry('b', 1, 2), entry('c', 1, 3)];
+    expect(pickHighestPriorityLive(group, tiers('random'), { randomInt: (n) => n - 1 }).username).toBe('c');
+  });
+
+  it('stays on the current channel when it is already in the winning tier', () => {
+    const group = [entry('a', 1, 1, { viewer_count: 1 }), entry('b', 1, 2, { viewer_count: 2 })];
+    expect(pickHighestPriorityLive(group, tiers('viewers'), { currentChannel: 'a' }).username).toBe('a');
+    expect(pickHighestPriorityLive(group, tiers('random'), {
+      currentChannel: 'b',
+      randomInt: () => 0,
+    }).username).toBe('b');
+  });
+
+  it('keeps the strict ladder for the order tie-break', () => {
+    const group = [entry('a', 1, 1), entry('b', 1, 2), entry('c', 1, 3)];
+    expect(pickHighestPriorityLive(group, tiers('order'), { currentChannel: 'c' }).username).toBe('a');
+  });
+
+  it('does not stay on a temporary raid entry', () => {
+    const group = [entry('a', 1, 1), { ...entry('raided', 1, 2), temporary: true }];
+    expect(pickHighestPriorityLive(group, tiers('order'), { currentChannel: 'raided' }).username).toBe('a');
+  });
+});
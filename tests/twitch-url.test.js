@@ -1,5 +1,5 @@
 import { describe, expect, test } from 'vitest';
-import { isRaidReferrerUrl, isTwitchUrl, getChannelFromTwitchUrl } from '../utils/twitch-url.js';
+import { isRaidReferrerUrl, isTwitchUrl, getChannelFromTwitchUrl, getVideoIdFromTwitchUrl } from '../utils/twitch-url.js';
 
 describe('twitch-url', () => {
   test('isTwitchUrl detects twitch hosts', () => {
@@ -14,6 +14,12 @@ describe('twitch-url', () => {
     expect(getChannelFromTwitchUrl('https://www.twitch.tv/directory')).toBe(null);
   });
 
+  test('getVideoIdFromTwitchUrl returns the id of /videos/<id>', () => {
+    expect(getVideoIdFromTwitchUrl('https://www.twitch.tv/videos/2212345678?t=1h2m')).toBe('2212345678');
+    expect(getVideoIdFromTwitchUrl('https://www.twitch.tv/someone/videos')).toBe(null);
+    expect(getVideoIdFromTwitchUrl('https://example.com/videos/1')).toBe(null);
+  });
+
   test('isRaidReferrerUrl detects ?referrer=raid', () => {
     expect(isRaidReferrerUrl('https://www.twitch.tv/somechannel?referrer=raid')).toBe(true);
     expect(isRaidReferrerUrl('https://www.twitch.tv/somechannel?referrer=raid&foo=bar')).toBe(true);
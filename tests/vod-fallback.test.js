@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  VOD_FALLBACK_LIMITS,
+  normalizeVodFallback,
+  parseVideoDuration,
+  pickVodToPlay,
+  recordWatchedVod,
+  shouldKeepVodFallback,
+} from '../utils/vod-fallback.js';
+
+const now = Date.parse('2026-08-18T12:00:00Z');
+
+const video = (id, createdAt, duration = '1h0m0s') => ({ id, created_at: createdAt, duration, title: `Video ${id}` });
+
+describe('normalizeVodFallback', () => {
+  it('accepts Helix video types and turns anything else off', () => {
+    expect(normalizeVodFallback('highlight')).toBe('highlight');
+    expect(normalizeVodFallback('upload')).toBe('off');
+    expect(normalizeVodFallback(undefined)).toBe('off');
+  });
+});
+
+describe('parseVideoDuration', () => {
+  it('parses Helix durations', () => {
+    expect(parseVideoDuration('1h2m3s')).toBe(3723000);
+    expect(parseVideoDuration('45m10s')).toBe(2710000);
+    expect(parseVideoDuration('59s')).toBe(59000);
+    expect(parseVideoDuration('')).toBe(0);
+    expect(parseVideoDuration('soon')).toBe(0);
+  });
+});
+
+describe('pickVodToPlay', () => {
+  const videos = [
+    video('1', '2026-08-15T20:00:00Z'),
+    video('3', '2026-08-17T20:00:00Z'),
+    video('2', '2026-08-16T20:00:00Z'),
+    video('4', '2026-08-18T11:00:00Z', ''),
+  ];
+
+  it('picks the newest video not played yet', () => {
+    expect(pickVodToPlay(videos, []).id).toBe('3');
+    expect(pickVodToPlay(videos, ['3']).id).toBe('2');
+    expect(pickVodToPlay(videos, ['1', '2', '3'])).toBeNull();
+  });
+});
+
+describe('recordWatchedVod', () => {
+  it('moves a replayed id to the end and caps the list', () => {
+    expect(recordWatchedVod(['1', '2'], '1')).toEqual(['2', '1']);
+    const full = Array.from({ length: VOD_FALLBACK_LIMITS.watched }, (_, i) => String(i));
+    expect(recordWatchedVod(full, 'new')).toHaveLength(VOD_FALLBACK_LIMITS.watched);
+    expect(recordWatchedVod(full, 'new').at(-1)).toBe('new');
+  });
+});
+
+describe('shouldKeepVodFallback', () => {
+  const fallback = { active: true, mode: 'vod', videoId: '3', until: now + 60000 };
+  const url = 'https://www.twitch.tv/videos/3';
+
+  it('keeps a video that is still running', () => {
+    expect(shouldKeepVodFallback(fallback, url, now)).toBe(true);
+  });
+
+  it('moves on once it ran its length, or the tab left the video', () => {
+    expect(shouldKeepVodFallback(fallback, url, now + 60000)).toBe(false);
+    expect(shouldKeepVodFallback(fallback, 'https://www.twitch.tv/someone', now)).toBe(false);
+    expect(shouldKeepVodFallback({ ...fallback, mode: 'category' }, url, now)).toBe(false);
+  });
+});
@@ -8,6 +8,10 @@
  * Endpoints:
  * - GET /token  -> { access_token, expires_in }
  * - /helix/*    -> Proxies Twitch Helix API (recommended for production)
+ * - POST/DELETE /helix/eventsub/subscriptions -> EventSub WebSocket subscriptions
+ *   (stream.online/stream.offline only), made with the EventSub user token.
+ *   DELETE takes `id` and the caller's `session_id`, and only removes a
+ *   subscription on that session.
  *
  * Required secrets (Cloudflare):
  * - TWITCH_CLIENT_ID
@@ -16,10 +20,26 @@
  * Optional environment variables:
  * - ALLOWED_ORIGINS (comma-separated), e.g. "chrome-extension://<your-extension-id>"
  * - ENABLE_TOKEN_ENDPOINT ("1" to enable GET /token; recommended OFF in production)
+ *
+ * Optional secrets (EventSub; the route answers 501 without them):
+ * - TWITCH_EVENTSUB_REFRESH_TOKEN: refresh token of any Twitch account authorized
+ *   for TWITCH_CLIENT_ID (no scopes needed). Twitch only accepts user tokens for
+ *   WebSocket subscriptions; the account just owns them.
+ * - or TWITCH_EVENTSUB_USER_TOKEN: a user access token (expires; refresh token preferred)
+ *
+ * EventSub is for a single install (your own broker): Twitch allows 3
+ * WebSocket connections per user token and a total cost of 10 per connection,
+ * and every install behind this broker shares the one token. Don't enable it
+ * on a broker that serves other people's installs.
  */
 
 let cachedToken = null;
 let cachedExpiresAt = 0;
+let cachedUserToken = null;
+let cachedUserExpiresAt = 0;
+
+const EVENTSUB_PATH = '/helix/eventsub/subscriptions';
+const EVENTSUB_TYPES = new Set(['stream.online', 'stream.offline']);
 
 function getRequestOrigin(request) {
   // Browser CORS requests usually include Origin, but some contexts (notably MV3 service workers)
@@ -52,7 +72,7 @@ function corsHeaders(request, env) {
   return {
     'Access-Control-Allow-Origin': allowOrigin,
     'Vary': 'Origin',
-    'Access-Control-Allow-Methods': 'GET,HEAD,OPTIONS',
+    'Access-Control-Allow-Methods': 'GET,HEAD,POST,DELETE,OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, X-TSR-Extension-Id',
   };
 }
@@ -131,6 +151,120 @@ async function getAppToken(env) {
   return cachedToken;
 }
 
+async function getEventSubUserToken(env) {
+  if (!env.TWITCH_EVENTSUB_REFRESH_TOKEN) return env.TWITCH_EVENTSUB_USER_TOKEN || null;
+
+  const now = Date.now();
+  if (cachedUserToken && now < cachedUserExpiresAt - 60_000) {
+    return cachedUserToken;
+  }
+
+  const body = new URLSearchParams({
+    client_id: env.TWITCH_CLIENT_ID,
+    client_secret: env.TWITCH_CLIENT_SECRET,
+    grant_type: 'refresh_token',
+    refresh_token: env.TWITCH_EVENTSUB_REFRESH_TOKEN,
+  });
+
+  const resp = await fetch('https://id.twitch.tv/oauth2/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+  });
+
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`EventSub token refresh failed: ${resp.status} ${text}`);
+  }
+
+  const data = await resp.json();
+  cachedUserToken = data.access_token;
+  cachedUserExpiresAt = Date.now() + (data.expires_in * 1000);
+  return cachedUserToken;
+}
+
+function jsonResponse(request, env, status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders(request, env) },
+  });
+}
+
+// Only the subscriptions the extension needs: anything else would turn the
+// broker's user token into a general-purpose EventSub client.
+function isAllowedSubscription(body) {
+  const conditionKeys = Object.keys(body?.condition || {});
+  return EVENTSUB_TYPES.has(body?.type)
+    && body?.version === '1'
+    && conditionKeys.length === 1
+    && /^\d+$/.test(String(body.condition.broadcaster_user_id || ''))
+    && body?.transport?.method === 'websocket'
+    && typeof body?.transport?.session_id === 'string';
+}
+
+// WebSocket session a subscription is on (null if Twitch doesn't know the id).
+async function findSubscriptionSession(id, env, headers) {
+  const lookup = new URL(`https://api.twitch.tv${EVENTSUB_PATH}`);
+  lookup.searchParams.set('subscription_id', id);
+  const resp = await fetch(lookup.toString(), { method: 'GET', headers });
+  if (!resp.ok) return null;
+  const data = await resp.json();
+  return data?.data?.find((sub) => sub?.id === id)?.transport?.session_id || null;
+}
+
+async function proxyEventSub(request, env) {
+  const token = await getEventSubUserToken(env);
+  if (!token) {
+    return jsonResponse(request, env, 501, { error: 'eventsub_not_configured' });
+  }
+
+  const url = new URL(request.url);
+  const upstream = new URL(`https://api.twitch.tv${EVENTSUB_PATH}`);
+  const init = {
+    method: request.method,
+    headers: {
+      'Client-ID': env.TWITCH_CLIENT_ID,
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/json',
+    },
+  };
+
+  if (request.method === 'POST') {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      body = null;
+    }
+    if (!isAllowedSubscription(body)) {
+      return jsonResponse(request, env, 400, { error: 'subscription_not_allowed' });
+    }
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify({
+      type: body.type,
+      version: '1',
+      condition: { broadcaster_user_id: String(body.condition.broadcaster_user_id) },
+      transport: { method: 'websocket', session_id: body.transport.session_id },
+    });
+  } else {
+    const id = url.searchParams.get('id') || '';
+    const sessionId = url.searchParams.get('session_id') || '';
+    if (!id || !sessionId) return jsonResponse(request, env, 400, { error: 'missing_id' });
+    // Subscriptions all belong to the one broker token: only let a caller
+    // remove the ones on its own WebSocket session.
+    const owner = await findSubscriptionSession(id, env, init.headers);
+    if (owner !== sessionId) {
+      return jsonResponse(request, env, 403, { error: 'subscription_not_owned' });
+    }
+    upstream.searchParams.set('id', id);
+  }
+
+  const resp = await fetch(upstream.toString(), init);
+  const outHeaders = new Headers(resp.headers);
+  Object.entries(corsHeaders(request, env)).forEach(([k, v]) => outHeaders.set(k, v));
+  return new Response(resp.body, { status: resp.status, headers: outHeaders });
+}
+
 async function proxyHelix(request, env) {
   const url = new URL(request.url);
   // /helix/... -> https://api.twitch.tv/helix/...
@@ -176,9 +310,23 @@ export default {
       return new Response(null, { status: 204, headers: corsHeaders(request, env) });
     }
 
-    // Defense-in-depth: only allow safe methods.
+    // Defense-in-depth: only allow safe methods, except creating/deleting
+    // EventSub subscriptions (validated in proxyEventSub).
     // Cloudflare WAF rules should enforce this too, but we enforce it here as well.
     const method = String(request.method || '').toUpperCase();
+    if (url.pathname === EVENTSUB_PATH && (method === 'POST' || method === 'DELETE')) {
+      if (!isOriginAllowed(request, env)) {
+        return forbiddenOriginResponse(request, env);
+      }
+      try {
+        return await proxyEventSub(request, env);
+      } catch (err) {
+        // Don't leak internal error details to clients (CodeQL: information exposure through stack trace).
+        const requestId = crypto.randomUUID();
+        console.error(`[${requestId}] eventsub_proxy_error`, err);
+        return jsonResponse(request, env, 500, { error: 'eventsub_proxy_error', requestId });
+      }
+    }
     if (method !== 'GET' && method !== 'HEAD') {
       return methodNotAllowedResponse(request, env);
     }
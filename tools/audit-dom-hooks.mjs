@@ -1,6 +1,9 @@
-// Verifies every element ID referenced from JS still exists in the markup.
+// Verifies every element ID referenced from JS still exists in the markup,
+// and that the Twitch page hooks in content/selectors.js still match saved
+// Twitch pages (tools/fixtures/).
 // Redesign safety gate: run via `npm run audit:dom`.
 import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
 
 const pairs = [
   ['popup.js', 'popup.html'],
@@ -23,4 +26,46 @@ for (const [jsFile, htmlFile] of pairs) {
     console.log(`${htmlFile}: all ${ids.size} JS-referenced IDs present`);
   }
 }
+
+// Twitch page hooks. Each fixture lists the hook groups it must match; every
+// other group must not match it, and every single selector must match some
+// fixture (a selector no saved page has is dead weight or already broken).
+const fixtures = {
+  'tools/fixtures/twitch-channel-live.html': ['live'],
+  'tools/fixtures/twitch-channel-offline.html': ['offline'],
+  'tools/fixtures/twitch-channel-raid.html': ['live', 'raid'],
+  'tools/fixtures/twitch-channel-chat.html': ['live', 'chatInput', 'clipEditor'],
+};
+
+// Hooks are single attribute or class selectors (see content/selectors.js).
+function pageHas(html, selector) {
+  const attr = selector.match(/^\[([\w-]+)="([^"]*)"\]$/);
+  if (attr) return html.includes(`${attr[1]}="${attr[2]}"`);
+  const cls = selector.match(/^\.([\w-]+)$/);
+  if (cls) return [...html.matchAll(/class="([^"]*)"/g)].some((m) => m[1].split(/\s+/).includes(cls[1]));
+  return null;
+}
+
+const selectors = vm.runInNewContext(`${readFileSync('content/selectors.js', 'utf8')}\nTSR_SELECTORS`);
+const pages = Object.entries(fixtures).map(([file, expected]) => ({ file, expected, html: readFileSync(file, 'utf8') }));
+const problems = [];
+for (const [group, list] of Object.entries(selectors)) {
+  for (const selector of list) {
+    const hits = pages.map((page) => pageHas(page.html, selector));
+    if (hits.includes(null)) problems.push(`${group}: unsupported selector form ${selector}`);
+    else if (!hits.some(Boolean)) problems.push(`${group}: ${selector} matches no fixture`);
+  }
+  for (const page of pages) {
+    const matched = list.some((selector) => pageHas(page.html, selector));
+    if (matched !== page.expected.includes(group)) {
+      problems.push(`${page.file}: "${group}" hooks ${matched ? 'match' : 'do not match'}`);
+    }
+  }
+}
+if (problems.length > 0) {
+  console.error('content/selectors.js vs Twitch fixtures:\n  ' + problems.join('\n  '));
+  failed = true;
+} else {
+  console.log(`content/selectors.js: ${Object.keys(selectors).length} hook groups match ${pages.length} Twitch fixtures`);
+}
 process.exit(failed ? 1 : 0);
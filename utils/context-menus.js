@@ -0,0 +1,68 @@
+/**
+ * Right-click menus: "Add to Stream Swapper" on Twitch links/pages, and
+ * quick toggles on the toolbar icon. Pure module so the menu definitions and
+ * click parsing are unit-testable; background.js creates and handles them.
+ */
+
+import { getChannelFromTwitchUrl } from './twitch-url.js';
+
+export const CONTEXT_MENU_IDS = Object.freeze({
+  ADD_LINK: 'tsr-add-link',
+  ADD_LINK_TOP: 'tsr-add-link-top',
+  ADD_PAGE: 'tsr-add-page',
+  ADD_PAGE_TOP: 'tsr-add-page-top',
+  AUTOSWAP: 'tsr-toggle-autoswap',
+  NOTIFICATIONS: 'tsr-toggle-notifications',
+  FALLBACK: 'tsr-toggle-fallback',
+});
+
+const TWITCH_PATTERNS = ['*://twitch.tv/*', '*://*.twitch.tv/*'];
+
+/**
+ * Checkbox state of the icon menu toggles.
+ * @param {Object} settings - effective settings (profile overrides applied)
+ * @returns {Object<string, boolean>} menu id -> checked
+ */
+export function toggleMenuState(settings) {
+  return {
+    [CONTEXT_MENU_IDS.AUTOSWAP]: !!settings?.redirectEnabled,
+    [CONTEXT_MENU_IDS.NOTIFICATIONS]: settings?.notificationsEnabled !== false,
+    [CONTEXT_MENU_IDS.FALLBACK]: !!String(settings?.fallbackCategory || '').trim(),
+  };
+}
+
+/**
+ * `chrome.contextMenus.create` properties for every item.
+ * @param {Object} settings - effective settings, for the checkbox state
+ * @returns {Array<Object>}
+ */
+export function buildContextMenus(settings) {
+  const checked = toggleMenuState(settings);
+  const toggle = (id, title) => ({ id, title, type: 'checkbox', checked: checked[id], contexts: ['action'] });
+  return [
+    { id: CONTEXT_MENU_IDS.ADD_LINK, title: 'Add to Stream Swapper', contexts: ['link'], targetUrlPatterns: TWITCH_PATTERNS },
+    { id: CONTEXT_MENU_IDS.ADD_LINK_TOP, title: 'Add as top priority', contexts: ['link'], targetUrlPatterns: TWITCH_PATTERNS },
+    { id: CONTEXT_MENU_IDS.ADD_PAGE, title: 'Add to Stream Swapper', contexts: ['page'], documentUrlPatterns: TWITCH_PATTERNS },
+    { id: CONTEXT_MENU_IDS.ADD_PAGE_TOP, title: 'Add as top priority', contexts: ['page'], documentUrlPatterns: TWITCH_PATTERNS },
+    toggle(CONTEXT_MENU_IDS.AUTOSWAP, 'Auto-Swap'),
+    toggle(CONTEXT_MENU_IDS.NOTIFICATIONS, 'Notifications'),
+    toggle(CONTEXT_MENU_IDS.FALLBACK, 'Category fallback'),
+  ];
+}
+
+/**
+ * What an "Add" click asks for.
+ * @param {{menuItemId: string, linkUrl?: string, pageUrl?: string}} info - contextMenus.onClicked info
+ * @returns {{channel: string|null, top: boolean}|null} null for items that don't add a channel;
+ *   channel is null when the URL isn't a channel (directory, settings, ...)
+ */
+export function parseAddClick(info) {
+  const { ADD_LINK, ADD_LINK_TOP, ADD_PAGE, ADD_PAGE_TOP } = CONTEXT_MENU_IDS;
+  const id = info?.menuItemId;
+  if (![ADD_LINK, ADD_LINK_TOP, ADD_PAGE, ADD_PAGE_TOP].includes(id)) return null;
+  const url = id === ADD_LINK || id === ADD_LINK_TOP ? info.linkUrl : info.pageUrl;
+  return {
+    channel: getChannelFromTwitchUrl(url || ''),
+    top: id === ADD_LINK_TOP || id === ADD_PAGE_TOP,
+  };
+}
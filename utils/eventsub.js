@@ -0,0 +1,244 @@
+/**
+ * EventSub WebSocket transport — live/offline pushes from Twitch, as an
+ * alternative to waiting for the next `/streams` poll. The socket class takes
+ * the WebSocket constructor as a parameter so tests can drive it with a
+ * stand-in that replays recorded messages; the helpers below it are pure.
+ *
+ * Protocol (https://dev.twitch.tv/docs/eventsub/handling-websocket-events/):
+ * - session_welcome: carries the session id that subscriptions are created
+ *   for (through the token broker, see utils/twitch-api.js).
+ * - session_keepalive: sent when there is nothing else to say; silence past
+ *   the keepalive timeout means the connection is dead.
+ * - session_reconnect: connect to the given URL; subscriptions move over
+ *   once the new connection says welcome, then the old one is closed.
+ * - notification / revocation: events, and subscriptions Twitch dropped.
+ */
+
+// 20s keepalives also keep the MV3 service worker alive (it idles out after 30s).
+export const EVENTSUB_URL = 'wss://eventsub.wss.twitch.tv/ws?keepalive_timeout_seconds=20';
+export const EVENTSUB_TYPES = Object.freeze(['stream.online', 'stream.offline']);
+// /streams lags EventSub by up to a couple of minutes: an event wins over it for this long.
+export const LIVE_EVENT_TTL_MS = 3 * 60 * 1000;
+
+const KEEPALIVE_GRACE_MS = 5000;
+const RECONNECT_DELAYS_MS = [1000, 5000, 15000, 60000];
+const SEEN_MESSAGE_LIMIT = 100;
+
+export class EventSubSocket {
+  /**
+   * @param {Object} opts
+   * @param {(sessionId: string) => (Promise<void>|void)} opts.onWelcome - create subscriptions for a new session
+   * @param {(event: {type: string, login: string, userId: string, startedAt: string|null, at: number}) => void} opts.onEvent
+   * @param {(subscription: Object) => void} [opts.onRevoked]
+   * @param {(connected: boolean) => void} [opts.onStateChange]
+   * @param {string} [opts.url]
+   * @param {Function} [opts.WebSocketImpl] - defaults to the global WebSocket
+   */
+  constructor({ onWelcome, onEvent, onRevoked = () => {}, onStateChange = () => {}, url = EVENTSUB_URL, WebSocketImpl = globalThis.WebSocket }) {
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.onWelcome = onWelcome;
+    this.onEvent = onEvent;
+    this.onRevoked = onRevoked;
+    this.onStateChange = onStateChange;
+    this.socket = null;
+    this.sessionId = null;
+    this.connected = false;
+    this.stopped = true;
+    this.keepaliveMs = 0;
+    this.keepaliveTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.seen = [];
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this._open(this.url, { migrating: false });
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.keepaliveTimer);
+    clearTimeout(this.reconnectTimer);
+    const socket = this.socket;
+    this.socket = null;
+    this.sessionId = null;
+    socket?.close(1000);
+    this._setConnected(false);
+  }
+
+  /**
+   * @param {string} url
+   * @param {{migrating: boolean}} opts - migrating: a session_reconnect, so
+   *   the current socket stays up until the new one is welcomed
+   */
+  _open(url, { migrating }) {
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(url);
+    } catch (error) {
+      console.warn('EventSub connection failed:', error);
+      this._scheduleReconnect();
+      return;
+    }
+    const previous = migrating ? this.socket : null;
+    if (!migrating) this.socket = socket;
+
+    socket.onmessage = (e) => this._handleMessage(socket, e.data, previous);
+    socket.onclose = () => {
+      // Only the current socket's end matters; a migrated-away one is expected to close.
+      if (socket !== this.socket || this.stopped) return;
+      this.socket = null;
+      this.sessionId = null;
+      clearTimeout(this.keepaliveTimer);
+      this._setConnected(false);
+      this._scheduleReconnect();
+    };
+  }
+
+  _handleMessage(socket, raw, previous) {
+    const message = parseEventSubMessage(raw);
+    if (!message) return;
+    // A migrating socket becomes the current one with its welcome.
+    if (socket !== this.socket && message.type !== 'session_welcome') return;
+    this._armKeepalive();
+    if (message.id && this.seen.includes(message.id)) return;
+    if (message.id) this.seen = [...this.seen, message.id].slice(-SEEN_MESSAGE_LIMIT);
+
+    switch (message.type) {
+      case 'session_welcome': {
+        const session = message.payload?.session || {};
+        this.keepaliveMs = (Number(session.keepalive_timeout_seconds) || 10) * 1000;
+        this.sessionId = session.id || null;
+        this.reconnectAttempt = 0;
+        this._armKeepalive();
+        if (previous && socket !== this.socket) {
+          // Reconnect handover: subscriptions came along, nothing to create.
+          this.socket = socket;
+          previous.close(1000);
+          return;
+        }
+        this._setConnected(true);
+        Promise.resolve(this.onWelcome(this.sessionId)).catch((e) => console.warn('EventSub subscribe failed:', e));
+        return;
+      }
+      case 'session_reconnect': {
+        const url = message.payload?.session?.reconnect_url;
+        if (url) this._open(url, { migrating: true });
+        return;
+      }
+      case 'notification': {
+        const event = toLiveEvent(message.payload);
+        if (event) this.onEvent(event);
+        return;
+      }
+      case 'revocation':
+        this.onRevoked(message.payload?.subscription || {});
+        return;
+      default:
+        // session_keepalive: the keepalive timer was re-armed above.
+        return;
+    }
+  }
+
+  _armKeepalive() {
+    clearTimeout(this.keepaliveTimer);
+    if (!this.keepaliveMs || this.stopped) return;
+    this.keepaliveTimer = setTimeout(() => {
+      // Twitch went quiet past its own keepalive promise: treat as dropped.
+      console.warn('EventSub keepalive timed out; reconnecting');
+      this.socket?.onclose?.({ code: 4005 });
+      this.socket?.close(4000);
+    }, this.keepaliveMs + KEEPALIVE_GRACE_MS);
+  }
+
+  _scheduleReconnect() {
+    if (this.stopped) return;
+    clearTimeout(this.reconnectTimer);
+    const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS_MS.length - 1)];
+    this.reconnectAttempt += 1;
+    this.reconnectTimer = setTimeout(() => this._open(this.url, { migrating: false }), delay);
+  }
+
+  _setConnected(connected) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    this.onStateChange(connected);
+  }
+}
+
+/**
+ * @param {string} raw - WebSocket frame
+ * @returns {{id: string|null, type: string, payload: Object}|null} null for frames that aren't EventSub messages
+ */
+export function parseEventSubMessage(raw) {
+  try {
+    const data = JSON.parse(raw);
+    const type = data?.metadata?.message_type;
+    if (!type) return null;
+    return { id: data.metadata.message_id || null, type, payload: data.payload || {} };
+  } catch {
+    return null;
+  }
+}
+
+function toLiveEvent(payload) {
+  const type = payload?.subscription?.type;
+  const event = payload?.event;
+  if (!EVENTSUB_TYPES.includes(type) || !event?.broadcaster_user_login) return null;
+  return {
+    type,
+    login: String(event.broadcaster_user_login).toLowerCase(),
+    userId: String(event.broadcaster_user_id || ''),
+    startedAt: event.started_at || null,
+    at: Date.now(),
+  };
+}
+
+/**
+ * Apply recent EventSub events over a `/streams` result.
+ * @param {Object<string, Object|null>} statuses - checkStreamsStatus() output
+ * @param {Object<string, {type: string, startedAt: string|null, at: number}>} events - latest event per login
+ * @param {number} [now]
+ * @returns {Object<string, Object|null>} new map; channels only EventSub
+ *   knows are live get a minimal stream record until /streams catches up
+ */
+export function applyLiveEvents(statuses, events, now = Date.now()) {
+  const out = { ...statuses };
+  for (const [login, event] of Object.entries(events || {})) {
+    if (!(login in out) || now - event.at > LIVE_EVENT_TTL_MS) continue;
+    if (event.type === 'stream.offline') {
+      out[login] = null;
+    } else if (!out[login]) {
+      out[login] = {
+        user_login: login,
+        user_name: login,
+        type: 'live',
+        title: '',
+        game_name: '',
+        viewer_count: 0,
+        started_at: event.startedAt,
+      };
+    }
+  }
+  return out;
+}
+
+/**
+ * What to change so the subscriptions cover exactly `wanted`.
+ * @param {Object<string, string[]>} current - login -> subscription ids
+ * @param {string[]} wanted - logins
+ * @returns {{add: string[], remove: Array<{login: string, ids: string[]}>}}
+ */
+export function diffSubscriptions(current, wanted) {
+  const want = new Set((wanted || []).map((l) => String(l).toLowerCase()));
+  const have = current || {};
+  return {
+    add: [...want].filter((login) => !have[login]),
+    remove: Object.entries(have)
+      .filter(([login]) => !want.has(login))
+      .map(([login, ids]) => ({ login, ids })),
+  };
+}
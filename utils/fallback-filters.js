@@ -0,0 +1,114 @@
+/**
+ * Category fallback filters — narrow a category's live streams before the
+ * random pick: stream language, viewer range, mature flag, content
+ * classification labels and a channel blocklist. Pure module so the
+ * filtering is unit-testable; twitchAPI.getRandomStreamFromCategory applies it.
+ *
+ * Stored as `settings.fallbackFilters`:
+ * `{ languages: string[], minViewers, maxViewers, excludeMature, blockedLabels: string[], blockedChannels: string[], preferSmaller }`
+ * (empty lists and 0 viewer bounds mean "no filter"; `preferSmaller` weights
+ * the pick itself, see utils/fallback-pool.js).
+ */
+
+// Helix content classification label ids -> what the popup shows.
+export const CONTENT_LABELS = Object.freeze({
+  DebatedSocialIssuesAndPolitics: 'Politics and sensitive social issues',
+  DrugsIntoxication: 'Drugs, intoxication or excessive tobacco use',
+  Gambling: 'Gambling',
+  ProfanityVulgarity: 'Significant profanity or vulgarity',
+  SexualThemes: 'Sexual themes',
+  ViolentGraphic: 'Violent and graphic depictions',
+  MatureGame: 'Mature-rated game',
+});
+
+export const DEFAULT_FALLBACK_FILTERS = Object.freeze({
+  languages: [],
+  minViewers: 0,
+  maxViewers: 0,
+  excludeMature: false,
+  blockedLabels: [],
+  blockedChannels: [],
+  preferSmaller: false,
+});
+
+function toLowerList(value, pattern) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(list.map((v) => String(v || '').trim().toLowerCase()).filter((v) => pattern.test(v)))];
+}
+
+function toCount(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * @param {Object|null|undefined} filters
+ * @returns {{languages: string[], minViewers: number, maxViewers: number, excludeMature: boolean, blockedLabels: string[], blockedChannels: string[], preferSmaller: boolean}}
+ */
+export function normalizeFallbackFilters(filters) {
+  const f = filters && typeof filters === 'object' ? filters : {};
+  const minViewers = toCount(f.minViewers);
+  let maxViewers = toCount(f.maxViewers);
+  if (maxViewers && maxViewers < minViewers) maxViewers = minViewers;
+  return {
+    // Helix stream languages: ISO 639-1 codes, or "other".
+    languages: toLowerList(f.languages, /^([a-z]{2}|other)$/),
+    minViewers,
+    maxViewers,
+    excludeMature: !!f.excludeMature,
+    blockedLabels: (Array.isArray(f.blockedLabels) ? f.blockedLabels : [])
+      .filter((id) => Object.hasOwn(CONTENT_LABELS, id)),
+    blockedChannels: toLowerList(f.blockedChannels, /^[a-z0-9_]{1,25}$/),
+    preferSmaller: !!f.preferSmaller,
+  };
+}
+
+/**
+ * @param {Object|null|undefined} filters
+ * @returns {number} how many filters (and the smaller-channel weighting) are set, for the popup summary
+ */
+export function countFallbackFilters(filters) {
+  const f = normalizeFallbackFilters(filters);
+  return [
+    f.languages.length > 0,
+    f.minViewers > 0 || f.maxViewers > 0,
+    f.excludeMature,
+    f.blockedLabels.length > 0,
+    f.blockedChannels.length > 0,
+    f.preferSmaller,
+  ].filter(Boolean).length;
+}
+
+/**
+ * @param {Object|null|undefined} filters
+ * @returns {boolean} true if filtering needs channel labels (a /channels lookup)
+ */
+export function needsContentLabels(filters) {
+  return normalizeFallbackFilters(filters).blockedLabels.length > 0;
+}
+
+/**
+ * @param {Array<Object>} streams - Helix /streams entries
+ * @param {Object|null|undefined} filters
+ * @param {{labelsByUserId?: Object<string, string[]>|null}} [opts] - required when labels are blocked;
+ *   channels missing from it are dropped, since they can't be vetted
+ * @returns {Array<Object>} streams that pass every filter
+ */
+export function filterFallbackStreams(streams, filters, { labelsByUserId = null } = {}) {
+  const f = normalizeFallbackFilters(filters);
+  const blocked = new Set(f.blockedChannels);
+  return (Array.isArray(streams) ? streams : []).filter((s) => {
+    if (!s?.user_login || blocked.has(String(s.user_login).toLowerCase())) return false;
+    if (f.languages.length > 0 && !f.languages.includes(String(s.language || '').toLowerCase())) return false;
+    const viewers = Number(s.viewer_count) || 0;
+    if (viewers < f.minViewers) return false;
+    if (f.maxViewers && viewers > f.maxViewers) return false;
+    if (f.excludeMature && s.is_mature) return false;
+    if (f.blockedLabels.length > 0) {
+      const labels = labelsByUserId?.[s.user_id];
+      if (!labels) return false;
+      if (labels.some((id) => f.blockedLabels.includes(id))) return false;
+    }
+    return true;
+  });
+}
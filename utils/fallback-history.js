@@ -0,0 +1,62 @@
+/**
+ * Fallback skip history — channels the category fallback showed recently,
+ * or the user rerolled away from ("New random"), kept out of the next picks
+ * for a while so the same streamer doesn't come straight back. Pure module
+ * so the window logic is unit-testable; background.js keeps the entries in
+ * `runtime.fallbackHistory.entries`.
+ *
+ * Entries: `[{ username, at, skipped }]`, oldest first. A skipped channel
+ * stays out twice as long as one that was only shown. "Never show" is not
+ * history: it goes to the persistent blocklist, `fallbackFilters.blockedChannels`.
+ */
+
+// Settings choices for `fallbackSkipMinutes` (0 = off).
+export const FALLBACK_SKIP_MINUTES = Object.freeze([0, 30, 60, 180, 720]);
+export const DEFAULT_FALLBACK_SKIP_MINUTES = 60;
+
+const MAX_ENTRIES = 100;
+
+/**
+ * @param {*} minutes - settings.fallbackSkipMinutes
+ * @returns {number} one of FALLBACK_SKIP_MINUTES
+ */
+export function normalizeFallbackSkipMinutes(minutes) {
+  const n = Number(minutes);
+  return FALLBACK_SKIP_MINUTES.includes(n) ? n : DEFAULT_FALLBACK_SKIP_MINUTES;
+}
+
+function windowMs(entry, minutes) {
+  return minutes * 60000 * (entry.skipped ? 2 : 1);
+}
+
+/**
+ * @param {Array} entries
+ * @param {string} username
+ * @param {{skipped?: boolean, minutes?: number, now?: number}} [opts] - minutes: the skip window, for pruning
+ * @returns {Array} new entries, with expired ones dropped
+ */
+export function recordFallbackChannel(entries, username, { skipped = false, minutes = DEFAULT_FALLBACK_SKIP_MINUTES, now = Date.now() } = {}) {
+  const login = String(username || '').trim().toLowerCase();
+  const list = (Array.isArray(entries) ? entries : [])
+    .filter((e) => e?.username && now - e.at < windowMs(e, minutes));
+  if (!login) return list.slice(-MAX_ENTRIES);
+  const previous = list.find((e) => e.username === login);
+  return [
+    ...list.filter((e) => e.username !== login),
+    // Shown again after a skip: still a skip.
+    { username: login, at: now, skipped: skipped || !!previous?.skipped },
+  ].slice(-MAX_ENTRIES);
+}
+
+/**
+ * @param {Array} entries
+ * @param {number} minutes - the skip window (0 = off)
+ * @param {number} [now]
+ * @returns {string[]} logins to leave out of the next pick
+ */
+export function excludedFallbackChannels(entries, minutes, now = Date.now()) {
+  if (!(minutes > 0)) return [];
+  return (Array.isArray(entries) ? entries : [])
+    .filter((e) => e?.username && now - e.at < windowMs(e, minutes))
+    .map((e) => e.username);
+}
@@ -2,7 +2,135 @@
  * Fallback mode helpers (pure functions).
  *
  * We intentionally keep these helpers independent from Chrome APIs so we can unit test them.
+ *
+ * A slot can fall back to a weighted list of categories,
+ * `fallbackCategories: [{ name, weight, start?, end? }]` (start/end: optional
+ * local "HH:MM" window). `fallbackCategory` stays the on/off switch and the
+ * single-category setting: the list applies while it names one of its
+ * entries (see resolveFallbackCategories), so profile overrides, the popup
+ * and the context menu toggle keep working on the string.
+ */
+
+import { isWithinDailyWindow } from './quiet-hours.js';
+
+const MAX_FALLBACK_CATEGORIES = 10;
+const HHMM_RE = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * A typed category name as stored: control characters dropped, trimmed.
+ * @param {*} value
+ * @returns {string}
+ */
+export function sanitizeCategoryName(value) {
+  return Array.from(String(value ?? ''))
+    .filter((ch) => {
+      const code = ch.charCodeAt(0);
+      return code > 0x1f && code !== 0x7f;
+    })
+    .join('')
+    .trim();
+}
+
+/**
+ * @param {Array} list
+ * @returns {Array<{name: string, weight: number, start?: string, end?: string}>}
+ *   unique names (case-insensitive), weight 1-100, window only when both ends are valid
+ */
+export function normalizeFallbackCategories(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const c of list) {
+    const name = sanitizeCategoryName(c?.name).slice(0, 50);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    const weight = Math.round(Number(c?.weight));
+    const entry = { name, weight: Number.isFinite(weight) ? Math.min(Math.max(weight, 1), 100) : 1 };
+    if (HHMM_RE.test(c?.start || '') && HHMM_RE.test(c?.end || '') && c.start !== c.end) {
+      entry.start = c.start;
+      entry.end = c.end;
+    }
+    out.push(entry);
+    if (out.length >= MAX_FALLBACK_CATEGORIES) break;
+  }
+  return out;
+}
+
+/**
+ * The categories a slot falls back to.
+ * @param {string} fallbackCategory - '' = fallback off
+ * @param {Array} fallbackCategories
+ * @returns {Array} the list if it contains `fallbackCategory`, else just that category
+ */
+export function resolveFallbackCategories(fallbackCategory, fallbackCategories) {
+  const name = String(fallbackCategory || '').trim();
+  if (!name) return [];
+  const list = normalizeFallbackCategories(fallbackCategories);
+  return list.some((c) => c.name.toLowerCase() === name.toLowerCase())
+    ? list
+    : [{ name, weight: 1 }];
+}
+
+/**
+ * @param {Array} categories - resolved list
+ * @param {Date} [date]
+ * @returns {Array} entries whose time window (if any) contains `date`
+ */
+export function activeFallbackCategories(categories, date = new Date()) {
+  return (categories || []).filter((c) => !c.start || isWithinDailyWindow(c.start, c.end, date));
+}
+
+/**
+ * Weighted random order: the first entry is the weighted pick, the rest are
+ * the order to try if it has nothing to show.
+ * @param {Array<{name: string, weight: number}>} categories
+ * @param {() => number} [random] - [0, 1)
+ * @returns {Array}
+ */
+export function orderFallbackCategories(categories, random = cryptoRandom) {
+  const pool = [...(categories || [])];
+  const out = [];
+  while (pool.length > 0) {
+    const total = pool.reduce((sum, c) => sum + c.weight, 0);
+    let roll = random() * total;
+    let index = pool.findIndex((c) => (roll -= c.weight) < 0);
+    if (index < 0) index = pool.length - 1;
+    out.push(...pool.splice(index, 1));
+  }
+  return out;
+}
+
+function cryptoRandom() {
+  // CSPRNG, same as getRandomStreamFromCategory (CodeQL: insecure randomness).
+  const a = new Uint32Array(1);
+  globalThis.crypto.getRandomValues(a);
+  return a[0] / 2 ** 32;
+}
+
+/**
+ * Stable key for "the category set changed" (names, weights and windows).
+ * @param {Array} categories - resolved list
+ * @returns {string}
  */
+export function fallbackCategorySetKey(categories) {
+  return (categories || [])
+    .map((c) => `${c.name.toLowerCase()}*${c.weight}${c.start ? `@${c.start}-${c.end}` : ''}`)
+    .join('|');
+}
+
+/**
+ * "Speedrunning 60% · Retro 30% · Just Chatting 10%" for the popup.
+ * @param {Array} categories - resolved list
+ * @returns {string}
+ */
+export function describeFallbackCategories(categories) {
+  const list = categories || [];
+  if (list.length <= 1) return list[0]?.name || '';
+  const total = list.reduce((sum, c) => sum + c.weight, 0);
+  return list
+    .map((c) => `${c.name} ${Math.round((c.weight / total) * 100)}%${c.start ? ` (${c.start}–${c.end})` : ''}`)
+    .join(' · ');
+}
 
 /**
  * Decide whether we should pick a new random stream for category fallback.
@@ -11,14 +139,17 @@
  * - If `force` is true, always reroll.
  * - If we are already in fallback mode and currently watching a channel page,
  *   do NOT reroll on every poll (prevents constant refreshes).
- * - If the configured fallback category changed, reroll.
+ * - If the configured fallback category (or category set) changed, or the
+ *   category being shown is no longer one that may be shown now, reroll.
  *
  * @param {Object} args
  * @param {boolean} args.force
  * @param {boolean} args.isFallbackActive
  * @param {string|null} args.currentChannel - channel name if current page is a channel, else null
  * @param {string|null} args.runtimeCategory - the category that activated fallback (runtime)
- * @param {string|null} args.settingsCategory - the currently configured fallback category (settings)
+ * @param {string|string[]|null} args.settingsCategory - the configured category, or the names allowed right now
+ * @param {string|null} [args.runtimeCategorySet] - fallbackCategorySetKey when fallback was activated
+ * @param {string|null} [args.settingsCategorySet] - fallbackCategorySetKey of the configured list
  * @returns {boolean}
  */
 export function shouldRerollCategoryFallback({
@@ -27,14 +158,22 @@ export function shouldRerollCategoryFallback({
   currentChannel,
   runtimeCategory,
   settingsCategory,
+  runtimeCategorySet = null,
+  settingsCategorySet = null,
 }) {
   if (force) return true;
 
-  const configured = String(settingsCategory || '').trim();
-  const activeCategory = String(runtimeCategory || '').trim();
+  const configured = [].concat(settingsCategory ?? [])
+    .map((c) => String(c || '').trim().toLowerCase())
+    .filter(Boolean);
+  const activeCategory = String(runtimeCategory || '').trim().toLowerCase();
 
   // If the user changed the category, reroll to apply it.
-  if (configured && activeCategory && configured.toLowerCase() !== activeCategory.toLowerCase()) {
+  if (configured.length > 0 && activeCategory && !configured.includes(activeCategory)) {
+    return true;
+  }
+  // Same for an edited category set (weights/windows), once we know what it was.
+  if (runtimeCategorySet != null && settingsCategorySet != null && runtimeCategorySet !== settingsCategorySet) {
     return true;
   }
 
@@ -44,6 +183,3 @@ export function shouldRerollCategoryFallback({
   // Otherwise (e.g. not in fallback, or we navigated to non-channel Twitch pages), allow reroll.
   return true;
 }
-
-
-
@@ -0,0 +1,70 @@
+/**
+ * Category fallback candidate pool — several pages of a category's live
+ * streams, cached per category for a few minutes, so the fallback pick can
+ * reach past the first 100 (always the biggest channels). Pure module so
+ * staleness and the weighted pick are unit-testable; twitchAPI keeps the
+ * pools in memory and fills them with its paginate() helper.
+ *
+ * Pool shape: `{ fetchedAt, streams: Helix /streams entries, labels: { [userId]: string[] } }`
+ * (`labels` fills in lazily when the content label filter needs them).
+ */
+
+export const FALLBACK_POOL = Object.freeze({
+  // Short enough that a picked channel is very likely still live.
+  ttlMs: 5 * 60 * 1000,
+  // 100 streams per page.
+  maxPages: 5,
+});
+
+/**
+ * @param {Array} streams - Helix /streams entries, all pages in order
+ * @param {number} [now]
+ * @returns {{fetchedAt: number, streams: Array, labels: Object}}
+ */
+export function buildFallbackPool(streams, now = Date.now()) {
+  // Viewer counts shift while paging, so a channel can turn up on two pages.
+  const seen = new Set();
+  const out = [];
+  for (const stream of Array.isArray(streams) ? streams : []) {
+    const key = stream?.user_id || stream?.user_login;
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(stream);
+  }
+  return { fetchedAt: now, streams: out, labels: {} };
+}
+
+/**
+ * @param {Object|undefined} pool
+ * @param {number} [now]
+ * @returns {boolean} true when it should be fetched again
+ */
+export function isFallbackPoolStale(pool, now = Date.now()) {
+  return !Number.isFinite(pool?.fetchedAt) || now - pool.fetchedAt >= FALLBACK_POOL.ttlMs;
+}
+
+/**
+ * Random pick. With `preferSmaller`, each stream's chance goes with
+ * 1/sqrt(viewers + 1): a 25-viewer channel is ~6x as likely as a
+ * 1,000-viewer one, without ruling the big ones out.
+ * @param {Array} candidates - Helix /streams entries (already filtered)
+ * @param {{preferSmaller?: boolean, random?: () => number}} [opts] - random: [0, 1)
+ * @returns {Object|null}
+ */
+export function pickFallbackStream(candidates, { preferSmaller = false, random = cryptoRandom } = {}) {
+  const list = Array.isArray(candidates) ? candidates : [];
+  if (list.length === 0) return null;
+  if (!preferSmaller) return list[Math.min(Math.floor(random() * list.length), list.length - 1)];
+
+  const weights = list.map((s) => 1 / Math.sqrt(Math.max(Number(s?.viewer_count) || 0, 0) + 1));
+  let roll = random() * weights.reduce((sum, w) => sum + w, 0);
+  const index = weights.findIndex((w) => (roll -= w) < 0);
+  return list[index < 0 ? list.length - 1 : index];
+}
+
+function cryptoRandom() {
+  // CSPRNG (CodeQL: insecure randomness). MV3 provides Web Crypto; Node 20 does too.
+  const a = new Uint32Array(1);
+  globalThis.crypto.getRandomValues(a);
+  return a[0] / 2 ** 32;
+}
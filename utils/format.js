@@ -36,3 +36,18 @@ export function formatUptime(startedAtIso, now = new Date()) {
   const minutes = totalMinutes % 60;
   return hours === 0 ? `${minutes}m` : `${hours}h ${minutes}m`;
 }
+
+/**
+ * Time remaining -> "45s" / "3m" / "1h 5m" (minutes round up). Invalid or past -> "".
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  if (typeof ms !== 'number' || !Number.isFinite(ms) || ms <= 0) return '';
+  if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+  const totalMinutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
@@ -0,0 +1,110 @@
+/**
+ * Interaction hold — don't pull the managed tab away while the user is using
+ * it. content/interaction-watcher.js reports what the page is doing (chat
+ * input focused, typing in chat, fullscreen, clip editor open); a switch
+ * waits until none of that has happened for the quiet time. Pure module so
+ * the hold is unit-testable; background.js keeps the latest report in the
+ * slot's `runtime.interaction` and folds the hold into evaluateSwitchHold.
+ *
+ * The hold only delays preempting a stream that is still live (leaving an
+ * ended stream never waits) and gives up after INTERACTION_MAX_HOLD_MS, so a
+ * tab left fullscreen or with chat focused still switches eventually.
+ *
+ * Setting: `settings.interactionQuietSeconds`, one of INTERACTION_QUIET_SECONDS (0 = off, the default).
+ */
+
+export const INTERACTION_QUIET_SECONDS = Object.freeze([0, 15, 30, 60, 120]);
+export const DEFAULT_INTERACTION_QUIET_SECONDS = 0;
+
+// Signal names as reported by the content script, with their wording.
+export const INTERACTION_SIGNALS = Object.freeze({
+  chat: 'chatting',
+  fullscreen: 'watching fullscreen',
+  clip: 'making a clip',
+});
+
+// The watcher re-reports every minute while a signal holds; a report older
+// than this is from a page that went away without saying so.
+export const INTERACTION_STALE_MS = 3 * 60 * 1000;
+// Longest a single switch waits on the user, however busy the tab stays.
+export const INTERACTION_MAX_HOLD_MS = 10 * 60 * 1000;
+
+/**
+ * @param {*} seconds - settings.interactionQuietSeconds
+ * @returns {number} one of INTERACTION_QUIET_SECONDS
+ */
+export function normalizeInteractionQuietSeconds(seconds) {
+  const n = Number(seconds);
+  return INTERACTION_QUIET_SECONDS.includes(n) ? n : DEFAULT_INTERACTION_QUIET_SECONDS;
+}
+
+/**
+ * @param {Object} message - TSR_INTERACTION payload
+ * @param {number} [now]
+ * @returns {{signals: string[], lastActiveAt: number, reportedAt: number}} the runtime section
+ */
+export function normalizeInteractionReport(message, now = Date.now()) {
+  const signals = (Array.isArray(message?.signals) ? message.signals : [])
+    .filter((s, i, list) => Object.hasOwn(INTERACTION_SIGNALS, s) && list.indexOf(s) === i);
+  const lastActiveAt = Number(message?.lastActiveAt);
+  return {
+    signals,
+    // A page clock ahead of ours must not stretch the hold.
+    lastActiveAt: Number.isFinite(lastActiveAt) && lastActiveAt > 0 ? Math.min(lastActiveAt, now) : 0,
+    reportedAt: now,
+  };
+}
+
+/**
+ * @param {{signals?: string[], lastActiveAt?: number, reportedAt?: number}|null} interaction - runtime section
+ * @param {*} quietSeconds - settings.interactionQuietSeconds
+ * @param {number} [now]
+ * @param {{preempting?: boolean, heldSince?: number|null, countdown?: boolean}} [opts] - preempting: the
+ *   tab's current stream may still be live; heldSince: when this switch was first deferred (see nextPendingSwitch);
+ *   countdown: the switch asks first with the in-page countdown, which shows in fullscreen
+ * @returns {{allowed: boolean, until: number|null, reason: 'interaction'|null, signals: string[]}}
+ */
+export function evaluateInteractionHold(interaction, quietSeconds, now = Date.now(), {
+  preempting = true,
+  heldSince = null,
+  countdown = false,
+} = {}) {
+  const quietMs = normalizeInteractionQuietSeconds(quietSeconds) * 1000;
+  const free = { allowed: true, until: null, reason: null, signals: [] };
+  if (!quietMs || !preempting || !interaction || !(now - Number(interaction.reportedAt) < INTERACTION_STALE_MS)) return free;
+  const deadline = (Number(heldSince) || now) + INTERACTION_MAX_HOLD_MS;
+  if (deadline <= now) return free;
+
+  const signals = Array.isArray(interaction.signals) ? interaction.signals : [];
+  // Fullscreen is the case the countdown is for: let it ask instead of waiting.
+  if (countdown && signals.length > 0 && signals.every((s) => s === 'fullscreen')) return free;
+  // A held signal has no end time yet: look again one quiet period from now.
+  const until = signals.length > 0 ? now + quietMs : Number(interaction.lastActiveAt) + quietMs;
+  if (!(until > now)) return free;
+  return { allowed: false, until: Math.min(until, deadline), reason: 'interaction', signals };
+}
+
+/**
+ * The slot's `runtime.switching.pending` record for a deferred switch.
+ * `since` is when this switch was first deferred for any reason, so a hold
+ * that alternates between hysteresis and the user still ends
+ * INTERACTION_MAX_HOLD_MS after the switch started waiting.
+ * @param {{username?: string, since?: number}|null} prev - the current pending record
+ * @param {string} username
+ * @param {{until: number|null, reason: string|null}} hold
+ * @param {number} [now]
+ * @returns {{username: string, until: number|null, reason: string|null, since: number}}
+ */
+export function nextPendingSwitch(prev, username, hold, now = Date.now()) {
+  const since = prev?.username === username && Number(prev.since) > 0 ? prev.since : now;
+  return { username, until: hold.until, reason: hold.reason, since };
+}
+
+/**
+ * @param {string[]} signals
+ * @returns {string} e.g. "chatting, watching fullscreen"; "using the tab" when none is held
+ */
+export function describeInteraction(signals) {
+  const words = (Array.isArray(signals) ? signals : []).map((s) => INTERACTION_SIGNALS[s]).filter(Boolean);
+  return words.length > 0 ? words.join(', ') : 'using the tab';
+}
@@ -0,0 +1,131 @@
+/**
+ * Event journal — an append-only record of what Auto-Swap saw and did
+ * (channels going live/offline, switches, fallback rerolls, raids, prompt
+ * answers, failed polls), so "why did my tab change at 2am?" has an answer.
+ * Pure module so trimming, filtering and wording are unit-testable.
+ *
+ * Stored oldest-first under the `journal` key as
+ * `[{ at, type, channel?, from?, slotId?, reason?, detail? }]`.
+ */
+
+export const JOURNAL_EVENTS = Object.freeze({
+  LIVE: 'live',
+  OFFLINE: 'offline',
+  SWITCH: 'switch',
+  FALLBACK: 'fallback',
+  VOD: 'vod',
+  BACK: 'back',
+  RAID: 'raid',
+  PROMPT_ACCEPTED: 'prompt-accepted',
+  PROMPT_DECLINED: 'prompt-declined',
+  POLL_FAILED: 'poll-failed',
+});
+
+export const JOURNAL_LIMITS = Object.freeze({
+  maxEntries: 500,
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+});
+
+// History view filter groups (options page) -> event types.
+export const JOURNAL_FILTERS = Object.freeze({
+  all: null,
+  switches: [JOURNAL_EVENTS.SWITCH, JOURNAL_EVENTS.FALLBACK, JOURNAL_EVENTS.VOD, JOURNAL_EVENTS.BACK, JOURNAL_EVENTS.RAID],
+  status: [JOURNAL_EVENTS.LIVE, JOURNAL_EVENTS.OFFLINE],
+  prompts: [JOURNAL_EVENTS.PROMPT_ACCEPTED, JOURNAL_EVENTS.PROMPT_DECLINED],
+  errors: [JOURNAL_EVENTS.POLL_FAILED],
+});
+
+const SWITCH_REASONS = {
+  'higher-priority': 'a higher-priority channel went live',
+  'current-offline': 'the current stream ended',
+  'no-channel': 'the tab was not on a channel',
+  prompt: 'you accepted the prompt',
+  auto: 'nobody on the list was live',
+  manual: 'you asked for another one',
+  omnibox: 'you asked for it in the address bar',
+};
+
+// Raid entries: `reason` is the raid policy (utils/raid-policy.js) that handled it.
+const RAID_OUTCOMES = {
+  stay: 'staying',
+  add: 'added to the list until it ends',
+  ignore: 'ignored',
+};
+
+/**
+ * Drop entries past the age cap, then the oldest past the size cap.
+ * @param {Array} entries - oldest first
+ * @param {{now?: number, limits?: {maxEntries: number, maxAgeMs: number}}} [opts]
+ * @returns {Array}
+ */
+export function trimJournal(entries, { now = Date.now(), limits = JOURNAL_LIMITS } = {}) {
+  const list = Array.isArray(entries) ? entries : [];
+  const fresh = list.filter((e) => Number.isFinite(e?.at) && now - e.at <= limits.maxAgeMs);
+  return fresh.slice(Math.max(0, fresh.length - limits.maxEntries));
+}
+
+/**
+ * @param {Array} entries - oldest first
+ * @param {{type: string, channel?: string, from?: string, slotId?: string, reason?: string, detail?: string}} event
+ * @param {{now?: number, limits?: Object}} [opts]
+ * @returns {Array} new journal with the event appended and caps applied
+ */
+export function appendJournalEntry(entries, event, { now = Date.now(), limits = JOURNAL_LIMITS } = {}) {
+  const entry = { at: now, type: String(event?.type || '') };
+  for (const key of ['channel', 'from', 'slotId', 'reason', 'detail']) {
+    if (event?.[key] != null && event[key] !== '') entry[key] = String(event[key]);
+  }
+  return trimJournal([...(Array.isArray(entries) ? entries : []), entry], { now, limits });
+}
+
+/**
+ * @param {Array} entries
+ * @param {{filter?: string, channel?: string}} [opts] - filter is a JOURNAL_FILTERS key
+ * @returns {Array} matching entries, newest first
+ */
+export function filterJournal(entries, { filter = 'all', channel = '' } = {}) {
+  const types = JOURNAL_FILTERS[filter] || null;
+  const needle = String(channel || '').trim().toLowerCase();
+  return (Array.isArray(entries) ? entries : [])
+    .filter((e) => !types || types.includes(e.type))
+    .filter((e) => !needle || [e.channel, e.from].some((c) => c && c.includes(needle)))
+    .reverse();
+}
+
+/**
+ * One-line, human-readable description of an entry.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function describeJournalEntry(entry) {
+  const because = SWITCH_REASONS[entry.reason] ? ` because ${SWITCH_REASONS[entry.reason]}` : '';
+  switch (entry.type) {
+    case JOURNAL_EVENTS.LIVE:
+      return `${entry.channel} went live${entry.detail ? ` (${entry.detail})` : ''}`;
+    case JOURNAL_EVENTS.OFFLINE:
+      return `${entry.channel} went offline`;
+    case JOURNAL_EVENTS.SWITCH:
+      return `Switched ${entry.from ? `from ${entry.from} ` : ''}to ${entry.channel}${because}`;
+    case JOURNAL_EVENTS.FALLBACK:
+      return `Category fallback picked ${entry.channel}${entry.detail ? ` in ${entry.detail}` : ''}${because}`;
+    case JOURNAL_EVENTS.VOD:
+      return `VOD fallback played a video of ${entry.channel}${entry.detail ? ` ("${entry.detail}")` : ''}${because}`;
+    case JOURNAL_EVENTS.BACK:
+      return `You went back ${entry.from ? `from ${entry.from} ` : ''}to ${entry.channel}; Auto-Swap paused`;
+    case JOURNAL_EVENTS.RAID: {
+      const outcome = RAID_OUTCOMES[entry.reason] ? `; ${RAID_OUTCOMES[entry.reason]}${entry.detail ? ` ${entry.detail}` : ''}` : '';
+      return `${entry.from ? `${entry.from} raided` : 'Raided into'} ${entry.channel}${outcome}`;
+    }
+    case JOURNAL_EVENTS.PROMPT_ACCEPTED:
+      // reason 'timeout': the in-page countdown ran out (utils/switch-countdown.js).
+      return entry.reason === 'timeout'
+        ? `The countdown to ${entry.channel} ran out`
+        : `You accepted switching to ${entry.channel}`;
+    case JOURNAL_EVENTS.PROMPT_DECLINED:
+      return `You declined switching to ${entry.channel}${entry.reason === 'snooze' ? ' and snoozed switching' : ''}`;
+    case JOURNAL_EVENTS.POLL_FAILED:
+      return `Checking channels failed (${entry.reason || 'UNKNOWN'})${entry.detail ? `: ${entry.detail}` : ''}`;
+    default:
+      return entry.type;
+  }
+}
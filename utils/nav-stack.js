@@ -0,0 +1,61 @@
+/**
+ * Back stack — the channels a managed tab was on before Auto-Swap or a
+ * fallback reroll navigated it away, so the user can go back. Pure module so
+ * the stack rules are unit-testable.
+ *
+ * Persisted per slot as `runtime.navigation: { stack, suspendedUntil }`
+ * (stack oldest first). Going back suspends Auto-Swap for that tab until
+ * `suspendedUntil` so the next poll doesn't bounce straight off again.
+ */
+
+export const NAV_STACK_LIMIT = 5;
+export const BACK_SUSPEND_MS = 15 * 60 * 1000;
+
+/**
+ * @param {string[]} stack
+ * @param {string|null} channel - channel the tab is leaving
+ * @param {number} [limit]
+ * @returns {string[]} stack with `channel` on top (moved there if it was already in it)
+ */
+export function pushNavStack(stack, channel, limit = NAV_STACK_LIMIT) {
+  const list = (Array.isArray(stack) ? stack : []).filter((c) => c && c !== channel);
+  if (channel) list.push(channel);
+  return list.slice(Math.max(0, list.length - limit));
+}
+
+/**
+ * @param {string[]} stack
+ * @param {string|null} current - channel the tab is on now
+ * @returns {string|null} where "Back" would go
+ */
+export function peekNavStack(stack, current) {
+  const list = Array.isArray(stack) ? stack : [];
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i] && list[i] !== current) return list[i];
+  }
+  return null;
+}
+
+/**
+ * @param {string[]} stack
+ * @param {string|null} current
+ * @returns {{channel: string|null, stack: string[]}} the back target and the stack without it
+ *   (entries for the current channel above it are dropped too)
+ */
+export function popNavStack(stack, current) {
+  const list = Array.isArray(stack) ? [...stack] : [];
+  while (list.length > 0) {
+    const channel = list.pop();
+    if (channel && channel !== current) return { channel, stack: list };
+  }
+  return { channel: null, stack: [] };
+}
+
+/**
+ * @param {{suspendedUntil?: number}|null|undefined} navigation
+ * @param {number} [now]
+ * @returns {boolean} true while Auto-Swap is paused after going back
+ */
+export function isNavSuspended(navigation, now = Date.now()) {
+  return Number(navigation?.suspendedUntil) > now;
+}
@@ -95,6 +95,45 @@ class NotificationManager {
     }
   }
 
+  /**
+   * Show notification shortly before a scheduled stream (utils/stream-schedule.js)
+   * @param {string} username - Streamer username
+   * @param {{start: number, title?: string, category?: string|null}} segment - schedule segment
+   */
+  async notifyStartingSoon(username, segment) {
+    if (!chrome.notifications) {
+      console.warn('Notifications API not available');
+      return;
+    }
+
+    try {
+      const notificationId = `stream-soon-${username}-${Date.now()}`;
+      const left = segment.start - Date.now();
+      const time = new Date(segment.start).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+
+      await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: 'icons/icon-128.png',
+        // A poll can land just after the start (stream-schedule.js STARTING_SOON_GRACE_MS).
+        title: left > 0 ? `${username} starts in ${Math.max(1, Math.round(left / 60000))} min` : `${username} is scheduled now`,
+        message: segment.title || `Scheduled for ${time}`,
+        contextMessage: [segment.category, `Scheduled ${time}`].filter(Boolean).join(' · '),
+        requireInteraction: false
+      });
+
+      const clickHandler = (id) => {
+        if (id === notificationId) {
+          chrome.tabs.create({ url: `https://www.twitch.tv/${username}` });
+          chrome.notifications.clear(id);
+          chrome.notifications.onClicked.removeListener(clickHandler);
+        }
+      };
+      chrome.notifications.onClicked.addListener(clickHandler);
+    } catch (error) {
+      console.error('Error showing notification:', error);
+    }
+  }
+
   /**
    * Clear all notifications
    */
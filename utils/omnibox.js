@@ -0,0 +1,94 @@
+/**
+ * Omnibox keyword (`tss`) — parse what was typed after the keyword and build
+ * address-bar suggestions from the stream list. Pure module so parsing and
+ * suggestions are unit-testable; background.js runs the commands.
+ *
+ *   tss add xqcow   add a channel to the main list
+ *   tss go shroud   send the managed tab to a channel
+ *   tss on | off    turn Auto-Swap on/off
+ *   tss reroll      pick a new random fallback stream
+ *   tss shroud      shorthand for "go"
+ */
+
+export const OMNIBOX_COMMANDS = Object.freeze({
+  add: 'Add a channel to your list',
+  go: 'Watch a channel in the managed tab',
+  on: 'Turn Auto-Swap on',
+  off: 'Turn Auto-Swap off',
+  reroll: 'Pick a new random fallback stream',
+});
+
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * @param {string} text - omnibox input after the keyword
+ * @returns {{command: string|null, arg: string}} command is null for empty input
+ */
+export function parseOmniboxInput(text) {
+  const [first = '', ...rest] = String(text || '').trim().split(/\s+/);
+  const word = first.toLowerCase();
+  if (!word) return { command: null, arg: '' };
+  if (Object.hasOwn(OMNIBOX_COMMANDS, word)) {
+    return { command: word, arg: rest.join(' ').toLowerCase() };
+  }
+  // A bare channel name means "go".
+  return { command: 'go', arg: word };
+}
+
+// Omnibox descriptions are XML: escape user data.
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]
+  ));
+}
+
+function describeStream(stream) {
+  const name = `<match>${escapeXml(stream.username)}</match>`;
+  if (!stream.isLive) return `${name} <dim>offline</dim>`;
+  const game = stream.streamData?.game_name ? ` — ${escapeXml(stream.streamData.game_name)}` : '';
+  return `${name} <url>LIVE</url>${game}`;
+}
+
+/**
+ * @param {string} text - omnibox input after the keyword
+ * @param {Array<{username: string, isLive?: boolean, streamData?: Object}>} streams - live state as of the last poll
+ * @returns {Array<{content: string, description: string}>}
+ */
+export function buildOmniboxSuggestions(text, streams) {
+  const { command, arg } = parseOmniboxInput(text);
+  const list = Array.isArray(streams) ? streams : [];
+  const typedCommand = String(text || '').trim().split(/\s+/)[0]?.toLowerCase() || '';
+
+  // Still typing the first word: offer matching commands and channels.
+  if (!/\s/.test(String(text || '').trimStart()) || command === null) {
+    const commands = Object.entries(OMNIBOX_COMMANDS)
+      .filter(([name]) => name.startsWith(typedCommand) && name !== typedCommand)
+      .map(([name, help]) => ({ content: `${name} `, description: `<match>${name}</match> <dim>${escapeXml(help)}</dim>` }));
+    const channels = list
+      .filter((s) => s.username.startsWith(typedCommand))
+      .sort((a, b) => Number(!!b.isLive) - Number(!!a.isLive))
+      .map((s) => ({ content: `go ${s.username}`, description: `Watch ${describeStream(s)}` }));
+    return [...commands, ...channels].slice(0, MAX_SUGGESTIONS);
+  }
+
+  if (command === 'go') {
+    return list
+      .filter((s) => s.username.startsWith(arg))
+      // Live channels first: those are the ones worth switching to.
+      .sort((a, b) => Number(!!b.isLive) - Number(!!a.isLive))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((s) => ({ content: `go ${s.username}`, description: `Watch ${describeStream(s)}` }));
+  }
+
+  if (command === 'add' && arg) {
+    const exists = list.some((s) => s.username === arg);
+    return [{
+      content: `add ${arg}`,
+      description: exists
+        ? `<match>${escapeXml(arg)}</match> <dim>is already in your list</dim>`
+        : `Add <match>${escapeXml(arg)}</match> to your list`,
+    }];
+  }
+
+  return [];
+}
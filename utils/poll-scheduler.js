@@ -0,0 +1,122 @@
+/**
+ * Adaptive poll scheduler — how long until the next /streams check, and why.
+ * Checks speed up when a list's top channel is offline around the time it
+ * usually goes live, slow down while every list's top channel is already
+ * live (nothing on the list can preempt it), and back off further during
+ * quiet hours or with Auto-Swap off. Pure module so the plan is unit-testable;
+ * background.js arms the alarm and stores the plan as `runtime.nextPoll`
+ * for the popup.
+ */
+
+import { JOURNAL_EVENTS } from './journal.js';
+
+export const POLL_REASONS = Object.freeze({
+  BASE: 'base',
+  EXPECTED_START: 'expected-start',
+  TOP_LIVE: 'top-live',
+  QUIET_HOURS: 'quiet-hours',
+  AUTOSWAP_OFF: 'autoswap-off',
+  EVENTSUB: 'eventsub',
+  // Set by background.js while a failed poll waits for its retry alarm.
+  RETRY: 'retry',
+});
+
+export const POLL_LIMITS = Object.freeze({
+  // chrome.alarms floor (Chrome 120+)
+  minMs: 30 * 1000,
+  maxMs: 15 * 60 * 1000,
+  // "Usual start time" matches within this much either side.
+  startWindowMs: 15 * 60 * 1000,
+  // Go-lives on at least this many days of the journal make a usual start.
+  minHistoryDays: 2,
+  fastFactor: 0.5,
+  slowFactor: 3,
+  backoffFactor: 5,
+  // While EventSub pushes every channel's live/offline, polls only refresh details.
+  pushCoveredMs: 5 * 60 * 1000,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REASON_TEXT = {
+  [POLL_REASONS.BASE]: '',
+  [POLL_REASONS.EXPECTED_START]: 'a top channel usually goes live around now',
+  [POLL_REASONS.TOP_LIVE]: 'your top channel is live',
+  [POLL_REASONS.QUIET_HOURS]: 'quiet hours',
+  [POLL_REASONS.AUTOSWAP_OFF]: 'Auto-Swap is off',
+  [POLL_REASONS.EVENTSUB]: 'instant live updates are on',
+  [POLL_REASONS.RETRY]: 'retrying after an error',
+};
+
+/**
+ * Usual start times from the journal's "went live" entries: each one moved
+ * to the same time of day nearest `now`, kept when go-lives on at least
+ * `minHistoryDays` different days land within the start window of it.
+ * @param {Array} journal - oldest first (utils/journal.js)
+ * @param {string} channel
+ * @param {{now?: number, limits?: Object}} [opts]
+ * @returns {number[]} timestamps near `now`
+ */
+export function historyStartTimes(journal, channel, { now = Date.now(), limits = POLL_LIMITS } = {}) {
+  const starts = (Array.isArray(journal) ? journal : [])
+    .filter((e) => e?.type === JOURNAL_EVENTS.LIVE && e.channel === channel && Number.isFinite(e.at))
+    .map((e) => {
+      const shift = Math.round((now - e.at) / DAY_MS);
+      return { at: e.at + shift * DAY_MS, day: Math.round(e.at / DAY_MS) };
+    });
+  return starts
+    .filter((s) => {
+      const days = new Set(starts.filter((o) => Math.abs(o.at - s.at) <= limits.startWindowMs).map((o) => o.day));
+      return days.size >= limits.minHistoryDays;
+    })
+    .map((s) => s.at);
+}
+
+/**
+ * @param {Object} args
+ * @param {number} args.baseMs - the configured check interval
+ * @param {boolean} args.autoSwapOn
+ * @param {boolean} [args.quiet] - inside quiet hours
+ * @param {Array<{live: boolean, expectedStarts?: number[]}>} args.tops - each non-empty list's top-priority entry
+ * @param {boolean} [args.pushCovered] - EventSub is connected and covers every channel
+ * @param {number} [args.now]
+ * @param {Object} [args.limits]
+ * @returns {{at: number, delayMs: number, reason: string}}
+ */
+export function planNextPoll({ baseMs, autoSwapOn, quiet = false, tops = [], pushCovered = false, now = Date.now(), limits = POLL_LIMITS }) {
+  const base = Math.max(limits.minMs, Number(baseMs) || 60000);
+  const nearStart = (t) => Math.abs(t - now) <= limits.startWindowMs;
+
+  let delayMs = base;
+  let reason = POLL_REASONS.BASE;
+  if (!autoSwapOn) {
+    delayMs = base * limits.backoffFactor;
+    reason = POLL_REASONS.AUTOSWAP_OFF;
+  } else if (tops.some((top) => !top.live && (top.expectedStarts || []).some(nearStart))) {
+    delayMs = base * limits.fastFactor;
+    reason = POLL_REASONS.EXPECTED_START;
+  } else if (quiet) {
+    delayMs = base * limits.backoffFactor;
+    reason = POLL_REASONS.QUIET_HOURS;
+  } else if (tops.length > 0 && tops.every((top) => top.live)) {
+    delayMs = base * limits.slowFactor;
+    reason = POLL_REASONS.TOP_LIVE;
+  }
+
+  if (pushCovered && delayMs < limits.pushCoveredMs) {
+    delayMs = limits.pushCoveredMs;
+    reason = POLL_REASONS.EVENTSUB;
+  }
+
+  // Never stretch past the cap, unless the configured interval is already longer.
+  delayMs = Math.round(Math.min(Math.max(delayMs, limits.minMs), Math.max(base, limits.maxMs)));
+  return { at: now + delayMs, delayMs, reason };
+}
+
+/**
+ * @param {string} reason - a POLL_REASONS value
+ * @returns {string} why the next check comes sooner/later than usual ('' for the normal interval)
+ */
+export function describePollReason(reason) {
+  return REASON_TEXT[reason] || '';
+}
@@ -0,0 +1,108 @@
+/**
+ * Profile schedule — activate list profiles on a weekly schedule
+ * ("weekday evenings = esports, weekend mornings = speedruns").
+ * Pure module so the window math is unit-testable.
+ *
+ * Stored as `settings.profileSchedule`:
+ * `{ enabled, windows: [{ profileId, days: [0-6], start: 'HH:MM', end: 'HH:MM' }], otherwiseProfileId }`.
+ * `days` are local weekdays (0 = Sunday) on which a window *starts*; a window
+ * whose end is at or before its start runs past midnight into the next day.
+ * When windows overlap, the first one in the list wins. `otherwiseProfileId`
+ * (optional) is used outside every window; null leaves the current profile alone.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+function toMinutes(hhmm) {
+  if (typeof hhmm !== 'string') return null;
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(hhmm);
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * @param {Object|null|undefined} schedule
+ * @returns {{enabled: boolean, windows: Array<{profileId: string, days: number[], start: string, end: string}>, otherwiseProfileId: string|null}}
+ */
+export function normalizeProfileSchedule(schedule) {
+  const windows = [];
+  for (const w of Array.isArray(schedule?.windows) ? schedule.windows : []) {
+    const profileId = String(w?.profileId || '').trim();
+    const days = [...new Set((Array.isArray(w?.days) ? w.days : [])
+      .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))].sort((a, b) => a - b);
+    if (!profileId || days.length === 0) continue;
+    if (toMinutes(w?.start) === null || toMinutes(w?.end) === null) continue;
+    windows.push({ profileId, days, start: w.start, end: w.end });
+  }
+  return {
+    enabled: !!schedule?.enabled,
+    windows,
+    otherwiseProfileId: String(schedule?.otherwiseProfileId || '').trim() || null,
+  };
+}
+
+// Minutes since the window's start day began; an equal start/end is a full 24 hours.
+function windowSpan(w) {
+  const start = toMinutes(w.start);
+  const end = toMinutes(w.end);
+  return { start, end: end > start ? end : end + MINUTES_PER_DAY };
+}
+
+/**
+ * @param {Object} schedule
+ * @param {Date} [date]
+ * @returns {Object|null} the first window containing `date` (start inclusive, end exclusive)
+ */
+export function findActiveWindow(schedule, date = new Date()) {
+  const { enabled, windows } = normalizeProfileSchedule(schedule);
+  if (!enabled) return null;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  return windows.find((w) => {
+    const { start, end } = windowSpan(w);
+    // Started today, or started yesterday and runs past midnight.
+    if (w.days.includes(today) && now >= start && now < end) return true;
+    return w.days.includes(yesterday) && now + MINUTES_PER_DAY < end;
+  }) || null;
+}
+
+/**
+ * @param {Object} schedule
+ * @param {Date} [date]
+ * @returns {string|null} profile the schedule wants at `date`, or null for "leave it alone"
+ */
+export function scheduledProfileId(schedule, date = new Date()) {
+  const normalized = normalizeProfileSchedule(schedule);
+  if (!normalized.enabled) return null;
+  return findActiveWindow(normalized, date)?.profileId || normalized.otherwiseProfileId;
+}
+
+/**
+ * Next instant after `date` at which a window starts or ends, so a one-shot
+ * alarm can switch profiles right on the boundary.
+ * @param {Object} schedule
+ * @param {Date} [date]
+ * @returns {number|null} epoch ms, or null if there is nothing to schedule
+ */
+export function nextScheduleBoundary(schedule, date = new Date()) {
+  const { enabled, windows } = normalizeProfileSchedule(schedule);
+  if (!enabled || windows.length === 0) return null;
+
+  let next = null;
+  // Yesterday's windows may still end today; a week ahead always finds a start.
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+    for (const w of windows) {
+      if (!w.days.includes(day.getDay())) continue;
+      const { start, end } = windowSpan(w);
+      // Built from calendar fields (not ms offsets) so DST shifts land on the wall-clock time.
+      for (const minutes of [start, end]) {
+        const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+        if (at > date.getTime() && (next === null || at < next)) next = at;
+      }
+    }
+  }
+  return next;
+}
@@ -0,0 +1,155 @@
+/**
+ * Named list profiles ("speedruns", "esports", "chill"): each holds a stream
+ * list plus optional overrides of a few settings. Pure module so migration
+ * and switching are unit-testable.
+ *
+ * Stored under the `profiles` key as `{ activeId, items: [{ id, name, streams, overrides }] }`.
+ * The active profile's list is the `streams` key itself (what the popup,
+ * background and page indicator already read), so its `streams` field here is
+ * null; a profile's list is parked in `items` only while it is inactive.
+ *
+ * Profiles cover the main managed tab's list; extra managed tabs keep their own.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Settings a profile may override; a missing/null override inherits the global setting.
+export const PROFILE_OVERRIDE_KEYS = Object.freeze(['fallbackCategory', 'notificationsEnabled', 'checkInterval']);
+
+const ALLOWED_INTERVALS = new Set([60000, 120000, 300000, 600000]);
+
+function normalizeOverrides(overrides) {
+  const o = overrides || {};
+  const out = {};
+  if (typeof o.fallbackCategory === 'string') out.fallbackCategory = o.fallbackCategory.trim().slice(0, 50);
+  if (typeof o.notificationsEnabled === 'boolean') out.notificationsEnabled = o.notificationsEnabled;
+  if (ALLOWED_INTERVALS.has(o.checkInterval)) out.checkInterval = o.checkInterval;
+  return out;
+}
+
+/**
+ * Normalize stored profiles; installs from before profiles get a single
+ * "Default" profile that owns the existing list.
+ * @param {Object|null|undefined} stored
+ * @returns {{activeId: string, items: Array<{id: string, name: string, streams: Array|null, overrides: Object}>}}
+ */
+export function migrateProfiles(stored) {
+  const seen = new Set();
+  const items = [];
+  for (const p of Array.isArray(stored?.items) ? stored.items : []) {
+    const id = String(p?.id || '').trim();
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    items.push({
+      id,
+      name: String(p?.name || '').trim().slice(0, 30) || 'Profile',
+      streams: Array.isArray(p?.streams) ? p.streams : null,
+      overrides: normalizeOverrides(p?.overrides),
+    });
+  }
+  if (items.length === 0) {
+    items.push({ id: DEFAULT_PROFILE_ID, name: 'Default', streams: null, overrides: {} });
+  }
+  const activeId = items.some((p) => p.id === stored?.activeId) ? stored.activeId : items[0].id;
+  // The active list lives in the `streams` key, never in the profile.
+  return { activeId, items: items.map((p) => (p.id === activeId ? { ...p, streams: null } : p)) };
+}
+
+/**
+ * @param {Object} profiles - normalized profiles
+ * @returns {Object} the active profile
+ */
+export function getActiveProfile(profiles) {
+  const normalized = migrateProfiles(profiles);
+  return normalized.items.find((p) => p.id === normalized.activeId);
+}
+
+/**
+ * Settings with the active profile's overrides applied. Never persist the
+ * result: it would bake the overrides into the global settings.
+ * @param {Object} settings
+ * @param {Object|null} profile
+ * @returns {Object}
+ */
+export function applyProfileOverrides(settings, profile) {
+  const overrides = normalizeOverrides(profile?.overrides);
+  return Object.keys(overrides).length > 0 ? { ...settings, ...overrides } : settings;
+}
+
+/**
+ * Park the current list in the outgoing profile and take the target's.
+ *
+ * Incoming entries are marked as already live so channels that are live at
+ * switch time don't fire a burst of "went live" notifications on the next poll.
+ *
+ * @param {Object} profiles
+ * @param {Array} currentStreams - contents of the `streams` key
+ * @param {string} targetId
+ * @returns {{profiles: Object, streams: Array}|null} null if the target is unknown or already active
+ */
+export function switchProfile(profiles, currentStreams, targetId) {
+  const normalized = migrateProfiles(profiles);
+  const target = normalized.items.find((p) => p.id === targetId);
+  if (!target || target.id === normalized.activeId) return null;
+
+  const streams = (target.streams || []).map((s) => ({
+    ...s,
+    isLive: false,
+    streamData: null,
+    skipReason: null,
+    wasLive: true,
+  }));
+  const items = normalized.items.map((p) => {
+    if (p.id === normalized.activeId) return { ...p, streams: Array.isArray(currentStreams) ? currentStreams : [] };
+    if (p.id === targetId) return { ...p, streams: null };
+    return p;
+  });
+  return { profiles: { activeId: targetId, items }, streams };
+}
+
+/**
+ * Add an empty profile with a unique id.
+ * @param {Object} profiles
+ * @param {string} name
+ * @returns {{profiles: Object, id: string}}
+ */
+export function createProfile(profiles, name) {
+  const normalized = migrateProfiles(profiles);
+  const ids = new Set(normalized.items.map((p) => p.id));
+  let n = normalized.items.length + 1;
+  while (ids.has(`profile-${n}`)) n++;
+  const id = `profile-${n}`;
+  const profile = { id, name: String(name || '').trim().slice(0, 30) || `Profile ${n}`, streams: [], overrides: {} };
+  return { profiles: { ...normalized, items: [...normalized.items, profile] }, id };
+}
+
+/**
+ * Patch a profile's name and/or overrides.
+ * @param {Object} profiles
+ * @param {string} id
+ * @param {{name?: string, overrides?: Object}} patch
+ * @returns {Object}
+ */
+export function updateProfile(profiles, id, patch) {
+  const normalized = migrateProfiles(profiles);
+  return migrateProfiles({
+    ...normalized,
+    items: normalized.items.map((p) => (p.id !== id ? p : {
+      ...p,
+      ...(patch.name !== undefined ? { name: patch.name } : {}),
+      ...(patch.overrides !== undefined ? { overrides: patch.overrides } : {}),
+    })),
+  });
+}
+
+/**
+ * Delete an inactive profile (the active one and the last one can't be deleted).
+ * @param {Object} profiles
+ * @param {string} id
+ * @returns {Object}
+ */
+export function deleteProfile(profiles, id) {
+  const normalized = migrateProfiles(profiles);
+  if (id === normalized.activeId || normalized.items.length <= 1) return normalized;
+  return { ...normalized, items: normalized.items.filter((p) => p.id !== id) };
+}
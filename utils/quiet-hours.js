@@ -17,8 +17,19 @@ function toMinutes(hhmm) {
  */
 export function isQuietHours(config, date = new Date()) {
   if (!config?.enabled) return false;
-  const start = toMinutes(config.start);
-  const end = toMinutes(config.end);
+  return isWithinDailyWindow(config.start, config.end, date);
+}
+
+/**
+ * Local-time "HH:MM" window check, shared with the fallback category windows.
+ * @param {string} startHHMM
+ * @param {string} endHHMM
+ * @param {Date} [date]
+ * @returns {boolean} false for invalid or empty (start === end) windows
+ */
+export function isWithinDailyWindow(startHHMM, endHHMM, date = new Date()) {
+  const start = toMinutes(startHHMM);
+  const end = toMinutes(endHHMM);
   if (start === null || end === null || start === end) return false;
 
   const now = date.getHours() * 60 + date.getMinutes();
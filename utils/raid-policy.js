@@ -0,0 +1,101 @@
+/**
+ * Raid policy — what Auto-Swap does when the managed tab is raided (Twitch
+ * sends it to the target with ?referrer=raid). Pure module so the policy
+ * math is unit-testable; background.js detects raids and applies it.
+ *
+ * - stay: hold the raid target for N minutes (no auto-switch, no fallback),
+ *   then normal priority logic resumes.
+ * - add: put the raid target on the list as a temporary entry at the very
+ *   end; it plays only while nothing on the list is live and drops off once
+ *   it goes offline.
+ * - ignore: treat the raid like any other page and re-check right away.
+ */
+
+import { createStreamEntry } from './stream-list.js';
+
+export const RAID_POLICIES = Object.freeze({
+  STAY: 'stay',
+  ADD: 'add',
+  IGNORE: 'ignore',
+});
+
+export const DEFAULT_RAID_STAY_MINUTES = 10;
+const MAX_RAID_STAY_MINUTES = 240;
+
+// Temporary entries: the API can lag behind the raid, so an entry isn't
+// dropped for being offline until it has been listed this long.
+export const RAID_ENTRY_GRACE_MS = 5 * 60 * 1000;
+// ...and it is dropped after this long regardless.
+export const RAID_ENTRY_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * @param {{raidPolicy?: {mode?: string, stayMinutes?: number}|null, stayOnRaid?: boolean}} settings
+ * @returns {{mode: string, stayMinutes: number}} installs from before the
+ *   policy map the old `stayOnRaid` toggle to stay (on) or ignore (off)
+ */
+export function normalizeRaidPolicy(settings) {
+  const raw = settings?.raidPolicy;
+  const legacy = settings?.stayOnRaid === false ? RAID_POLICIES.IGNORE : RAID_POLICIES.STAY;
+  const mode = Object.values(RAID_POLICIES).includes(raw?.mode) ? raw.mode : legacy;
+  const minutes = Math.round(Number(raw?.stayMinutes));
+  const stayMinutes = Number.isFinite(minutes) && minutes > 0
+    ? Math.min(minutes, MAX_RAID_STAY_MINUTES)
+    : DEFAULT_RAID_STAY_MINUTES;
+  return { mode, stayMinutes };
+}
+
+/**
+ * Runtime record for a raid that just landed on the managed tab.
+ * @param {{mode: string, stayMinutes: number}} policy - normalized
+ * @param {{channel: string, from?: string|null, now?: number}} raid
+ * @returns {{channel: string, from: string|null, at: number, until: number}} until is 0 unless the policy holds
+ */
+export function startRaid(policy, { channel, from = null, now = Date.now() }) {
+  return {
+    channel,
+    from: from && from !== channel ? from : null,
+    at: now,
+    until: policy.mode === RAID_POLICIES.STAY ? now + policy.stayMinutes * 60000 : 0,
+  };
+}
+
+/**
+ * @param {{until?: number}|null} raid - runtime record
+ * @param {number} [now]
+ * @returns {boolean} true while a "stay" raid keeps Auto-Swap off the tab
+ */
+export function isRaidHoldActive(raid, now = Date.now()) {
+  return Number(raid?.until) > now;
+}
+
+/**
+ * Temporary entry for a raid target: last in the bottom tier.
+ * @param {Array} streams
+ * @param {string} username
+ * @param {number} tierCount
+ * @param {{from?: string|null, now?: number}} [opts]
+ * @returns {Object|null} null when the channel is already on the list
+ */
+export function createRaidEntry(streams, username, tierCount, { from = null, now = Date.now() } = {}) {
+  const list = Array.isArray(streams) ? streams : [];
+  if (list.some((s) => s?.username === username)) return null;
+  return {
+    ...createStreamEntry(list, username, tierCount),
+    addedAt: now,
+    temporary: true,
+    raidFrom: from,
+  };
+}
+
+/**
+ * @param {{temporary?: boolean, addedAt?: number}} stream - list entry
+ * @param {boolean} isLive - as of this poll
+ * @param {number} [now]
+ * @returns {boolean} true when a temporary raid entry should leave the list
+ */
+export function shouldDropRaidEntry(stream, isLive, now = Date.now()) {
+  if (!stream?.temporary) return false;
+  const age = now - (Number(stream.addedAt) || 0);
+  if (age >= RAID_ENTRY_TTL_MS) return true;
+  return !isLive && age >= RAID_ENTRY_GRACE_MS;
+}
@@ -0,0 +1,163 @@
+/**
+ * Managed-tab slots — each Auto-Swap tab ("slot") has its own stream list,
+ * switch mode and fallback category. Pure module so the settings model is
+ * unit-testable.
+ *
+ * The main slot is the original single-tab setup and keeps living in the
+ * legacy fields (`managedTwitchTabId`, `switchMode`, `fallbackCategory`,
+ * `fallbackCategories`, the `streams` storage key), so existing installs need
+ * no migration. Extra slots are
+ * `settings.extraSlots: [{ id, name, tabId, fallbackCategory, fallbackCategories, switchMode }]`
+ * with their lists under the `slotStreams` storage key, keyed by slot id.
+ */
+
+import { normalizeSwitchMode } from './switch-policy.js';
+import { normalizeFallbackCategories, resolveFallbackCategories } from './fallback-mode.js';
+
+export const MAIN_SLOT_ID = 'main';
+
+/**
+ * @param {Array} slots - settings.extraSlots
+ * @returns {Array<{id: string, name: string, tabId: number|null, fallbackCategory: string, fallbackCategories: Array, switchMode: string}>}
+ */
+export function normalizeExtraSlots(slots) {
+  if (!Array.isArray(slots)) return [];
+  const seen = new Set([MAIN_SLOT_ID]);
+  const out = [];
+  for (const s of slots) {
+    const id = String(s?.id || '').trim();
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    out.push({
+      id,
+      name: String(s?.name || '').trim().slice(0, 30) || `Tab ${out.length + 2}`,
+      tabId: Number.isInteger(s?.tabId) ? s.tabId : null,
+      fallbackCategory: String(s?.fallbackCategory || '').trim(),
+      fallbackCategories: normalizeFallbackCategories(s?.fallbackCategories),
+      switchMode: normalizeSwitchMode(s?.switchMode),
+    });
+  }
+  return out;
+}
+
+/**
+ * Every slot, main first, in one shape. `fallbackCategories` comes out
+ * resolved: what the slot falls back to right now ([] = fallback off).
+ * @param {Object} settings
+ * @returns {Array<{id: string, name: string, tabId: number|null, fallbackCategory: string, fallbackCategories: Array, switchMode: string}>}
+ */
+export function getSlots(settings) {
+  const main = {
+    id: MAIN_SLOT_ID,
+    name: String(settings?.mainSlotName || '').trim() || 'Main',
+    tabId: settings?.managedTwitchTabId ?? null,
+    fallbackCategory: settings?.fallbackCategory || '',
+    fallbackCategories: settings?.fallbackCategories,
+    switchMode: normalizeSwitchMode(settings?.switchMode),
+  };
+  return [main, ...normalizeExtraSlots(settings?.extraSlots)].map((slot) => ({
+    ...slot,
+    fallbackCategories: resolveFallbackCategories(slot.fallbackCategory, slot.fallbackCategories),
+  }));
+}
+
+/**
+ * @param {Object} settings
+ * @param {number|null} tabId
+ * @returns {Object|null} the slot bound to this tab
+ */
+export function findSlotByTab(settings, tabId) {
+  if (tabId == null) return null;
+  return getSlots(settings).find((s) => s.tabId === tabId) || null;
+}
+
+/**
+ * Settings patch that applies `patch` to one slot, writing the main slot's
+ * fields back to their legacy keys.
+ * @param {Object} settings
+ * @param {string} slotId
+ * @param {{name?: string, tabId?: number|null, fallbackCategory?: string, fallbackCategories?: Array, switchMode?: string}} patch
+ * @returns {Object} partial settings for storage.saveSettings
+ */
+export function patchSlotSettings(settings, slotId, patch) {
+  if (slotId === MAIN_SLOT_ID) {
+    const out = {};
+    if (patch.name !== undefined) out.mainSlotName = patch.name;
+    if (patch.tabId !== undefined) out.managedTwitchTabId = patch.tabId;
+    if (patch.fallbackCategory !== undefined) out.fallbackCategory = patch.fallbackCategory;
+    if (patch.fallbackCategories !== undefined) out.fallbackCategories = patch.fallbackCategories;
+    if (patch.switchMode !== undefined) out.switchMode = patch.switchMode;
+    return out;
+  }
+  return {
+    extraSlots: normalizeExtraSlots(settings?.extraSlots)
+      .map((s) => (s.id === slotId ? { ...s, ...patch } : s)),
+  };
+}
+
+/**
+ * A new, unbound slot with an id that doesn't collide with existing ones.
+ * @param {Array} extraSlots
+ * @param {string} [name]
+ * @returns {Object}
+ */
+export function createSlot(extraSlots, name = '') {
+  const existing = normalizeExtraSlots(extraSlots);
+  const ids = new Set(existing.map((s) => s.id));
+  let n = existing.length + 2;
+  while (ids.has(`slot-${n}`)) n++;
+  return {
+    id: `slot-${n}`,
+    name: String(name).trim().slice(0, 30) || `Tab ${n}`,
+    tabId: null,
+    fallbackCategory: '',
+    fallbackCategories: [],
+    switchMode: 'preemptive',
+  };
+}
+
+/**
+ * Unique usernames across several stream lists, in first-seen order, so all
+ * slots share one batched status request.
+ * @param {Array<Array<{username: string}>>} lists
+ * @returns {string[]}
+ */
+export function unionUsernames(lists) {
+  const out = new Set();
+  for (const list of lists || []) {
+    for (const s of list || []) {
+      if (s?.username) out.add(s.username);
+    }
+  }
+  return [...out];
+}
+
+/**
+ * One-shot alarms that poll a slot right when something it waits on ends.
+ * Each purpose has its own name: creating an alarm replaces any alarm of the
+ * same name, so a shared name let e.g. the short stream-end recheck drop the
+ * wake-up at the end of a raid-stay hold.
+ */
+export const SLOT_ALARMS = Object.freeze({
+  DEFERRED: 'tsr-switch-deferred', // hysteresis / interaction hold on a switch
+  RESUME: 'tsr-switch-resume', // pause after "go back" or an omnibox pick
+  RAID_STAY: 'tsr-raid-stay', // raid policy "stay"
+  STREAM_END: 'tsr-stream-end', // recheck after the page saw its stream end
+});
+
+/**
+ * @param {string} purpose - a SLOT_ALARMS value
+ * @param {{id: string}} slot
+ * @returns {string} the main slot keeps the bare name; extra slots get `name:id`
+ */
+export function slotAlarmName(purpose, slot) {
+  return slot.id === MAIN_SLOT_ID ? purpose : `${purpose}:${slot.id}`;
+}
+
+/**
+ * @param {string} name - alarm name
+ * @returns {boolean} true for any slot's SLOT_ALARMS alarm
+ */
+export function isSlotAlarm(name) {
+  return Object.values(SLOT_ALARMS).some((purpose) => name === purpose || String(name).startsWith(`${purpose}:`));
+}
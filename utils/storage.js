@@ -4,6 +4,13 @@
  */
 
 import { TWITCH_CLIENT_ID } from './config.js';
+import { DEFAULT_SWITCH_STABILITY } from './switch-stability.js';
+import { DEFAULT_TIERS } from './tiers.js';
+import { MAIN_SLOT_ID } from './slots.js';
+import { migrateProfiles, switchProfile } from './profiles.js';
+import { appendJournalEntry } from './journal.js';
+import { normalizeFallbackFilters } from './fallback-filters.js';
+import { normalizeTabEffects } from './tab-effects.js';
 
 class StorageManager {
   constructor() {
@@ -11,6 +18,7 @@ class StorageManager {
     this.saveQueue = new Map();
     this.saveTimeout = null;
     this.DEBOUNCE_DELAY = 300; // ms
+    this._journalWrite = Promise.resolve();
   }
 
   /**
@@ -140,6 +148,94 @@ class StorageManager {
     await this.set({ streams }, true); // Immediate save for streams
   }
 
+  /**
+   * Get list profiles. The first call after an update migrates the existing
+   * list into a "Default" profile (see utils/profiles.js).
+   * @returns {Promise<{activeId: string, items: Array}>}
+   */
+  async getProfiles() {
+    const stored = await this.get('profiles');
+    const profiles = migrateProfiles(stored);
+    if (!stored) {
+      await this.set({ profiles }, true);
+    }
+    return profiles;
+  }
+
+  /**
+   * Save list profiles
+   * @param {Object} profiles
+   */
+  async saveProfiles(profiles) {
+    await this.set({ profiles: migrateProfiles(profiles) }, true);
+  }
+
+  /**
+   * Make a profile active: park the current list in the outgoing profile and
+   * load the target's list into `streams`, in one write.
+   * @param {string} profileId
+   * @returns {Promise<boolean>} false if the profile is unknown or already active
+   */
+  async activateProfile(profileId) {
+    const [profiles, streams] = await Promise.all([this.getProfiles(), this.getStreams()]);
+    const next = switchProfile(profiles, streams, profileId);
+    if (!next) return false;
+    await this.set({ profiles: next.profiles, streams: next.streams }, true);
+    return true;
+  }
+
+  /**
+   * Get one managed-tab slot's list. The main slot is the legacy `streams` key.
+   * @param {string} slotId
+   * @returns {Promise<Array>}
+   */
+  async getSlotStreams(slotId) {
+    if (!slotId || slotId === MAIN_SLOT_ID) return this.getStreams();
+    const all = await this.get('slotStreams');
+    return all?.[slotId] || [];
+  }
+
+  /**
+   * Save one managed-tab slot's list
+   * @param {string} slotId
+   * @param {Array} streams - Array of stream objects
+   */
+  async saveSlotStreams(slotId, streams) {
+    if (!slotId || slotId === MAIN_SLOT_ID) return this.saveStreams(streams);
+    const all = (await this.get('slotStreams')) || {};
+    await this.set({ slotStreams: { ...all, [slotId]: streams } }, true);
+  }
+
+  /**
+   * Rewrite every stored list in one write: the main list, each extra
+   * slot's and each parked profile's (for global changes such as tiers).
+   * @param {(streams: Array) => Array} fn
+   */
+  async mapAllStreamLists(fn) {
+    const [streams, slotStreams, profiles] = await Promise.all([
+      this.getStreams(),
+      this.get('slotStreams'),
+      this.getProfiles(),
+    ]);
+    const nextSlots = Object.fromEntries(Object.entries(slotStreams || {}).map(([id, list]) => [id, fn(list || [])]));
+    const nextProfiles = {
+      ...profiles,
+      items: profiles.items.map((p) => (Array.isArray(p.streams) ? { ...p, streams: fn(p.streams) } : p)),
+    };
+    await this.set({ streams: fn(streams), slotStreams: nextSlots, profiles: nextProfiles }, true);
+  }
+
+  /**
+   * Drop an extra slot's list (when the slot is deleted)
+   * @param {string} slotId
+   */
+  async removeSlotStreams(slotId) {
+    if (!slotId || slotId === MAIN_SLOT_ID) return;
+    const all = { ...((await this.get('slotStreams')) || {}) };
+    delete all[slotId];
+    await this.set({ slotStreams: all }, true);
+  }
+
   /**
    * Get settings
    * @returns {Promise<Object>}
@@ -152,14 +248,38 @@ class StorageManager {
     const defaultSettings = {
       checkInterval: 60000, // 1 minute
       fallbackCategory: "Just Chatting",
+      // Weighted categories with optional hours; used while fallbackCategory names one (utils/fallback-mode.js).
+      fallbackCategories: [],
+      // Language/viewers/mature/label/blocklist filters for the fallback pick (utils/fallback-filters.js).
+      fallbackFilters: normalizeFallbackFilters(null),
+      // Minutes recent fallback picks sit out (utils/fallback-history.js; 0 = off).
+      fallbackSkipMinutes: 60,
+      // Play list channels' videos when nothing is live and category fallback is off (utils/vod-fallback.js).
+      vodFallback: 'off',
+      // Mute/unmute/focus the managed tab on switch (utils/tab-effects.js).
+      tabEffects: normalizeTabEffects(null),
       // Auto-swap OFF by default. Enabling binds to exactly one Twitch tab.
       redirectEnabled: false,
       promptBeforeSwitch: false, // Default to auto-swap (off)
       notificationsEnabled: false,
+      // Live/offline pushes over EventSub (utils/eventsub.js); polling stays on as the fallback.
+      eventSubEnabled: false,
       quietHours: { enabled: false, start: "22:00", end: "08:00" },
+      // Minutes before a scheduled stream to notify (0 = off); see utils/stream-schedule.js.
+      startingSoonMinutes: 0,
       // If the currently-watched streamer raids someone, Twitch redirects to a new channel with ?referrer=raid.
-      // When enabled, we avoid overriding raids with category fallback redirects.
+      // Legacy on/off switch, superseded by raidPolicy (null = derive from stayOnRaid).
       stayOnRaid: true,
+      // { mode: 'stay'|'add'|'ignore', stayMinutes } — see utils/raid-policy.js.
+      raidPolicy: null,
+      // 'preemptive' = priority ladder, 'queue' = stay until the current stream ends (utils/switch-policy.js)
+      switchMode: "preemptive",
+      // Switch hysteresis (minutes, 0 = off): see utils/switch-stability.js.
+      switchStability: { ...DEFAULT_SWITCH_STABILITY },
+      // Seconds the managed tab must be quiet (chat, fullscreen, clip editor) before a switch (utils/interaction-hold.js; 0 = off).
+      interactionQuietSeconds: 0,
+      // Priority tiers [{ name, tieBreak }]; stream entries carry a 1-based `tier` (utils/tiers.js).
+      tiers: DEFAULT_TIERS.map((t) => ({ ...t })),
       theme: "default",
       customTheme: {
         accent: "#9147ff",
@@ -173,7 +293,13 @@ class StorageManager {
       },
       premiumStatus: false,
       clientId: "", // Empty means "use default"
-      managedTwitchTabId: null // When set, auto-swap only affects this single Twitch tab
+      managedTwitchTabId: null, // When set, auto-swap only affects this single Twitch tab
+      // Additional managed tabs, each with its own list/switch mode/fallback (utils/slots.js).
+      // The fields above are the main slot.
+      mainSlotName: "Main",
+      extraSlots: [],
+      // Weekly windows that activate list profiles (utils/profile-schedule.js).
+      profileSchedule: { enabled: false, windows: [], otherwiseProfileId: null }
     };
 
     const settings = await this.get('settings');
@@ -199,6 +325,54 @@ class StorageManager {
     await this.set({ settings: { ...current, ...settings } }, true);
   }
 
+  /**
+   * Get the event journal (oldest first, see utils/journal.js)
+   * @returns {Promise<Array>}
+   */
+  async getJournal() {
+    const data = await this.get('journal');
+    return Array.isArray(data) ? data : [];
+  }
+
+  /**
+   * Append one event to the journal. Appends are chained so events logged
+   * back-to-back in one context don't read the same old journal and drop each other.
+   * @param {{type: string, channel?: string, from?: string, slotId?: string, reason?: string, detail?: string}} event
+   */
+  async appendJournal(event) {
+    this._journalWrite = this._journalWrite
+      .catch(() => {})
+      .then(async () => {
+        const journal = appendJournalEntry(await this.getJournal(), event);
+        await this.set({ journal }, true);
+      });
+    return this._journalWrite;
+  }
+
+  /**
+   * Clear the event journal
+   */
+  async clearJournal() {
+    await this.set({ journal: [] }, true);
+  }
+
+  /**
+   * Get cached channel schedules (login -> entry, see utils/stream-schedule.js)
+   * @returns {Promise<Object>}
+   */
+  async getSchedules() {
+    const data = await this.get('schedules');
+    return data && typeof data === 'object' ? data : {};
+  }
+
+  /**
+   * Save cached channel schedules
+   * @param {Object} schedules
+   */
+  async saveSchedules(schedules) {
+    await this.set({ schedules }, true);
+  }
+
   /**
    * Get analytics data
    * @returns {Promise<Object>}
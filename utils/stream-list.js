@@ -0,0 +1,77 @@
+/**
+ * Stream list entry rules shared by every way of adding a channel (popup
+ * input, omnibox, context menu). Pure module so validation is unit-testable.
+ */
+
+import { sortByTier } from './tiers.js';
+
+export const FREE_TIER_LIMIT = 10;
+
+const USERNAME_RE = /^[a-zA-Z0-9_]{4,25}$/;
+
+/**
+ * @param {string} username
+ * @returns {boolean} true if it is shaped like a Twitch login
+ */
+export function isValidUsername(username) {
+  return USERNAME_RE.test(String(username || '').trim());
+}
+
+/**
+ * @param {Array<{username: string}>} streams - the list being added to
+ * @param {string} raw - what the user typed
+ * @param {{premium?: boolean}} [opts]
+ * @returns {{ok: true, username: string}|{ok: false, code: string, message: string}}
+ */
+export function validateNewStream(streams, raw, { premium = false } = {}) {
+  const username = String(raw || '').trim().toLowerCase();
+  if (!username) {
+    return { ok: false, code: 'EMPTY', message: 'Please enter a username' };
+  }
+  if (!isValidUsername(username)) {
+    return { ok: false, code: 'INVALID_USERNAME', message: 'Invalid username format' };
+  }
+  const list = Array.isArray(streams) ? streams : [];
+  if (list.some((s) => String(s?.username || '').toLowerCase() === username)) {
+    return { ok: false, code: 'DUPLICATE', message: 'Stream already in list' };
+  }
+  // Temporary raid entries (utils/raid-policy.js) drop off by themselves and don't count.
+  if (!premium && list.filter((s) => !s?.temporary).length >= FREE_TIER_LIMIT) {
+    return {
+      ok: false,
+      code: 'FREE_LIMIT',
+      message: `Free tier limited to ${FREE_TIER_LIMIT} streams. Enable Supporter Features for unlimited (honor system).`,
+    };
+  }
+  return { ok: true, username };
+}
+
+/**
+ * New entry for a validated username: the end of the list, in the bottom tier.
+ * @param {Array} streams
+ * @param {string} username
+ * @param {number} tierCount
+ * @returns {{username: string, priority: number, tier: number, addedAt: number}}
+ */
+export function createStreamEntry(streams, username, tierCount = 1) {
+  return {
+    username,
+    priority: (Array.isArray(streams) ? streams.length : 0) + 1,
+    tier: Math.max(1, tierCount),
+    addedAt: Date.now(),
+  };
+}
+
+/**
+ * Add a validated username ahead of everything else: top tier, priority 1,
+ * with the rest of the list renumbered below it.
+ * @param {Array} streams
+ * @param {string} username
+ * @param {number} tierCount
+ * @returns {Array} new list
+ */
+export function insertStreamAtTop(streams, username, tierCount = 1) {
+  const list = Array.isArray(streams) ? streams : [];
+  const entry = { ...createStreamEntry(list, username, tierCount), tier: 1, priority: 0 };
+  return sortByTier([...list, entry], tierCount).map((stream, index) => ({ ...stream, priority: index + 1 }));
+}
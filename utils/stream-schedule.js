@@ -0,0 +1,135 @@
+/**
+ * Channel schedules — Helix `/schedule` segments for list entries, cached
+ * for hours under the `schedules` storage key, so the popup can say "next
+ * stream in 2h" and the background can send a "starting soon" notice and
+ * poll faster around scheduled starts. Pure module so cancellations,
+ * vacations and wording are unit-testable.
+ *
+ * Stored as `{ [login]: { fetchedAt, segments: [{ id, start, end, title, category }], vacation, notified? } }`
+ * with times in epoch ms; `notified` is the `<id>@<start>` key of the segment
+ * the last starting-soon notice was sent for.
+ */
+
+import { formatCountdown } from './format.js';
+
+export const SCHEDULE_TTL_MS = 6 * 60 * 60 * 1000;
+// Segments further out than this aren't kept.
+export const SCHEDULE_HORIZON_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_SEGMENTS = 20;
+// Starting-soon notice choices (minutes before a segment; 0 = off).
+export const STARTING_SOON_MINUTES = Object.freeze([0, 5, 10, 15, 30, 60]);
+// Polls can be up to 15 minutes apart (utils/poll-scheduler.js), so the lead
+// window can pass between two of them: a segment that started this recently
+// and was never announced still gets its notice.
+export const STARTING_SOON_GRACE_MS = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMs(iso) {
+  const t = Date.parse(iso || '');
+  return Number.isFinite(t) ? t : null;
+}
+
+function segmentEnd(segment) {
+  return segment.end ?? segment.start;
+}
+
+/**
+ * @param {{segments?: Array, vacation?: Object|null}|null} raw - Helix schedule data (pages merged), null = no schedule
+ * @param {{now?: number}} [opts]
+ * @returns {{fetchedAt: number, segments: Array, vacation: {start: number, end: number}|null}}
+ */
+export function normalizeSchedule(raw, { now = Date.now() } = {}) {
+  const vacationStart = toMs(raw?.vacation?.start_time);
+  const vacationEnd = toMs(raw?.vacation?.end_time);
+  const vacation = vacationStart != null && vacationEnd != null && vacationEnd > now
+    ? { start: vacationStart, end: vacationEnd }
+    : null;
+  const onVacation = (t) => !!vacation && t >= vacation.start && t < vacation.end;
+
+  const segments = (Array.isArray(raw?.segments) ? raw.segments : [])
+    // Canceled occurrences carry canceled_until; the rest of a recurring slot is unaffected.
+    .filter((s) => s && !s.canceled_until)
+    .map((s) => ({
+      id: String(s.id || ''),
+      start: toMs(s.start_time),
+      end: toMs(s.end_time),
+      title: String(s.title || '').trim(),
+      category: s.category?.name || null,
+    }))
+    .filter((s) => s.start != null && segmentEnd(s) > now && s.start - now <= SCHEDULE_HORIZON_MS && !onVacation(s.start))
+    .sort((a, b) => a.start - b.start)
+    .slice(0, MAX_SEGMENTS);
+
+  return { fetchedAt: now, segments, vacation };
+}
+
+/**
+ * @param {Object|undefined} schedule - stored entry
+ * @param {number} [now]
+ * @returns {boolean} true when it should be fetched again
+ */
+export function isScheduleStale(schedule, now = Date.now()) {
+  return !Number.isFinite(schedule?.fetchedAt) || now - schedule.fetchedAt >= SCHEDULE_TTL_MS;
+}
+
+/**
+ * @param {Object|undefined} schedule - stored entry
+ * @param {number} [now]
+ * @returns {Object|null} the segment on now or coming up next
+ */
+export function nextScheduledSegment(schedule, now = Date.now()) {
+  const segments = Array.isArray(schedule?.segments) ? schedule.segments : [];
+  return segments.find((s) => segmentEnd(s) > now) || null;
+}
+
+/**
+ * @param {Object|undefined} schedule - stored entry
+ * @param {number} [now]
+ * @returns {number[]} upcoming/current segment start times (poll scheduler input)
+ */
+export function scheduledStartTimes(schedule, now = Date.now()) {
+  const segments = Array.isArray(schedule?.segments) ? schedule.segments : [];
+  return segments.filter((s) => segmentEnd(s) > now).map((s) => s.start);
+}
+
+function formatLead(ms) {
+  return ms >= 2 * DAY_MS ? `${Math.round(ms / DAY_MS)}d` : formatCountdown(ms);
+}
+
+/**
+ * Offline row text: "Next stream in 2h — Ranked grind", "Scheduled now — …",
+ * "On vacation until Mar 12", or '' without a schedule.
+ * @param {Object|undefined} schedule - stored entry
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function describeSchedule(schedule, now = Date.now()) {
+  const vacation = schedule?.vacation;
+  if (vacation && now >= vacation.start && now < vacation.end) {
+    const until = new Date(vacation.end).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    return `On vacation until ${until}`;
+  }
+  const next = nextScheduledSegment(schedule, now);
+  if (!next) return '';
+  const title = next.title || next.category;
+  const when = next.start > now ? `Next stream in ${formatLead(next.start - now)}` : 'Scheduled now';
+  return title ? `${when} — ${title}` : when;
+}
+
+/**
+ * The segment a starting-soon notice is due for: starts within `leadMinutes`
+ * (or started less than STARTING_SOON_GRACE_MS ago) and hasn't been notified yet.
+ * @param {Object|undefined} schedule - stored entry
+ * @param {number} leadMinutes - 0 = notices off
+ * @param {number} [now]
+ * @returns {{segment: Object, key: string}|null}
+ */
+export function dueStartingSoon(schedule, leadMinutes, now = Date.now()) {
+  const lead = Number(leadMinutes) * 60000;
+  if (!(lead > 0)) return null;
+  const segment = nextScheduledSegment(schedule, now);
+  if (!segment || now - segment.start > STARTING_SOON_GRACE_MS || segment.start - now > lead) return null;
+  const key = `${segment.id}@${segment.start}`;
+  return schedule.notified === key ? null : { segment, key };
+}
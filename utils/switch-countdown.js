@@ -0,0 +1,47 @@
+/**
+ * In-page switch countdown — with "ask before switching" on, the managed tab
+ * shows "Switching to X in 10s — Cancel / Switch now / Snooze 30m"
+ * (content/switch-countdown.js) instead of an OS notification, which is easy
+ * to miss in fullscreen. background.js waits for the page's answer and falls
+ * back to the notification when the tab has no content script. Pure module so
+ * what each answer does is unit-testable.
+ */
+
+export const SWITCH_COUNTDOWN_SECONDS = 10;
+// How long past the countdown the background waits for an answer (timers in a
+// background tab are throttled); no answer counts as the countdown running out.
+export const SWITCH_COUNTDOWN_GRACE_MS = 5000;
+
+export const COUNTDOWN_ACTIONS = Object.freeze({
+  SWITCH: 'switch',
+  TIMEOUT: 'timeout',
+  CANCEL: 'cancel',
+  SNOOZE: 'snooze',
+});
+
+/**
+ * @param {*} response - the page's reply to TSR_SWITCH_COUNTDOWN
+ * @returns {string|null} a COUNTDOWN_ACTIONS value; null = the page didn't run a countdown
+ */
+export function normalizeCountdownAction(response) {
+  const action = response?.action;
+  return Object.values(COUNTDOWN_ACTIONS).includes(action) ? action : null;
+}
+
+/**
+ * @param {string} action - a COUNTDOWN_ACTIONS value
+ * @returns {{switchNow: boolean, snooze: 'prompts'|'switching'|null}} snooze:
+ *   'prompts' = no new prompt for a few minutes (like the notification's "Not now"),
+ *   'switching' = the 30-minute switching snooze
+ */
+export function countdownOutcome(action) {
+  switch (action) {
+    case COUNTDOWN_ACTIONS.SWITCH:
+    case COUNTDOWN_ACTIONS.TIMEOUT:
+      return { switchNow: true, snooze: null };
+    case COUNTDOWN_ACTIONS.SNOOZE:
+      return { switchNow: false, snooze: 'switching' };
+    default:
+      return { switchNow: false, snooze: 'prompts' };
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Switch policy — preemptive (priority ladder) vs. non-preemptive (queue).
+ * Pure module so the decision table is unit-testable.
+ *
+ * - preemptive: a higher-priority live stream takes the tab immediately
+ *   (subject to switch-stability holds).
+ * - queue: stay on whatever the tab is showing until that stream goes
+ *   offline, then jump to the best live entry.
+ * - A list entry flagged `sticky` behaves like queue mode while it is the
+ *   one being watched, whatever the global mode.
+ *
+ * Category-fallback filler never holds the tab: it only exists because no
+ * list entry was live.
+ */
+
+export const SWITCH_MODES = Object.freeze(['preemptive', 'queue']);
+
+/**
+ * @param {string} mode
+ * @returns {'preemptive'|'queue'}
+ */
+export function normalizeSwitchMode(mode) {
+  return SWITCH_MODES.includes(mode) ? mode : 'preemptive';
+}
+
+/**
+ * @param {Object} args
+ * @param {string} args.mode - settings.switchMode
+ * @param {string|null} args.currentChannel - channel the managed tab is showing
+ * @param {string|null} args.targetUsername - the stream we would switch to
+ * @param {{sticky?: boolean}|null} args.currentEntry - list entry for currentChannel, if any
+ * @param {boolean|null} args.currentIsLive - null when unknown
+ * @param {boolean} args.onFallback - the tab is showing the category-fallback pick
+ * @returns {{hold: boolean, reason: 'queue'|'sticky'|null}}
+ */
+export function shouldHoldCurrentStream({
+  mode,
+  currentChannel,
+  targetUsername,
+  currentEntry,
+  currentIsLive,
+  onFallback,
+}) {
+  const none = { hold: false, reason: null };
+  if (!currentChannel || currentChannel === targetUsername) return none;
+  if (onFallback) return none;
+  // Only a stream known to be live can hold the tab; offline/unknown yields.
+  if (currentIsLive !== true) return none;
+
+  if (currentEntry?.sticky) return { hold: true, reason: 'sticky' };
+  if (normalizeSwitchMode(mode) === 'queue') return { hold: true, reason: 'queue' };
+  return none;
+}
@@ -0,0 +1,129 @@
+/**
+ * Per-channel switch rules — decide whether a live list entry may take the
+ * managed tab, based on the Helix stream payload. Pure module so the matching
+ * is unit-testable.
+ *
+ * Rule shape (every field optional):
+ *   {
+ *     allowGames: string[],      // game_name must be one of these (empty = any)
+ *     blockGames: string[],      // game_name must not be one of these
+ *     requireKeywords: string[], // title must match at least one
+ *     blockKeywords: string[],   // title must match none
+ *     minViewers: number|null,
+ *   }
+ *
+ * Keywords written as `/pattern/flags` are regexes; anything else is a
+ * case-insensitive substring match.
+ */
+
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/;
+
+function toList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((v) => String(v ?? '').trim()).filter(Boolean);
+}
+
+function keywordMatches(keyword, text) {
+  const literal = REGEX_LITERAL.exec(keyword);
+  if (literal) {
+    try {
+      // Stateless test: drop the sticky/global flags so lastIndex never leaks between calls.
+      return new RegExp(literal[1], literal[2].replace(/[gy]/g, '')).test(text);
+    } catch {
+      // A broken regex should not veto (or allow) anything.
+      return false;
+    }
+  }
+  return text.toLowerCase().includes(keyword.toLowerCase());
+}
+
+/**
+ * Drop empty fields so "no rules" is stored as null rather than a bag of empty arrays.
+ * @param {Object|null|undefined} rules
+ * @returns {Object|null}
+ */
+export function normalizeSwitchRules(rules) {
+  if (!rules || typeof rules !== 'object') return null;
+  const out = {};
+  for (const key of ['allowGames', 'blockGames', 'requireKeywords', 'blockKeywords']) {
+    const list = toList(rules[key]);
+    if (list.length > 0) out[key] = list;
+  }
+  const minViewers = Number(rules.minViewers);
+  if (Number.isFinite(minViewers) && minViewers > 0) out.minViewers = Math.floor(minViewers);
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * @param {Object|null|undefined} rules
+ * @returns {boolean}
+ */
+export function hasSwitchRules(rules) {
+  return normalizeSwitchRules(rules) !== null;
+}
+
+/**
+ * Evaluate an entry's rules against its live Helix stream data.
+ * @param {Object|null|undefined} rules
+ * @param {{game_name?: string, title?: string, viewer_count?: number}|null|undefined} streamData
+ * @returns {{allowed: boolean, reason: string|null}} reason is a short, user-facing explanation
+ */
+export function evaluateSwitchRules(rules, streamData) {
+  const r = normalizeSwitchRules(rules);
+  if (!r) return { allowed: true, reason: null };
+
+  const game = String(streamData?.game_name || '').trim();
+  const gameKey = game.toLowerCase();
+  const title = String(streamData?.title || '');
+
+  if (r.allowGames && !r.allowGames.some((g) => g.toLowerCase() === gameKey)) {
+    return { allowed: false, reason: game ? `category "${game}" not allowed` : 'no category set' };
+  }
+  if (r.blockGames && r.blockGames.some((g) => g.toLowerCase() === gameKey)) {
+    return { allowed: false, reason: `category "${game}" blocked` };
+  }
+  if (r.requireKeywords && !r.requireKeywords.some((k) => keywordMatches(k, title))) {
+    return { allowed: false, reason: 'title missing required keyword' };
+  }
+  if (r.blockKeywords) {
+    const hit = r.blockKeywords.find((k) => keywordMatches(k, title));
+    if (hit) return { allowed: false, reason: `title matches "${hit}"` };
+  }
+  if (r.minViewers) {
+    const viewers = Number(streamData?.viewer_count);
+    if (!Number.isFinite(viewers) || viewers < r.minViewers) {
+      return { allowed: false, reason: `under ${r.minViewers} viewers` };
+    }
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Split a comma-separated rule input into entries. Commas inside a
+ * `/regex/` literal do not split (e.g. `/a{1,3}/i, speedrun`).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseRuleList(text) {
+  const src = String(text || '');
+  const out = [];
+  let current = '';
+  let inRegex = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '/' && (inRegex || current.trim() === '')) {
+      inRegex = !inRegex;
+    } else if (ch === '\\' && inRegex && i + 1 < src.length) {
+      current += ch + src[i + 1];
+      i++;
+      continue;
+    } else if (ch === ',' && !inRegex) {
+      out.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.map((s) => s.trim()).filter(Boolean);
+}
@@ -0,0 +1,63 @@
+/**
+ * Switch stability (hysteresis) — decide whether an auto-switch has to wait.
+ * Pure module so the timing math is unit-testable; callers persist the
+ * timestamps in `runtime` so holds survive service-worker restarts.
+ *
+ * Three independent holds, all configured in minutes (0 = off):
+ * - cooldown: no switch within N minutes of the previous switch.
+ * - dwell: stay at least N minutes on the channel the tab is currently showing
+ *   before preempting it.
+ * - grace: don't preempt for a stream that went live less than N minutes ago
+ *   (skips "starting soon" screens and false starts).
+ */
+
+export const DEFAULT_SWITCH_STABILITY = Object.freeze({
+  minDwellMinutes: 0,
+  graceMinutes: 0,
+  cooldownMinutes: 0,
+});
+
+function minutesToMs(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n * 60000 : 0;
+}
+
+/**
+ * @param {Object} args
+ * @param {number} [args.now] - epoch ms
+ * @param {{minDwellMinutes?: number, graceMinutes?: number, cooldownMinutes?: number}|null} args.config
+ * @param {number|null} args.lastSwitchAt - epoch ms of the last switch we made
+ * @param {number|null} args.currentSince - epoch ms the tab arrived on its current channel
+ * @param {string|null} args.candidateStartedAt - Helix started_at of the stream we'd switch to
+ * @param {boolean} args.preempting - true when the tab is currently showing something watchable
+ * @returns {{allowed: boolean, until: number|null, reason: 'cooldown'|'dwell'|'grace'|null}}
+ */
+export function evaluateSwitchStability({
+  now = Date.now(),
+  config,
+  lastSwitchAt,
+  currentSince,
+  candidateStartedAt,
+  preempting,
+}) {
+  const holds = [];
+
+  const cooldown = minutesToMs(config?.cooldownMinutes);
+  if (cooldown && lastSwitchAt) holds.push({ reason: 'cooldown', until: lastSwitchAt + cooldown });
+
+  if (preempting) {
+    const dwell = minutesToMs(config?.minDwellMinutes);
+    if (dwell && currentSince) holds.push({ reason: 'dwell', until: currentSince + dwell });
+
+    const grace = minutesToMs(config?.graceMinutes);
+    const startedAt = Date.parse(candidateStartedAt || '');
+    if (grace && Number.isFinite(startedAt)) holds.push({ reason: 'grace', until: startedAt + grace });
+  }
+
+  const active = holds.filter((h) => h.until > now);
+  if (active.length === 0) return { allowed: true, until: null, reason: null };
+
+  // The hold that ends last is the one that actually decides when we may switch.
+  const binding = active.reduce((a, b) => (b.until > a.until ? b : a));
+  return { allowed: false, until: binding.until, reason: binding.reason };
+}
@@ -0,0 +1,63 @@
+/**
+ * Tab effects on switch — what happens to the managed tab besides the URL
+ * change: mute or unmute it (list channels and fallback separately), bring
+ * its window to the front, and a silent mode for quiet hours (muted, never
+ * focused). Pure module so the plan is unit-testable; background.js applies
+ * it in navigateManagedTab, the one place every switch, prompt answer and
+ * fallback pick goes through.
+ *
+ * Stored as `settings.tabEffects`:
+ * `{ listAudio, fallbackAudio, focusWindow, silentInQuietHours }`, audio
+ * being one of TAB_AUDIO ('keep' leaves the tab's mute state alone).
+ *
+ * A quiet-hours mute is undone on the first switch after quiet hours even
+ * with 'keep': background.js remembers it applied one (`switching.quietMuted`).
+ */
+
+export const TAB_AUDIO = Object.freeze({
+  KEEP: 'keep',
+  MUTE: 'mute',
+  UNMUTE: 'unmute',
+});
+
+export const DEFAULT_TAB_EFFECTS = Object.freeze({
+  listAudio: TAB_AUDIO.KEEP,
+  fallbackAudio: TAB_AUDIO.KEEP,
+  focusWindow: false,
+  silentInQuietHours: false,
+});
+
+function toAudio(value) {
+  return Object.values(TAB_AUDIO).includes(value) ? value : TAB_AUDIO.KEEP;
+}
+
+/**
+ * @param {Object|null|undefined} effects
+ * @returns {{listAudio: string, fallbackAudio: string, focusWindow: boolean, silentInQuietHours: boolean}}
+ */
+export function normalizeTabEffects(effects) {
+  const e = effects && typeof effects === 'object' ? effects : {};
+  return {
+    listAudio: toAudio(e.listAudio),
+    fallbackAudio: toAudio(e.fallbackAudio),
+    focusWindow: !!e.focusWindow,
+    silentInQuietHours: !!e.silentInQuietHours,
+  };
+}
+
+/**
+ * @param {Object|null|undefined} effects - settings.tabEffects
+ * @param {{fallback?: boolean, quiet?: boolean, quietMuted?: boolean}} [context] - fallback: a category/VOD
+ *   fallback pick; quiet: inside quiet hours; quietMuted: the tab is muted from a quiet-hours switch
+ * @returns {{muted: boolean|undefined, focus: boolean, quietMuted: boolean}} muted: undefined = leave
+ *   as is; quietMuted: what to remember for the next switch
+ */
+export function planTabEffects(effects, { fallback = false, quiet = false, quietMuted = false } = {}) {
+  const e = normalizeTabEffects(effects);
+  if (quiet && e.silentInQuietHours) return { muted: true, focus: false, quietMuted: true };
+  const audio = fallback ? e.fallbackAudio : e.listAudio;
+  let muted = audio === TAB_AUDIO.KEEP ? undefined : audio === TAB_AUDIO.MUTE;
+  // 'keep' means the state before quiet hours, not the quiet-hours mute.
+  if (muted === undefined && quietMuted) muted = false;
+  return { muted, focus: e.focusWindow, quietMuted: false };
+}
@@ -0,0 +1,146 @@
+/**
+ * Priority tiers — groups of equally-good list entries, each with a
+ * tie-break strategy used to pick one when several are live. Pure module so
+ * the selection is unit-testable.
+ *
+ * Stored model:
+ * - each stream entry has `tier` (1-based; missing = 1) next to `priority`;
+ *   the list order is (tier, priority).
+ * - `settings.tiers` is `[{ name, tieBreak }]`, where index + 1 is the tier number.
+ *
+ * The default single tier with the "order" tie-break is exactly the old strict 1..N ladder.
+ */
+
+export const TIE_BREAKS = Object.freeze({
+  order: 'List order',
+  viewers: 'Most viewers',
+  uptime: 'Longest uptime',
+  newest: 'Most recently started',
+  leastWatched: 'Least recently watched',
+  random: 'Random',
+});
+
+export const DEFAULT_TIERS = Object.freeze([Object.freeze({ name: 'Tier 1', tieBreak: 'order' })]);
+
+/**
+ * Always returns at least one tier with a known tie-break.
+ * @param {Array<{name?: string, tieBreak?: string}>|null|undefined} tiers
+ * @returns {Array<{name: string, tieBreak: string}>}
+ */
+export function normalizeTiers(tiers) {
+  const list = Array.isArray(tiers) ? tiers : [];
+  const out = list.map((t, i) => ({
+    name: String(t?.name || '').trim().slice(0, 30) || `Tier ${i + 1}`,
+    tieBreak: Object.hasOwn(TIE_BREAKS, t?.tieBreak) ? t.tieBreak : 'order',
+  }));
+  return out.length > 0 ? out : DEFAULT_TIERS.map((t) => ({ ...t }));
+}
+
+/**
+ * Tier number of an entry, clamped into 1..tierCount.
+ * @param {{tier?: number}} stream
+ * @param {number} tierCount
+ * @returns {number}
+ */
+export function tierOf(stream, tierCount) {
+  const t = Math.floor(Number(stream?.tier));
+  if (!Number.isFinite(t) || t < 1) return 1;
+  return Math.min(t, Math.max(1, tierCount));
+}
+
+/**
+ * Sort entries by (tier, priority) without mutating the input.
+ * @param {Array} streams
+ * @param {number} tierCount
+ * @returns {Array}
+ */
+export function sortByTier(streams, tierCount) {
+  return [...(streams || [])].sort((a, b) => (
+    (tierOf(a, tierCount) - tierOf(b, tierCount))
+    || ((a?.priority ?? 9999) - (b?.priority ?? 9999))
+  ));
+}
+
+/**
+ * Renumber a list's entries for removing tier `number`: its channels join the
+ * tier above (or the new top tier), later tiers move up one. Tiers are global
+ * (`settings.tiers`), so every stored list needs this, not just the one shown.
+ * @param {Array} streams
+ * @param {number} number - 1-based tier being removed
+ * @param {number} tierCount - tier count before the removal
+ * @returns {Array} new entries
+ */
+export function removeTierFromList(streams, number, tierCount) {
+  return (Array.isArray(streams) ? streams : []).map((stream) => {
+    const t = tierOf(stream, tierCount);
+    return { ...stream, tier: t > number || (t === number && number > 1) ? t - 1 : t };
+  });
+}
+
+function cryptoRandomInt(n) {
+  // CSPRNG, same as getRandomStreamFromCategory (CodeQL: insecure randomness).
+  const a = new Uint32Array(1);
+  globalThis.crypto.getRandomValues(a);
+  return a[0] % n;
+}
+
+function startedAtMs(stream) {
+  const t = Date.parse(stream?.streamData?.started_at || '');
+  return Number.isFinite(t) ? t : null;
+}
+
+function maxBy(list, score) {
+  // Stable: on equal scores the earlier (higher list priority) entry wins.
+  return list.reduce((best, s) => (score(s) > score(best) ? s : best));
+}
+
+/**
+ * Pick the stream the managed tab should show from the eligible live entries.
+ *
+ * The lowest-numbered tier with a live entry wins; inside it the tier's
+ * tie-break decides. With any tie-break but "order", if the tab already
+ * shows one of that tier's entries we keep it — they are equally good, and
+ * re-picking every poll (random, viewer counts drifting) would bounce the tab
+ * around. "order" is a strict ladder: a higher entry always preempts.
+ *
+ * @param {Array} candidates - live, rule-approved entries
+ * @param {Array<{name: string, tieBreak: string}>} tiers
+ * @param {Object} [opts]
+ * @param {string|null} [opts.currentChannel]
+ * @param {Object<string, number>} [opts.lastWatched] - username -> epoch ms
+ * @param {(n: number) => number} [opts.randomInt]
+ * @returns {Object|null}
+ */
+export function pickHighestPriorityLive(candidates, tiers, {
+  currentChannel = null,
+  lastWatched = {},
+  randomInt = cryptoRandomInt,
+} = {}) {
+  if (!Array.isArray(candidates) || candidates.length === 0) return null;
+  const normalized = normalizeTiers(tiers);
+  const sorted = sortByTier(candidates, normalized.length);
+  const topTier = tierOf(sorted[0], normalized.length);
+  const group = sorted.filter((s) => tierOf(s, normalized.length) === topTier);
+
+  if (group.length === 1) return group[0];
+  const { tieBreak } = normalized[topTier - 1];
+  if (tieBreak === 'order') return group[0];
+  // Temporary raid entries (utils/raid-policy.js) rank last, so they never hold the tab.
+  const current = group.find((s) => s.username === currentChannel && !s.temporary);
+  if (current) return current;
+
+  switch (tieBreak) {
+    case 'viewers':
+      return maxBy(group, (s) => Number(s.streamData?.viewer_count) || 0);
+    case 'uptime':
+      return maxBy(group, (s) => -(startedAtMs(s) ?? Infinity));
+    case 'newest':
+      return maxBy(group, (s) => startedAtMs(s) ?? -Infinity);
+    case 'leastWatched':
+      return maxBy(group, (s) => -(Number(lastWatched?.[s.username]) || 0));
+    case 'random':
+      return group[randomInt(group.length)];
+    default:
+      return group[0];
+  }
+}
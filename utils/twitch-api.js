@@ -3,6 +3,8 @@
  */
 
 import { TOKEN_BROKER_URL } from './config.js';
+import { filterFallbackStreams, needsContentLabels, normalizeFallbackFilters } from './fallback-filters.js';
+import { FALLBACK_POOL, buildFallbackPool, isFallbackPoolStale, pickFallbackStream } from './fallback-pool.js';
 
 class TwitchAPI {
   constructor() {
@@ -16,6 +18,8 @@ class TwitchAPI {
     this.requestCount = 0;
     this.requestWindow = Date.now();
     this.MAX_REQUESTS_PER_MINUTE = 800;
+    // Category fallback candidate pools by game id (utils/fallback-pool.js)
+    this.categoryPools = new Map();
   }
 
   /**
@@ -95,9 +99,10 @@ class TwitchAPI {
    * @param {string} endpoint - API endpoint (may include query string)
    * @param {Object} params - Query parameters (optional, if endpoint already has query string)
    * @param {number} retries - Number of retries
-   * @returns {Promise<any>}
+   * @param {{method?: string, body?: Object}} [init] - non-GET requests are never cached
+   * @returns {Promise<any>} null for empty (204) responses
    */
-  async _request(endpoint, params = {}, retries = 3) {
+  async _request(endpoint, params = {}, retries = 3, { method = 'GET', body } = {}) {
     await this._checkRateLimit();
 
     // If endpoint already has query params, don't add more
@@ -109,9 +114,10 @@ class TwitchAPI {
       url = `${this.baseURL}${endpoint}${queryString ? '?' + queryString : ''}`;
     }
     const cacheKey = url;
+    const cacheable = method === 'GET';
 
     // Check cache
-    if (this.cache.has(cacheKey)) {
+    if (cacheable && this.cache.has(cacheKey)) {
       const cached = this.cache.get(cacheKey);
       if (Date.now() - cached.timestamp < this.cacheTTL) {
         return cached.data;
@@ -124,7 +130,9 @@ class TwitchAPI {
 
     try {
       const response = await fetch(url, {
-        headers: this._getHeaders(),
+        method,
+        headers: body ? { ...this._getHeaders(), 'Content-Type': 'application/json' } : this._getHeaders(),
+        ...(body ? { body: JSON.stringify(body) } : {}),
         signal: controller.signal
       });
 
@@ -153,7 +161,7 @@ class TwitchAPI {
           error.retryAfter = retryAfter;
           if (retries > 0) {
             await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-            return this._request(endpoint, params, retries - 1);
+            return this._request(endpoint, params, retries - 1, { method, body });
           }
           throw error;
         }
@@ -188,6 +196,19 @@ class TwitchAPI {
           throw error;
         }
 
+        if (response.status === 409) {
+          const error = new Error('Resource already exists');
+          error.code = 'CONFLICT';
+          throw error;
+        }
+
+        // Token broker without EventSub credentials (see token-broker/cloudflare-worker.js).
+        if (response.status === 501) {
+          const error = new Error('This feature is not enabled on the token broker.');
+          error.code = 'NOT_SUPPORTED';
+          throw error;
+        }
+
         const extra = errorBodyJson
           ? ` body=${JSON.stringify(errorBodyJson)}`
           : (errorBodyText ? ` body=${errorBodyText}` : '');
@@ -196,6 +217,8 @@ class TwitchAPI {
         throw error;
       }
 
+      if (response.status === 204) return null;
+
       let data;
       try {
         data = await response.json();
@@ -206,10 +229,12 @@ class TwitchAPI {
       }
 
       // Cache the result
-      this.cache.set(cacheKey, {
-        data,
-        timestamp: Date.now()
-      });
+      if (cacheable) {
+        this.cache.set(cacheKey, {
+          data,
+          timestamp: Date.now()
+        });
+      }
 
       return data;
     } catch (error) {
@@ -232,7 +257,7 @@ class TwitchAPI {
         // Exponential backoff
         const delay = Math.pow(2, 3 - retries) * 1000;
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this._request(endpoint, params, retries - 1);
+        return this._request(endpoint, params, retries - 1, { method, body });
       }
 
       throw normalized;
@@ -243,6 +268,38 @@ class TwitchAPI {
     }
   }
 
+  /**
+   * Walk a Helix list endpoint's cursor pagination (`pagination.cursor` -> `after`).
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - query for every page (set `first` for the page size)
+   * @param {{maxPages?: number}} [opts] - stop after this many pages even if there are more
+   * @yields {Object} each page's response body
+   */
+  async *paginate(endpoint, params = {}, { maxPages = 5 } = {}) {
+    let cursor = null;
+    for (let pages = 0; pages < maxPages; pages++) {
+      const data = await this._request(endpoint, { ...params, ...(cursor ? { after: cursor } : {}) });
+      yield data;
+      cursor = data?.pagination?.cursor || null;
+      if (!cursor) return;
+    }
+  }
+
+  /**
+   * Every item (`data` entries) of a paginated Helix list endpoint, up to `maxPages` pages.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - query for every page
+   * @param {{maxPages?: number}} [opts]
+   * @returns {Promise<Array>}
+   */
+  async getAllPages(endpoint, params = {}, opts = {}) {
+    const items = [];
+    for await (const page of this.paginate(endpoint, params, opts)) {
+      items.push(...(page?.data || []));
+    }
+    return items;
+  }
+
   /**
    * Check if multiple streams are live (batch request)
    * @param {string[]} usernames - Array of usernames (up to 100)
@@ -322,6 +379,97 @@ class TwitchAPI {
     return results[username] || null;
   }
 
+  /**
+   * Twitch user ids for logins (EventSub conditions take ids, not logins).
+   * @param {string[]} usernames
+   * @returns {Promise<Object<string, string>>} login -> user id; unknown logins are left out
+   */
+  async getUserIds(usernames) {
+    const logins = (usernames || []).filter(u => u && /^[a-zA-Z0-9_]{4,25}$/.test(u)).map(u => u.toLowerCase());
+    const ids = {};
+    for (let i = 0; i < logins.length; i += 100) {
+      const query = logins.slice(i, i + 100).map(u => `login=${encodeURIComponent(u)}`).join('&');
+      const data = await this._request(`/users?${query}`, {});
+      for (const user of data?.data || []) {
+        ids[String(user.login).toLowerCase()] = user.id;
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * A channel's stream schedule, first `maxPages` pages (25 segments each).
+   * @param {string} broadcasterId
+   * @param {{maxPages?: number}} [opts]
+   * @returns {Promise<{segments: Array, vacation: Object|null}|null>} null if the channel has no schedule
+   */
+  async getChannelSchedule(broadcasterId, { maxPages = 2 } = {}) {
+    const segments = [];
+    let vacation = null;
+    try {
+      for await (const page of this.paginate('/schedule', { broadcaster_id: broadcasterId, first: 25 }, { maxPages })) {
+        segments.push(...(page?.data?.segments || []));
+        vacation = vacation || page?.data?.vacation || null;
+      }
+    } catch (error) {
+      // Helix answers 404 for channels that never set up a schedule.
+      if (error?.code === 'NOT_FOUND') return null;
+      throw error;
+    }
+    return { segments, vacation };
+  }
+
+  /**
+   * A channel's most recent videos (Helix /videos), newest first.
+   * @param {string} userId
+   * @param {{type?: string, first?: number}} [opts] - type: 'archive' (past broadcasts), 'highlight', 'upload' or 'all'
+   * @returns {Promise<Array>}
+   */
+  async getVideos(userId, { type = 'all', first = 20 } = {}) {
+    const data = await this._request('/videos', { user_id: userId, type, sort: 'time', first });
+    return data?.data || [];
+  }
+
+  /**
+   * EventSub WebSocket transport needs a user token, which only the token
+   * broker has (it creates and deletes subscriptions on our behalf).
+   * @returns {boolean}
+   */
+  supportsEventSub() {
+    return this.proxyEnabled;
+  }
+
+  /**
+   * Subscribe an EventSub WebSocket session to one event type for one channel.
+   * Not retried: a cost/limit rejection (RATE_LIMIT) won't go away by waiting.
+   * @param {string} type - e.g. 'stream.online'
+   * @param {string} broadcasterUserId
+   * @param {string} sessionId - from the session_welcome message
+   * @returns {Promise<string|null>} subscription id
+   */
+  async createEventSubSubscription(type, broadcasterUserId, sessionId) {
+    const data = await this._request('/eventsub/subscriptions', {}, 0, {
+      method: 'POST',
+      body: {
+        type,
+        version: '1',
+        condition: { broadcaster_user_id: broadcasterUserId },
+        transport: { method: 'websocket', session_id: sessionId },
+      },
+    });
+    return data?.data?.[0]?.id || null;
+  }
+
+  /**
+   * The broker only deletes subscriptions on the caller's own session.
+   * @param {string} subscriptionId
+   * @param {string} sessionId - the session it was created on
+   * @returns {Promise<void>}
+   */
+  async deleteEventSubSubscription(subscriptionId, sessionId) {
+    await this._request('/eventsub/subscriptions', { id: subscriptionId, session_id: sessionId }, 0, { method: 'DELETE' });
+  }
+
   /**
    * Get category/game ID by name
    * @param {string} categoryName - Category name
@@ -367,33 +515,71 @@ class TwitchAPI {
     }
   }
 
+  /**
+   * Content classification labels per channel (Helix /channels; /streams doesn't carry them).
+   * @param {string[]} userIds
+   * @returns {Promise<Object<string, string[]>>} user id -> label ids; unknown channels are left out
+   */
+  async getChannelLabels(userIds) {
+    const ids = [...new Set((userIds || []).filter(Boolean))];
+    const labels = {};
+    for (let i = 0; i < ids.length; i += 100) {
+      const query = ids.slice(i, i + 100).map(id => `broadcaster_id=${encodeURIComponent(id)}`).join('&');
+      const data = await this._request(`/channels?${query}`, {});
+      for (const channel of data?.data || []) {
+        labels[channel.broadcaster_id] = Array.isArray(channel.content_classification_labels)
+          ? channel.content_classification_labels
+          : [];
+      }
+    }
+    return labels;
+  }
+
+  /**
+   * A category's fallback candidate pool: up to FALLBACK_POOL.maxPages pages
+   * of its live streams, fetched again once the pool is stale.
+   * @param {string} gameId
+   * @returns {Promise<{fetchedAt: number, streams: Array, labels: Object}>}
+   */
+  async getCategoryPool(gameId) {
+    const cached = this.categoryPools.get(gameId);
+    if (cached && !isFallbackPoolStale(cached)) return cached;
+    const streams = await this.getAllPages('/streams', { game_id: gameId, first: 100 }, { maxPages: FALLBACK_POOL.maxPages });
+    const pool = buildFallbackPool(streams);
+    this.categoryPools.set(gameId, pool);
+    return pool;
+  }
+
   /**
    * Get random live stream from a category
    * @param {string} categoryName - Category name
+   * @param {Object|null} [filters] - fallback filters (utils/fallback-filters.js), applied before the pick
    * @returns {Promise<Object|null>} - Random stream data or null
    */
-  async getRandomStreamFromCategory(categoryName) {
+  async getRandomStreamFromCategory(categoryName, filters = null) {
     try {
       const gameId = await this.getCategoryId(categoryName);
       if (!gameId) {
         return null;
       }
 
-      const data = await this._request('/streams', { 
-        game_id: gameId,
-        first: 100 
-      });
-
-      if (data.data && data.data.length > 0) {
-        // Pick random stream from results
-        // Use CSPRNG (CodeQL: insecure randomness). MV3 provides Web Crypto; Node 20 does too.
-        const a = new Uint32Array(1);
-        globalThis.crypto.getRandomValues(a);
-        const randomIndex = a[0] % data.data.length;
-        return data.data[randomIndex];
+      const pool = await this.getCategoryPool(gameId);
+      let candidates = pool.streams;
+      if (filters) {
+        if (needsContentLabels(filters)) {
+          // Look up labels only for channels that pass the other filters, once per pool.
+          const ids = filterFallbackStreams(candidates, { ...filters, blockedLabels: [] })
+            .map(s => s.user_id)
+            .filter(id => !Object.hasOwn(pool.labels, id));
+          Object.assign(pool.labels, await this.getChannelLabels(ids));
+        }
+        candidates = filterFallbackStreams(candidates, filters, { labelsByUserId: pool.labels });
+        if (candidates.length === 0 && pool.streams.length) {
+          console.warn(`No ${categoryName} stream matches the fallback filters`);
+        }
       }
 
-      return null;
+      return pickFallbackStream(candidates, { preferSmaller: normalizeFallbackFilters(filters).preferSmaller });
     } catch (error) {
       console.error('Error getting random stream:', error);
       return null;
@@ -405,6 +591,18 @@ class TwitchAPI {
    */
   clearCache() {
     this.cache.clear();
+    this.categoryPools.clear();
+  }
+
+  /**
+   * Drop cached /streams responses only (live state changed), keeping the
+   * rest and the category pools, which have their own TTL.
+   */
+  clearStreamsCache() {
+    const prefix = `${this.baseURL}/streams?`;
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(prefix)) this.cache.delete(key);
+    }
   }
 
   /**
@@ -0,0 +1,68 @@
+/**
+ * Twitch tab helpers shared by the popup and the background worker (which
+ * binds a tab when Auto-Swap is toggled from a keyboard shortcut).
+ */
+
+import { isTwitchUrl } from './twitch-url.js';
+
+/**
+ * Pick a Twitch tab to manage: the active tab if it is on Twitch, else any
+ * Twitch tab not in `excludeTabIds`, else a newly opened one.
+ * @param {number[]} [excludeTabIds] - tabs other slots already manage
+ * @returns {Promise<number|null>}
+ */
+export async function pickTwitchTab(excludeTabIds = []) {
+  try {
+    // Prefer the current active Twitch tab
+    const activeTabs = await new Promise((resolve) => {
+      chrome.tabs.query({ active: true, lastFocusedWindow: true }, resolve);
+    });
+    const activeTab = activeTabs?.[0];
+    if (activeTab?.id && isTwitchUrl(activeTab.url || '') && !excludeTabIds.includes(activeTab.id)) {
+      return activeTab.id;
+    }
+
+    // Otherwise, pick any existing Twitch tab no other slot manages (first match)
+    const twitchTabs = await new Promise((resolve) => {
+      chrome.tabs.query({ url: ['*://twitch.tv/*', '*://*.twitch.tv/*'] }, resolve);
+    });
+    const free = (twitchTabs || []).filter((tab) => !excludeTabIds.includes(tab.id));
+    if (free.length) {
+      return free[0].id ?? null;
+    }
+  } catch (e) {
+    console.warn('Failed to pick managed Twitch tab:', e);
+  }
+
+  // No Twitch tab found: create one and manage it.
+  try {
+    const created = await new Promise((resolve) => {
+      chrome.tabs.create({ url: 'https://www.twitch.tv/' }, resolve);
+    });
+    return created?.id ?? null;
+  } catch (e) {
+    console.warn('Failed to create Twitch tab:', e);
+    return null;
+  }
+}
+
+/**
+ * Bring a tab and its window to the front.
+ * @param {number} tabId
+ * @returns {Promise<boolean>} false if the tab no longer exists
+ */
+export async function focusTab(tabId) {
+  const tab = await new Promise((resolve) => {
+    chrome.tabs.get(tabId, (t) => {
+      if (chrome.runtime.lastError || !t) return resolve(null);
+      return resolve(t);
+    });
+  });
+  if (!tab) return false;
+
+  if (tab.windowId != null) {
+    await new Promise((resolve) => chrome.windows.update(tab.windowId, { focused: true }, resolve));
+  }
+  await new Promise((resolve) => chrome.tabs.update(tabId, { active: true }, resolve));
+  return true;
+}
@@ -39,6 +39,18 @@ export function getChannelFromTwitchUrl(url) {
   }
 }
 
+// twitch.tv/videos/<id> (a VOD or highlight page) -> '<id>'
+export function getVideoIdFromTwitchUrl(url) {
+  try {
+    const u = new URL(url);
+    if (!isTwitchUrl(url)) return null;
+    const m = /^\/videos\/(\d+)\/?$/.exec(u.pathname);
+    return m ? m[1] : null;
+  } catch {
+    return null;
+  }
+}
+
 export function isRaidReferrerUrl(url) {
   try {
     const u = new URL(url);
@@ -0,0 +1,84 @@
+/**
+ * VOD fallback — with category fallback off and nothing on the list live,
+ * play the most recent past broadcast or highlight of the highest-priority
+ * channel (Helix `/videos`) instead of sitting on an offline page. Pure
+ * module so the pick and the "is it over" check are unit-testable;
+ * background.js fetches the videos and keeps the played ids in
+ * `runtime.vodHistory.watched` so a video is not picked twice.
+ *
+ * Setting: `settings.vodFallback`, one of VOD_FALLBACK_MODES (Helix video types).
+ */
+
+import { getVideoIdFromTwitchUrl } from './twitch-url.js';
+
+export const VOD_FALLBACK_MODES = Object.freeze({
+  OFF: 'off',
+  ARCHIVE: 'archive',
+  HIGHLIGHT: 'highlight',
+  ALL: 'all',
+});
+
+export const VOD_FALLBACK_LIMITS = Object.freeze({
+  // List entries (top first) checked for videos per pick.
+  channels: 3,
+  // Most recent videos fetched per channel.
+  videos: 20,
+  // Played ids remembered.
+  watched: 200,
+});
+
+/**
+ * @param {*} mode - settings.vodFallback
+ * @returns {string} a VOD_FALLBACK_MODES value ('off' for anything else)
+ */
+export function normalizeVodFallback(mode) {
+  return Object.values(VOD_FALLBACK_MODES).includes(mode) ? mode : VOD_FALLBACK_MODES.OFF;
+}
+
+/**
+ * Helix video duration ("1h2m3s", "45m10s", "59s") in ms.
+ * @param {string} duration
+ * @returns {number} 0 if unparseable
+ */
+export function parseVideoDuration(duration) {
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(String(duration || ''));
+  if (!m || !duration) return 0;
+  return ((Number(m[1] || 0) * 60 + Number(m[2] || 0)) * 60 + Number(m[3] || 0)) * 1000;
+}
+
+/**
+ * @param {Array} videos - Helix /videos entries
+ * @param {string[]} watched - ids already played
+ * @returns {Object|null} the most recent video not played yet
+ */
+export function pickVodToPlay(videos, watched) {
+  const seen = new Set(watched || []);
+  return (Array.isArray(videos) ? videos : [])
+    .filter((v) => v?.id && !seen.has(String(v.id)) && parseVideoDuration(v.duration) > 0)
+    .sort((a, b) => (Date.parse(b.created_at || '') || 0) - (Date.parse(a.created_at || '') || 0))[0] || null;
+}
+
+/**
+ * @param {string[]} watched
+ * @param {string} videoId
+ * @returns {string[]} new list, most recent last, capped
+ */
+export function recordWatchedVod(watched, videoId) {
+  const id = String(videoId || '');
+  const list = (Array.isArray(watched) ? watched : []).filter((w) => w !== id);
+  return (id ? [...list, id] : list).slice(-VOD_FALLBACK_LIMITS.watched);
+}
+
+/**
+ * Keep the VOD fallback as it is (no new pick) while the tab is still on a
+ * video and the one we started hasn't run its length yet.
+ * @param {{active?: boolean, mode?: string|null, until?: number}} fallback - runtime section
+ * @param {string} tabUrl
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function shouldKeepVodFallback(fallback, tabUrl, now = Date.now()) {
+  if (!fallback?.active || fallback.mode !== 'vod') return false;
+  if (!getVideoIdFromTwitchUrl(tabUrl)) return false;
+  return Number(fallback.until) > now;
+}